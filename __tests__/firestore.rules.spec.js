@@ -0,0 +1,382 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest'
+import fs from 'fs'
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing'
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch
+} from 'firebase/firestore'
+
+// Runs against the Firestore emulator: npm run test:rules
+const PROJECT_ID = 'demo-jlpt-bunpou'
+
+const GRAMMAR_NOS = JSON.parse(fs.readFileSync(new URL('../data/jlpt_bunpou_data.json', import.meta.url), 'utf8'))
+  .map(item => item.no)
+
+const userDocument = (overrides = {}) => {
+  const now = new Date()
+  return {
+    displayName: 'Aung',
+    email: 'aung@example.com',
+    photoURL: null,
+    createdAt: now,
+    favorites: [],
+    favoritesOps: {},
+    lastSyncAt: now,
+    favoritesLastModified: now,
+    userState: { version: 1, preferences: {}, progress: {}, notes: {}, decks: {}, stats: {} },
+    userStateLastModified: now,
+    ...overrides
+  }
+}
+
+const classDocument = (overrides = {}) => ({
+  name: 'Week 3',
+  teacherUid: 'teacher',
+  teacherName: 'Sensei',
+  joinCode: 'ABC234',
+  createdAt: new Date(),
+  assignments: [],
+  ...overrides
+})
+
+const memberDocument = (overrides = {}) => ({
+  displayName: 'Student',
+  joinCode: 'ABC234',
+  joinedAt: new Date(),
+  progress: {},
+  updatedAt: new Date(),
+  ...overrides
+})
+
+let testEnv
+
+const dbAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore()
+
+// Write documents without the rules
+const seed = (documents) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore()
+  for (const [path, data] of Object.entries(documents)) {
+    await setDoc(doc(db, path), data)
+  }
+})
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  })
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+})
+
+afterAll(async () => {
+  await testEnv?.cleanup()
+})
+
+describe('users/{userId}', () => {
+  it('lets users create, read and delete only their own document', async () => {
+    await assertSucceeds(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument()))
+    await assertSucceeds(getDoc(doc(dbAs('alice'), 'users/alice')))
+    await assertFails(getDoc(doc(dbAs('bob'), 'users/alice')))
+    await assertFails(setDoc(doc(dbAs('bob'), 'users/bob-copy'), userDocument()))
+    await assertFails(getDoc(doc(dbAs(null), 'users/alice')))
+    await assertFails(deleteDoc(doc(dbAs('bob'), 'users/alice')))
+    await assertSucceeds(deleteDoc(doc(dbAs('alice'), 'users/alice')))
+  })
+
+  describe('favorites', () => {
+    it('accepts grammar numbers from grammarNumbers()', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument({ favorites: [1, 12, GRAMMAR_NOS.at(-1)] })))
+    })
+
+    it.each([
+      ['an unknown grammar number', [Math.max(...GRAMMAR_NOS) + 1]],
+      ['zero', [0]],
+      ['a string', ['12']],
+      ['a non-list', { 12: true }]
+    ])('rejects %s', async (_, favorites) => {
+      await assertFails(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument({ favorites })))
+    })
+
+    it('accepts every grammar point but no more entries than there are points', async () => {
+      const db = dbAs('alice')
+      await assertSucceeds(setDoc(doc(db, 'users/alice'), userDocument({ favorites: GRAMMAR_NOS })))
+      await assertFails(updateDoc(doc(db, 'users/alice'), { favorites: [...GRAMMAR_NOS, 1] }))
+    })
+  })
+
+  describe('favoritesOps', () => {
+    // Operations the way favoritesService writes them
+    const ops = (count, entry = { addedAt: 1000, addedBy: 'device-a' }) => Object.fromEntries(
+      Array.from({ length: count }, (_, index) => [String(index + 1), { ...entry, addedAt: entry.addedAt + index }])
+    )
+
+    it('accepts added and removed entries', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument({
+        favoritesOps: { 12: { addedAt: 1000, addedBy: 'device-a', removedAt: 2000, removedBy: 'device-b' }, 13: { addedAt: 0, addedBy: 'legacy' } }
+      })))
+    })
+
+    it.each([
+      ['an entry that is not a map', true],
+      ['an unknown key', { addedAt: 1000, addedBy: 'device-a', favorite: true }],
+      ['a time that is not a number', { addedAt: '1000', addedBy: 'device-a' }],
+      ['a time stored as a timestamp', { removedAt: new Date(), removedBy: 'device-a' }],
+      ['a device id that is not a string', { addedAt: 1000, addedBy: 7 }]
+    ])('rejects %s', async (_, entry) => {
+      await assertFails(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument({ favoritesOps: { 12: entry } })))
+    })
+
+    it('rejects more than 20 added or changed entries in one write', async () => {
+      const db = dbAs('alice')
+      await assertFails(setDoc(doc(db, 'users/alice'), userDocument({ favoritesOps: ops(21) })))
+      await assertSucceeds(setDoc(doc(db, 'users/alice'), userDocument({ favoritesOps: ops(20) })))
+    })
+
+    it('checks only the entries an update adds or changes', async () => {
+      await seed({ 'users/alice': userDocument({ favoritesOps: ops(40) }) })
+      const db = dbAs('alice')
+      const next = ops(40)
+
+      next[3] = { ...next[3], removedAt: 5000, removedBy: 'device-b' }
+      await assertSucceeds(updateDoc(doc(db, 'users/alice'), { favoritesOps: next }))
+      await assertFails(updateDoc(doc(db, 'users/alice'), { favoritesOps: { ...next, 3: { removedAt: 'now' } } }))
+      await assertFails(updateDoc(doc(db, 'users/alice'), { favoritesOps: { ...next, ...ops(21, { addedAt: 9000, addedBy: 'device-c' }) } }))
+    })
+  })
+
+  describe('timestamps', () => {
+    it.each(['createdAt', 'lastSyncAt', 'favoritesLastModified', 'userStateLastModified'])(
+      'rejects %s that is not a timestamp',
+      async (field) => {
+        const db = dbAs('alice')
+        await assertFails(setDoc(doc(db, 'users/alice'), userDocument({ [field]: '2026-05-01T10:00:00.000Z' })))
+        await assertFails(setDoc(doc(db, 'users/alice'), userDocument({ [field]: Date.now() })))
+      }
+    )
+
+    it('accepts documents without the optional timestamps', async () => {
+      const { lastSyncAt, favoritesLastModified, ...data } = userDocument()
+      await assertSucceeds(setDoc(doc(dbAs('alice'), 'users/alice'), data))
+    })
+  })
+
+  describe('keepsProfile()', () => {
+    beforeEach(async () => {
+      await seed({ 'users/alice': userDocument() })
+    })
+
+    it('lets users update everything but their profile', async () => {
+      await assertSucceeds(updateDoc(doc(dbAs('alice'), 'users/alice'), {
+        favorites: [3],
+        lastSyncAt: new Date()
+      }))
+    })
+
+    it.each([
+      ['displayName', 'Someone else'],
+      ['email', 'other@example.com'],
+      ['photoURL', 'https://example.com/photo.png']
+    ])('rejects changing %s', async (field, value) => {
+      await assertFails(updateDoc(doc(dbAs('alice'), 'users/alice'), { [field]: value }))
+    })
+
+    it('rejects a profile that is not a string', async () => {
+      await assertFails(setDoc(doc(dbAs('bob'), 'users/bob'), userDocument({ displayName: 42 })))
+    })
+  })
+
+  describe('userFields()', () => {
+    it('rejects fields the app does not write', async () => {
+      const db = dbAs('alice')
+      await assertFails(setDoc(doc(db, 'users/alice'), userDocument({ isAdmin: true })))
+
+      await seed({ 'users/alice': userDocument() })
+      await assertFails(updateDoc(doc(db, 'users/alice'), { isAdmin: true }))
+      await assertSucceeds(updateDoc(doc(db, 'users/alice'), { classIds: ['class-1'] }))
+    })
+
+    it.each([
+      ['a class id that is not a string', ['class-1', 42]],
+      ['a nested list', [['class-1']]],
+      ['more than 20 classes', Array.from({ length: 21 }, (_, index) => `class-${index}`)]
+    ])('rejects classIds with %s', async (_, classIds) => {
+      await assertFails(setDoc(doc(dbAs('alice'), 'users/alice'), userDocument({ classIds })))
+    })
+
+    it('rejects a user state without its sections or with unknown ones', async () => {
+      const db = dbAs('alice')
+      await assertFails(setDoc(doc(db, 'users/alice'), userDocument({ userState: { version: 1, preferences: {} } })))
+      await assertFails(setDoc(doc(db, 'users/alice'), userDocument({
+        userState: { version: 1, preferences: {}, progress: {}, notes: {}, extra: {} }
+      })))
+    })
+  })
+})
+
+describe('classes', () => {
+  // Create a class the way firebaseClassroom.createClass does: the class and its join code in one batch
+  const createClass = (uid, classId, data, codeData = { classId }) => {
+    const db = dbAs(uid)
+    const batch = writeBatch(db)
+    batch.set(doc(db, 'classes', classId), data)
+    if (codeData) batch.set(doc(db, 'joinCodes', data.joinCode), codeData)
+    return batch.commit()
+  }
+
+  describe('classes/{classId}', () => {
+    it('lets teachers create a class together with its join code', async () => {
+      await assertSucceeds(createClass('teacher', 'class-1', classDocument()))
+    })
+
+    it('rejects a class without its join code document', async () => {
+      await assertFails(createClass('teacher', 'class-1', classDocument(), null))
+    })
+
+    it('rejects a join code document that points to another class', async () => {
+      await assertFails(createClass('teacher', 'class-1', classDocument(), { classId: 'class-2' }))
+    })
+
+    it('rejects classes created for another teacher', async () => {
+      await assertFails(createClass('mallory', 'class-1', classDocument()))
+    })
+
+    it.each([
+      ['a malformed join code', { joinCode: 'abc-12' }],
+      ['an empty name', { name: '' }],
+      ['a createdAt that is not a timestamp', { createdAt: '2026-05-01' }],
+      ['too many assignments', { assignments: Array.from({ length: 51 }, (_, index) => ({ id: String(index) })) }],
+      ['an extra field', { open: true }]
+    ])('rejects %s', async (_, overrides) => {
+      await assertFails(createClass('teacher', 'class-1', classDocument(overrides)))
+    })
+
+    describe('with a class', () => {
+      beforeEach(async () => {
+        await seed({
+          'classes/class-1': classDocument(),
+          'joinCodes/ABC234': { classId: 'class-1' },
+          'classes/class-1/members/student': memberDocument()
+        })
+      })
+
+      it('is read by the teacher and members only', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('teacher'), 'classes/class-1')))
+        await assertSucceeds(getDoc(doc(dbAs('student'), 'classes/class-1')))
+        await assertFails(getDoc(doc(dbAs('stranger'), 'classes/class-1')))
+        await assertFails(getDoc(doc(dbAs(null), 'classes/class-1')))
+      })
+
+      it('is listed only as the teacher\'s own classes', async () => {
+        await assertSucceeds(getDocs(query(collection(dbAs('teacher'), 'classes'), where('teacherUid', '==', 'teacher'))))
+        await assertFails(getDocs(collection(dbAs('teacher'), 'classes')))
+        await assertFails(getDocs(query(collection(dbAs('student'), 'classes'), where('teacherUid', '==', 'teacher'))))
+      })
+
+      it('lets the teacher rename the class and change assignments only', async () => {
+        const db = dbAs('teacher')
+        await assertSucceeds(updateDoc(doc(db, 'classes/class-1'), {
+          name: 'Week 4',
+          assignments: [{ id: 'a1', title: 'Week 4', nos: [1, 2], dueDate: null }]
+        }))
+        await assertFails(updateDoc(doc(db, 'classes/class-1'), { joinCode: 'XYZ789' }))
+        await assertFails(updateDoc(doc(db, 'classes/class-1'), { teacherUid: 'student' }))
+        await assertFails(updateDoc(doc(dbAs('student'), 'classes/class-1'), { name: 'Ours now' }))
+      })
+
+      it('is deleted by the teacher only', async () => {
+        await assertFails(deleteDoc(doc(dbAs('student'), 'classes/class-1')))
+        await assertSucceeds(deleteDoc(doc(dbAs('teacher'), 'classes/class-1')))
+      })
+    })
+  })
+
+  describe('classes/{classId}/members/{memberId}', () => {
+    beforeEach(async () => {
+      await seed({
+        'classes/class-1': classDocument(),
+        'joinCodes/ABC234': { classId: 'class-1' },
+        'classes/class-1/members/student': memberDocument()
+      })
+    })
+
+    it('lets students join with the class code', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('newcomer'), 'classes/class-1/members/newcomer'), memberDocument()))
+    })
+
+    it('rejects joining with a wrong code or for someone else', async () => {
+      await assertFails(setDoc(doc(dbAs('newcomer'), 'classes/class-1/members/newcomer'), memberDocument({ joinCode: 'XYZ789' })))
+      await assertFails(setDoc(doc(dbAs('newcomer'), 'classes/class-1/members/other'), memberDocument()))
+    })
+
+    it('rejects members with timestamps of another type or extra fields', async () => {
+      const memberRef = doc(dbAs('newcomer'), 'classes/class-1/members/newcomer')
+      await assertFails(setDoc(memberRef, memberDocument({ joinedAt: '2026-05-01' })))
+      await assertFails(setDoc(memberRef, memberDocument({ updatedAt: Date.now() })))
+      await assertFails(setDoc(memberRef, memberDocument({ role: 'teacher' })))
+    })
+
+    it('lets students update their progress only', async () => {
+      const memberRef = doc(dbAs('student'), 'classes/class-1/members/student')
+      await assertSucceeds(updateDoc(memberRef, { progress: { a1: { studied: [1], quiz: {} } }, updatedAt: new Date() }))
+      await assertFails(updateDoc(memberRef, { joinCode: 'XYZ789' }))
+      await assertFails(updateDoc(memberRef, { displayName: 'Renamed' }))
+      await assertFails(updateDoc(doc(dbAs('teacher'), 'classes/class-1/members/student'), { progress: {} }))
+    })
+
+    it('shows progress to the student and the teacher only', async () => {
+      await assertSucceeds(getDoc(doc(dbAs('student'), 'classes/class-1/members/student')))
+      await assertSucceeds(getDocs(collection(dbAs('teacher'), 'classes/class-1/members')))
+      await assertFails(getDoc(doc(dbAs('stranger'), 'classes/class-1/members/student')))
+      await assertFails(getDocs(collection(dbAs('student'), 'classes/class-1/members')))
+    })
+
+    it('lets students leave and teachers remove students', async () => {
+      await assertFails(deleteDoc(doc(dbAs('stranger'), 'classes/class-1/members/student')))
+      await assertSucceeds(deleteDoc(doc(dbAs('student'), 'classes/class-1/members/student')))
+
+      await seed({ 'classes/class-1/members/student': memberDocument() })
+      await assertSucceeds(deleteDoc(doc(dbAs('teacher'), 'classes/class-1/members/student')))
+    })
+  })
+
+  describe('joinCodes/{code}', () => {
+    beforeEach(async () => {
+      await seed({
+        'classes/class-1': classDocument(),
+        'joinCodes/ABC234': { classId: 'class-1' }
+      })
+    })
+
+    it('is looked up by signed-in users but never listed', async () => {
+      await assertSucceeds(getDoc(doc(dbAs('stranger'), 'joinCodes/ABC234')))
+      await assertFails(getDoc(doc(dbAs(null), 'joinCodes/ABC234')))
+      await assertFails(getDocs(collection(dbAs('stranger'), 'joinCodes')))
+    })
+
+    it('can\'t be taken over for another class', async () => {
+      await seed({ 'classes/class-2': classDocument({ teacherUid: 'mallory', joinCode: 'XYZ789' }) })
+      await assertFails(setDoc(doc(dbAs('mallory'), 'joinCodes/ABC234'), { classId: 'class-2' }))
+      await assertFails(setDoc(doc(dbAs('mallory'), 'joinCodes/XYZ789'), { classId: 'class-2', extra: true }))
+    })
+
+    it('is deleted by the class\'s teacher only', async () => {
+      await assertFails(deleteDoc(doc(dbAs('stranger'), 'joinCodes/ABC234')))
+      await assertSucceeds(deleteDoc(doc(dbAs('teacher'), 'joinCodes/ABC234')))
+    })
+  })
+})
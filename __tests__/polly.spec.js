@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  hashExample,
+  loadManifest,
+  planTts,
+  runTtsPipeline
+} from '../polly.js'
+
+const OPTIONS = { voice: 'Kazuha', engine: 'neural' }
+
+const GRAMMAR = [
+  {
+    no: 1,
+    examples: [
+      { ja: '雨が降る。', audio: 'example-1/1.mp3' },
+      { ja: '', audio: 'example-1/2.mp3' }
+    ]
+  },
+  { no: 2, examples: [{ ja: '本を読む。', audio: 'example-2/1.mp3' }] }
+]
+
+const throttlingError = () => Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' })
+
+// Stands in for PollyClient: MP3 requests get the text as bytes, speech mark requests one
+// sentence mark. failures lists errors to throw before answering, in order
+const createFakeClient = ({ failures = [] } = {}) => {
+  const pending = [...failures]
+  const requests = []
+  return {
+    requests,
+    async send(command) {
+      requests.push(command.input)
+      const failure = pending.shift()
+      if (failure) throw failure
+
+      const { Text: text, OutputFormat: format } = command.input
+      const body = format === 'json'
+        ? JSON.stringify({ time: 0, type: 'sentence', start: 0, end: Buffer.byteLength(text), value: text })
+        : `mp3:${text}`
+      return { AudioStream: new TextEncoder().encode(body) }
+    }
+  }
+}
+
+let outDir
+let manifestPath
+
+const run = (client, overrides = {}) => runTtsPipeline({
+  client,
+  grammarPoints: GRAMMAR,
+  outDir,
+  manifestPath,
+  ...OPTIONS,
+  concurrency: 1,
+  retries: 2,
+  retryDelayMs: 1,
+  ...overrides
+})
+
+const writeOutput = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true })
+  fs.writeFileSync(path.join(outDir, file), content)
+}
+
+beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polly-test-'))
+  outDir = path.join(dir, 'voices')
+  manifestPath = path.join(dir, 'manifest.json')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  fs.rmSync(path.dirname(outDir), { recursive: true, force: true })
+  vi.restoreAllMocks()
+})
+
+describe('planTts', () => {
+  const hash = (text) => hashExample(text, OPTIONS)
+
+  it('gives a reason for every example to synthesize', () => {
+    const manifest = {
+      files: {
+        'example-1/1.mp3': { hash: hash('雨が降った。') },
+        'example-9/1.mp3': { hash: 'gone' }
+      }
+    }
+    const existing = ['example-2/1.mp3', 'example-3/1.mp3']
+    const plan = planTts(GRAMMAR, manifest, existing, { ...OPTIONS, force: true })
+
+    expect(plan.toSynthesize.map(job => [job.audio, job.reason])).toEqual([
+      ['example-1/1.mp3', 'changed'],
+      ['example-2/1.mp3', 'untracked']
+    ])
+    expect(plan.orphans).toEqual(['example-3/1.mp3'])
+    expect(plan.staleEntries).toEqual(['example-9/1.mp3'])
+  })
+
+  it('skips examples whose MP3 and speech marks are current', () => {
+    const manifest = { files: { 'example-1/1.mp3': { hash: hash('雨が降る。') } } }
+    const existing = ['example-1/1.mp3', 'example-1/1.marks.json']
+    const plan = planTts(GRAMMAR, manifest, existing, OPTIONS)
+
+    expect(plan.unchanged.map(job => job.audio)).toEqual(['example-1/1.mp3'])
+    expect(plan.toSynthesize.map(job => [job.audio, job.reason])).toEqual([['example-2/1.mp3', 'new']])
+  })
+
+  it('changes every hash with the voice', () => {
+    expect(hashExample('雨が降る。', OPTIONS)).not.toBe(hashExample('雨が降る。', { ...OPTIONS, voice: 'Takumi' }))
+  })
+})
+
+describe('runTtsPipeline', () => {
+  it('writes MP3s, speech marks and the manifest', async () => {
+    const client = createFakeClient()
+    const result = await run(client)
+
+    expect(result.synthesized).toHaveLength(2)
+    expect(result.failed).toEqual([])
+    expect(fs.readFileSync(path.join(outDir, 'example-1/1.mp3'), 'utf8')).toBe('mp3:雨が降る。')
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'example-1/1.marks.json'), 'utf8'))).toEqual([
+      { time: 0, type: 'sentence', start: 0, end: 5, value: '雨が降る。' }
+    ])
+    expect(loadManifest(manifestPath).files['example-2/1.mp3']).toEqual({
+      hash: hashExample('本を読む。', OPTIONS),
+      text: '本を読む。'
+    })
+    // One MP3 and one speech marks request per example
+    expect(client.requests).toHaveLength(4)
+  })
+
+  it('reuses audio whose hash is in the manifest', async () => {
+    await run(createFakeClient())
+    const client = createFakeClient()
+    const result = await run(client)
+
+    expect(result.synthesized).toEqual([])
+    expect(result.unchanged).toHaveLength(2)
+    expect(client.requests).toEqual([])
+  })
+
+  it('synthesizes only the example whose text changed', async () => {
+    await run(createFakeClient())
+    const changed = [GRAMMAR[0], { no: 2, examples: [{ ja: '本を読んだ。', audio: 'example-2/1.mp3' }] }]
+    const client = createFakeClient()
+    const result = await run(client, { grammarPoints: changed })
+
+    expect(result.synthesized.map(job => [job.audio, job.reason])).toEqual([['example-2/1.mp3', 'changed']])
+    expect(client.requests.map(request => request.Text)).toEqual(['本を読んだ。', '本を読んだ。'])
+  })
+
+  it('retries throttling errors', async () => {
+    const client = createFakeClient({ failures: [throttlingError(), throttlingError()] })
+    const result = await run(client, { grammarPoints: [GRAMMAR[1]] })
+
+    expect(result.synthesized).toHaveLength(1)
+    expect(client.requests).toHaveLength(4)
+  })
+
+  it('gives up after the retries and resumes on the next run', async () => {
+    const client = createFakeClient({ failures: [throttlingError(), throttlingError(), throttlingError()] })
+    const result = await run(client, { grammarPoints: [GRAMMAR[1]] })
+
+    expect(result.failed.map(job => job.error.name)).toEqual(['ThrottlingException'])
+    expect(loadManifest(manifestPath).files).toEqual({})
+
+    const retried = await run(createFakeClient(), { grammarPoints: [GRAMMAR[1]] })
+    expect(retried.synthesized.map(job => job.reason)).toEqual(['new'])
+  })
+
+  it('does not retry errors other than throttling', async () => {
+    const invalid = Object.assign(new Error('Bad SSML'), { name: 'InvalidSsmlException' })
+    const client = createFakeClient({ failures: [invalid] })
+    const result = await run(client, { grammarPoints: [GRAMMAR[1]] })
+
+    expect(result.failed).toHaveLength(1)
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('adopts MP3s missing from the manifest and only adds their speech marks', async () => {
+    writeOutput('example-1/1.mp3', 'old audio')
+    writeOutput('example-2/1.mp3', 'old audio')
+    writeOutput('example-2/1.marks.json', '[]')
+    const client = createFakeClient()
+    const result = await run(client)
+
+    expect(result.toAdopt.map(job => job.audio)).toEqual(['example-1/1.mp3', 'example-2/1.mp3'])
+    expect(result.synthesized.map(job => [job.audio, job.reason])).toEqual([['example-1/1.mp3', 'marks']])
+    expect(client.requests.map(request => request.OutputFormat)).toEqual(['json'])
+    expect(fs.readFileSync(path.join(outDir, 'example-1/1.mp3'), 'utf8')).toBe('old audio')
+    expect(Object.keys(loadManifest(manifestPath).files)).toEqual(['example-1/1.mp3', 'example-2/1.mp3'])
+  })
+
+  it('re-synthesizes untracked MP3s with force', async () => {
+    writeOutput('example-1/1.mp3', 'old audio')
+    const result = await run(createFakeClient(), { grammarPoints: [GRAMMAR[0]], force: true })
+
+    expect(result.synthesized.map(job => job.reason)).toEqual(['untracked'])
+    expect(fs.readFileSync(path.join(outDir, 'example-1/1.mp3'), 'utf8')).toBe('mp3:雨が降る。')
+  })
+
+  it('writes nothing on a dry run', async () => {
+    const client = createFakeClient()
+    const result = await run(client, { dryRun: true })
+
+    expect(result.toSynthesize).toHaveLength(2)
+    expect(client.requests).toEqual([])
+    expect(fs.existsSync(manifestPath)).toBe(false)
+  })
+})
@@ -1,136 +1,338 @@
+// Generate example sentence audio with Amazon Polly, plus word/sentence speech marks
+// ("<n>.marks.json" next to each MP3) used by the app to highlight the word being spoken.
+// Only sentences that are new, changed or missing on disk are synthesized; a manifest records
+// the text hash of every generated MP3 so interrupted runs can simply be started again.
+//
+//   npm run tts -- [--voice Kazuha|Takumi] [--out public/voices-female] [--concurrency 4]
+//                  [--retries 5] [--dry-run] [--force]
 import { PollyClient, SynthesizeSpeechCommand } from "@aws-sdk/client-polly";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { STRUCTURED_DATA_PATH } from "./scripts/build-grammar-data.js";
+import { toCharOffsetMarks } from "./src/utils/speechMarks.js";
 
-// Function to remove furigana (text in parentheses) from Japanese text
-function removeFurigana(text) {
-  return text.replace(/\([^)]*\)/g, '');
+// Output directories the app already knows about (see availableVoices in App.vue)
+export const VOICE_OUTPUT_DIRS = {
+  Takumi: path.join('public', 'voices'),          // Japanese male neural voice
+  Kazuha: path.join('public', 'voices-female')    // Japanese female neural voice
+};
+
+export const MANIFEST_DIR = path.join(process.cwd(), 'data', 'tts-manifests');
+
+const DEFAULT_OPTIONS = {
+  voice: 'Kazuha',
+  engine: 'neural',
+  concurrency: 4,
+  retries: 5,
+  dryRun: false,
+  force: false
+};
+
+// Polly error names that mean "slow down" rather than "this request is broken"
+const RETRYABLE_ERRORS = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'ServiceUnavailableException',
+  'ServiceFailureException'
+]);
+
+// Hash of everything that affects the generated audio
+export function hashExample(text, { voice, engine }) {
+  return crypto.createHash('sha256').update(`${engine}\n${voice}\n${text}`).digest('hex');
+}
+
+export function getManifestPath(outDir) {
+  return path.join(MANIFEST_DIR, `${path.basename(outDir)}.json`);
+}
+
+export function loadManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return { files: {}, ...manifest };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read manifest ${manifestPath}, starting a new one:`, error.message);
+    }
+    return { files: {} };
+  }
+}
+
+// Write to a temporary file first so an interrupted run never leaves a half-written file
+function writeFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+export function saveManifest(manifestPath, manifest) {
+  const files = Object.fromEntries(Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true })));
+  writeFileAtomic(manifestPath, `${JSON.stringify({ voice: manifest.voice, engine: manifest.engine, files }, null, 2)}\n`);
+}
+
+export function getMarksPath(audio) {
+  return audio.replace(/\.mp3$/, '.marks.json');
 }
 
-// Function to split examples by Myanmar period (။)
-function splitExamples(exampleText) {
-  return exampleText.split('။').map(example => example.trim()).filter(example => example.length > 0);
+// Every MP3 and speech marks file under the output directory, as paths relative to it ("example-1/1.mp3")
+export function listOutputFiles(outDir) {
+  if (!fs.existsSync(outDir)) return [];
+  return fs.readdirSync(outDir, { recursive: true })
+    .map(file => file.split(path.sep).join('/'))
+    .filter(file => file.endsWith('.mp3') || file.endsWith('.marks.json'));
 }
 
-// Function to extract Japanese text from example (before Myanmar translation)
-function extractJapaneseText(example) {
-  // Split by Myanmar text and take the first part (Japanese)
-  const parts = example.split(/[\u1000-\u109F]+/);
-  return parts[0].trim();
+// Decide what to do with every example. Reasons for synthesizing:
+//   new      - not in the manifest and no file on disk
+//   changed  - the text (or voice/engine) hash differs from the manifest
+//   missing  - in the manifest but the file was deleted
+//   untracked - a file exists but the manifest does not know it (only with force; otherwise the
+//               file is adopted into the manifest as it is, so a first run doesn't re-bill old audio)
+//   marks    - the MP3 is current but its speech marks file is missing (marks only)
+export function planTts(grammarPoints, manifest, existingFiles, options) {
+  const existing = new Set(existingFiles);
+  const expected = new Set();
+  const toSynthesize = [];
+  const toAdopt = [];
+  const unchanged = [];
+
+  for (const grammar of grammarPoints) {
+    for (const example of grammar.examples) {
+      if (!example.ja.trim()) continue;
+
+      const job = {
+        grammarNo: grammar.no,
+        audio: example.audio,
+        text: example.ja,
+        hash: hashExample(example.ja, options)
+      };
+      expected.add(job.audio);
+      expected.add(getMarksPath(job.audio));
+
+      const entry = manifest.files[job.audio];
+      const onDisk = existing.has(job.audio);
+      const hasMarks = existing.has(getMarksPath(job.audio));
+
+      if (!entry) {
+        if (onDisk && !options.force) {
+          toAdopt.push(job);
+          if (!hasMarks) toSynthesize.push({ ...job, reason: 'marks', marksOnly: true });
+        } else {
+          toSynthesize.push({ ...job, reason: onDisk ? 'untracked' : 'new' });
+        }
+      } else if (entry.hash !== job.hash) {
+        toSynthesize.push({ ...job, reason: 'changed' });
+      } else if (!onDisk) {
+        toSynthesize.push({ ...job, reason: 'missing' });
+      } else if (!hasMarks) {
+        toSynthesize.push({ ...job, reason: 'marks', marksOnly: true });
+      } else {
+        unchanged.push(job);
+      }
+    }
+  }
+
+  const orphans = existingFiles.filter(file => !expected.has(file)).sort();
+  const staleEntries = Object.keys(manifest.files).filter(file => !expected.has(file));
+
+  return { toSynthesize, toAdopt, unchanged, orphans, staleEntries };
 }
 
-async function generateTTS(text, outputFile) {
-  // Create Polly client
-  const client = new PollyClient({ region: process.env.AWS_REGION || "ap-northeast-1" });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function isRetryableError(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return RETRYABLE_ERRORS.has(error.name) || error.$retryable?.throttling === true || status === 429 || status >= 500;
+}
 
-  // Prepare synthesis request
+// Collect the AudioStream of a Polly response (a Node stream, or bytes from a fake client)
+async function readAudioStream(audioStream) {
+  if (audioStream instanceof Uint8Array) return Buffer.from(audioStream);
+  const chunks = [];
+  for await (const chunk of audioStream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Synthesize one sentence (MP3 by default), retrying throttling and server errors with exponential backoff
+export async function synthesize(client, text, { voice, engine, retries, retryDelayMs = 500 }, extraParams = {}) {
   const params = {
-    Engine: "neural",          // neural engine for higher quality
-    OutputFormat: "mp3",       // mp3, ogg_vorbis, or pcm
+    Engine: engine,
+    OutputFormat: "mp3",
     Text: text,
-    TextType: "text",          // or "ssml"
-    // VoiceId: "Takumi",          // Japanese male neural voice
-    VoiceId: "Kazuha",          // Japanese female neural voice
+    TextType: "text",
+    VoiceId: voice,
+    ...extraParams
   };
 
-  try {
-    const command = new SynthesizeSpeechCommand(params);
-    const response = await client.send(command);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.send(new SynthesizeSpeechCommand(params));
+      return await readAudioStream(response.AudioStream);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      const delay = retryDelayMs * 2 ** attempt + Math.random() * retryDelayMs;
+      console.warn(`⏳ ${error.name || 'Error'} from Polly, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Request word and sentence speech marks, converted to string offsets of the text
+export async function synthesizeSpeechMarks(client, text, options) {
+  const speechMarks = await synthesize(client, text, options, {
+    OutputFormat: "json",
+    SpeechMarkTypes: ["sentence", "word"]
+  });
+  return toCharOffsetMarks(text, speechMarks.toString('utf8'));
+}
 
-    // Ensure voices directory exists
-    const voicesDir = path.dirname(outputFile);
-    if (!fs.existsSync(voicesDir)) {
-      fs.mkdirSync(voicesDir, { recursive: true });
+// Run jobs with at most `concurrency` in flight
+async function runWithConcurrency(jobs, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, jobs.length) }, async () => {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      await worker(job);
     }
+  });
+  await Promise.all(runners);
+}
+
+function printPlan(plan, outDir) {
+  const byReason = {};
+  plan.toSynthesize.forEach(job => {
+    byReason[job.reason] = (byReason[job.reason] || 0) + 1;
+  });
+  const reasons = Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+
+  console.log(`📋 ${path.relative(process.cwd(), outDir)}: ${plan.toSynthesize.length} to synthesize${reasons ? ` (${reasons})` : ''}, ` +
+    `${plan.unchanged.length} unchanged, ${plan.toAdopt.length} to adopt, ${plan.orphans.length} orphaned`);
+}
+
+// Run the whole pipeline. `client` only needs a send(command) method, so tests can pass a fake
+export async function runTtsPipeline({
+  client,
+  grammarPoints,
+  outDir,
+  manifestPath = getManifestPath(outDir),
+  ...overrides
+}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const manifest = loadManifest(manifestPath);
+  const plan = planTts(grammarPoints, manifest, listOutputFiles(outDir), options);
+
+  printPlan(plan, outDir);
+  plan.orphans.forEach(file => console.warn(`🗑️ Orphaned file (no matching example): ${file}`));
 
-    // Save audio stream to file
-    const writeStream = fs.createWriteStream(outputFile);
-    response.AudioStream.pipe(writeStream);
-
-    return new Promise((resolve, reject) => {
-      writeStream.on("finish", () => {
-        console.log(`✅ Audio saved to ${outputFile}`);
-        resolve();
-      });
-      writeStream.on("error", (err) => {
-        console.error(`❌ Error saving audio to ${outputFile}:`, err);
-        reject(err);
-      });
-    });
-  } catch (err) {
-    console.error("❌ Polly error:", err);
-    throw err;
+  if (options.dryRun) {
+    plan.toSynthesize.forEach(job => console.log(`   ${job.reason.padEnd(9)} ${job.audio}  ${job.text}`));
+    plan.toAdopt.forEach(job => console.log(`   ${'adopt'.padEnd(9)} ${job.audio}  ${job.text}`));
+    return { ...plan, synthesized: [], failed: [] };
   }
+
+  manifest.voice = options.voice;
+  manifest.engine = options.engine;
+  plan.staleEntries.forEach(file => delete manifest.files[file]);
+  plan.toAdopt.forEach(job => {
+    manifest.files[job.audio] = { hash: job.hash, text: job.text };
+  });
+  saveManifest(manifestPath, manifest);
+
+  const synthesized = [];
+  const failed = [];
+
+  await runWithConcurrency(plan.toSynthesize, options.concurrency, async (job) => {
+    try {
+      if (!job.marksOnly) {
+        const audio = await synthesize(client, job.text, options);
+        writeFileAtomic(path.join(outDir, job.audio), audio);
+
+        // Save after every file so an interrupted run resumes where it stopped
+        manifest.files[job.audio] = { hash: job.hash, text: job.text };
+        saveManifest(manifestPath, manifest);
+      }
+
+      // A missing marks file is picked up as a "marks" job on the next run
+      const marks = await synthesizeSpeechMarks(client, job.text, options);
+      writeFileAtomic(path.join(outDir, getMarksPath(job.audio)), JSON.stringify(marks));
+
+      synthesized.push(job);
+      console.log(`✅ [${synthesized.length + failed.length}/${plan.toSynthesize.length}] ${job.audio} (${job.reason})`);
+    } catch (error) {
+      failed.push({ ...job, error });
+      console.error(`❌ Failed to generate ${job.audio} for grammar point no. ${job.grammarNo}:`, error.message);
+    }
+  });
+
+  return { ...plan, synthesized, failed };
 }
 
-async function processGrammarData() {
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      voice: { type: 'string', default: DEFAULT_OPTIONS.voice },
+      engine: { type: 'string', default: DEFAULT_OPTIONS.engine },
+      out: { type: 'string' },
+      manifest: { type: 'string' },
+      concurrency: { type: 'string', default: String(DEFAULT_OPTIONS.concurrency) },
+      retries: { type: 'string', default: String(DEFAULT_OPTIONS.retries) },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false }
+    }
+  });
+
+  const outDir = values.out || VOICE_OUTPUT_DIRS[values.voice];
+  if (!outDir) {
+    throw new Error(`No default output directory for voice "${values.voice}", pass --out`);
+  }
+  const concurrency = Number.parseInt(values.concurrency, 10);
+  const retries = Number.parseInt(values.retries, 10);
+  if (!(concurrency >= 1) || !(retries >= 0)) {
+    throw new Error('--concurrency must be at least 1 and --retries at least 0');
+  }
+
+  const resolvedOutDir = path.resolve(outDir);
+  return {
+    voice: values.voice,
+    engine: values.engine,
+    outDir: resolvedOutDir,
+    manifestPath: values.manifest ? path.resolve(values.manifest) : getManifestPath(resolvedOutDir),
+    concurrency,
+    retries,
+    dryRun: values['dry-run'],
+    force: values.force
+  };
+}
+
+async function main() {
   try {
-    // Read the JSON data file
-    const dataPath = path.join(process.cwd(), 'public', 'jlpt_bunpou_data.json');
-    const jsonData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-    
-    console.log(`📚 Processing ${jsonData.length} grammar points from jlpt_bunpou_data.json`);
-    
-    // Process all grammar points
-    for (const grammar of jsonData) {
-      console.log(`\n📖 Processing grammar point no. ${grammar.no}: ${grammar.kanji || grammar.kana}`);
-      
-      // Skip if no examples
-      if (!grammar.tmp_example || grammar.tmp_example.trim() === '') {
-        console.log(`⚠️ No examples found for grammar point no. ${grammar.no}, skipping...`);
-        continue;
-      }
+    const options = parseCliOptions(process.argv.slice(2));
+    const { grammar: grammarPoints } = JSON.parse(fs.readFileSync(STRUCTURED_DATA_PATH, 'utf8'));
 
-      // test purpose
-      // if (grammar.no < 368) continue;
-      
-      // Split examples by Myanmar period
-      const examples = splitExamples(grammar.tmp_example);
-      
-      console.log(`📝 Found ${examples.length} examples`);
-      
-      // Process each example
-      for (let i = 0; i < examples.length; i++) {
-        const example = examples[i];
-        
-        // Extract Japanese text (before Myanmar translation)
-        const japaneseText = extractJapaneseText(example);
-        
-        if (!japaneseText) {
-          console.log(`⚠️ No Japanese text found in example ${i + 1}, skipping...`);
-          continue;
-        }
-        
-        // Remove furigana (text in parentheses)
-        const cleanText = removeFurigana(japaneseText);
-        
-        if (!cleanText.trim()) {
-          console.log(`⚠️ No text remaining after furigana removal in example ${i + 1}, skipping...`);
-          continue;
-        }
-        
-        // Generate output filename
-        const outputFile = path.join(process.cwd(), 'public', 'voices-female', `example-${grammar.no}`, `${i + 1}.mp3`);
-        
-        console.log(`🎵 Generating TTS for example ${i + 1}:`);
-        console.log(`   Original: ${japaneseText}`);
-        console.log(`   Clean: ${cleanText}`);
-        console.log(`   Output: ${outputFile}`);
-        
-        try {
-          await generateTTS(cleanText, outputFile);
-        } catch (error) {
-          console.error(`❌ Failed to generate TTS for example ${i + 1}:`, error);
-        }
-      }
+    console.log(`📚 ${grammarPoints.length} grammar points, voice ${options.voice} (${options.engine})${options.dryRun ? ', dry run' : ''}`);
+
+    const client = new PollyClient({ region: process.env.AWS_REGION || "ap-northeast-1" });
+    const result = await runTtsPipeline({ client, grammarPoints, ...options });
+
+    if (!options.dryRun) {
+      console.log(`\n🎉 Synthesized ${result.synthesized.length} files, ${result.failed.length} failed`);
+    }
+    if (result.failed.length > 0) {
+      process.exitCode = 1;
     }
-    
-    console.log('\n🎉 TTS generation completed for all grammar points!');
-    
   } catch (error) {
-    console.error('❌ Error processing grammar data:', error);
+    console.error('❌ TTS generation failed:', error.message);
+    process.exitCode = 1;
   }
 }
 
-// Run the processing
-processGrammarData();
+// Run when executed directly (not when imported, e.g. with a fake client)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { buildStructuredData, updateDataVersion, validateGrammarLinks } from '../build-grammar-data.js'
+
+const RAW = [
+  {
+    no: 1,
+    n_level: 5,
+    kanji: '〜たい',
+    kana: '',
+    meaning_mm: 'want',
+    where_to_use: 'Vます + たい',
+    sensei_note: '',
+    tmp_example: '日本(にほん)へ行(い)きたい。　mm 1'
+  },
+  {
+    no: 2,
+    n_level: 5,
+    kanji: '〜ほしい',
+    kana: '',
+    meaning_mm: 'want',
+    where_to_use: 'N + がほしい',
+    sensei_note: '',
+    tmp_example: '車(くるま)がほしい。　mm 2'
+  }
+]
+
+const DATE = new Date('2026-05-01T00:00:00Z')
+
+const versionOf = (raw, translations = {}, links = {}) => (
+  updateDataVersion(null, buildStructuredData(raw, translations, links).grammar, DATE)
+)
+
+describe('updateDataVersion', () => {
+  it('keeps the version when only links between points change', () => {
+    const previous = versionOf(RAW)
+    const grammar = buildStructuredData(RAW, {}, { related: [[1, 2]] }).grammar
+
+    expect(updateDataVersion(previous, grammar, DATE)).toBe(previous)
+  })
+
+  it('records the points whose visible content changed', () => {
+    const previous = versionOf(RAW)
+    const translations = { en: { 2: { meaning: 'to want (something)' } } }
+    const next = updateDataVersion(previous, buildStructuredData(RAW, translations).grammar, DATE)
+
+    expect(next.version).toBe(2)
+    expect(next.history).toEqual([{ version: 2, date: '2026-05-01', added: [], updated: [2], removed: [] }])
+  })
+
+  it('records added and removed points', () => {
+    const previous = versionOf(RAW.slice(0, 1))
+    const next = updateDataVersion(previous, buildStructuredData(RAW.slice(1)).grammar, DATE)
+
+    expect(next.history.at(-1)).toMatchObject({ added: [2], updated: [], removed: [1] })
+  })
+})
+
+describe('validateGrammarLinks', () => {
+  const raw = [...RAW, { ...RAW[0], no: 3, n_level: 4 }]
+
+  it('accepts same-pattern groups across levels', () => {
+    expect(validateGrammarLinks({ related: [[1, 2]], samePattern: [[1, 3]] }, raw)).toEqual([])
+  })
+
+  it('rejects same-pattern groups within one level', () => {
+    expect(validateGrammarLinks({ samePattern: [[1, 2]] }, raw))
+      .toEqual(['grammar-links.json samePattern group 1: points must be from different levels'])
+  })
+
+  it('gives linked points the numbers of the others', () => {
+    const grammar = buildStructuredData(raw, {}, { samePattern: [[1, 3]] }).grammar
+    expect(grammar.find(item => item.no === 1).samePattern).toEqual([3])
+    expect(grammar.find(item => item.no === 2).samePattern).toBeUndefined()
+  })
+})
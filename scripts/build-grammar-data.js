@@ -0,0 +1,426 @@
+// Convert the raw grammar data (examples packed into one tmp_example string) into the
+// structured file read by polly.js and the per-level chunks + manifest read by the app,
+// failing on malformed entries
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import {
+  GRAMMAR_DATA_SCHEMA_VERSION,
+  SENTENCE_TERMINATOR,
+  removeFurigana,
+  splitExampleList,
+  toReading
+} from "../src/utils/grammarText.js";
+
+export const RAW_DATA_PATH = path.join(process.cwd(), 'data', 'jlpt_bunpou_data.json');
+export const STRUCTURED_DATA_PATH = path.join(process.cwd(), 'public', 'jlpt_bunpou_structured.json');
+// Per-level chunks and their manifest (see src/services/grammarDataService.js)
+export const DATA_CHUNKS_DIR = path.join(process.cwd(), 'public', 'data');
+// Committed record of the data version, per-point hashes and the change history,
+// so every build of the same data yields the same version
+export const DATA_VERSION_PATH = path.join(process.cwd(), 'data', 'grammar-data-version.json');
+// Extra translation languages, one <language>.json file each:
+//   { "<no>": { "meaning": "...", "examples": ["...", null, ...] } }
+// Myanmar comes from the raw data and is the fallback for anything missing
+export const TRANSLATIONS_DIR = path.join(process.cwd(), 'data', 'translations');
+// Hand-curated links between grammar points, as groups of grammar numbers:
+//   { "related": [[no, no, ...], ...], "contrast": [[no, no, ...], ...], "samePattern": [...] }
+// "contrast" groups are points learners confuse with each other, "samePattern" groups the
+// same pattern taught at different levels
+export const LINKS_PATH = path.join(process.cwd(), 'data', 'grammar-links.json');
+// Firestore security rules; favorites are only accepted for the grammar numbers listed there
+export const FIRESTORE_RULES_PATH = path.join(process.cwd(), 'firestore.rules');
+
+const LINK_TYPES = ['related', 'contrast', 'samePattern'];
+
+// Change history entries kept in the version file and shown in the manifest
+const MAX_HISTORY_ENTRIES = 100;
+const MANIFEST_HISTORY_ENTRIES = 20;
+
+// Check that furigana parentheses open and close in pairs without nesting
+function hasBalancedFurigana(text) {
+  let depth = 0;
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0 || depth > 1) return false;
+  }
+  return depth === 0;
+}
+
+// Convert one raw grammar point; examples get an explicit index-based audio file name.
+// translations is { [language]: { meaning, examples } } for this point
+export function structureGrammarPoint(raw, translations = {}) {
+  const translated = (field, index) => Object.fromEntries(
+    Object.entries(translations)
+      .map(([language, entry]) => [language, index === undefined ? entry[field] : entry[field]?.[index]])
+      .filter(([, text]) => text)
+  );
+
+  const examples = splitExampleList(raw.tmp_example).map((example, index) => ({
+    ja: removeFurigana(example.furigana),
+    furigana: example.furigana,
+    reading: toReading(example.furigana),
+    translation: { mm: example.mm, ...translated('examples', index) },
+    audio: `example-${raw.no}/${index + 1}.mp3`
+  }));
+
+  return {
+    no: raw.no,
+    n_level: raw.n_level,
+    kanji: raw.kanji || '',
+    kana: raw.kana || '',
+    meaning: { mm: raw.meaning_mm || '', ...translated('meaning') },
+    where_to_use: raw.where_to_use || '',
+    sensei_note: raw.sensei_note || '',
+    examples
+  };
+}
+
+// Validate raw data; returns { errors, warnings } as readable messages
+export function validateRawGrammarData(rawData) {
+  const errors = [];
+  const warnings = [];
+  const seenNumbers = new Set();
+
+  if (!Array.isArray(rawData)) {
+    return { errors: ['Raw data must be an array of grammar points'], warnings };
+  }
+
+  for (const raw of rawData) {
+    const label = `no. ${raw.no}`;
+
+    if (!Number.isInteger(raw.no) || raw.no < 1) {
+      errors.push(`${label}: "no" must be a positive integer`);
+    } else if (seenNumbers.has(raw.no)) {
+      errors.push(`${label}: duplicate grammar number`);
+    }
+    seenNumbers.add(raw.no);
+
+    if (![1, 2, 3, 4, 5].includes(raw.n_level)) {
+      errors.push(`${label}: n_level must be 1-5 (got ${raw.n_level})`);
+    }
+    if (!raw.kanji && !raw.kana) {
+      errors.push(`${label}: missing grammar pattern (kanji or kana)`);
+    }
+    if (!raw.meaning_mm) {
+      warnings.push(`${label}: missing meaning_mm`);
+    }
+
+    const examples = splitExampleList(raw.tmp_example);
+    if (examples.length === 0) {
+      warnings.push(`${label}: no examples`);
+    }
+
+    examples.forEach((example, index) => {
+      const exampleLabel = `${label} example ${index + 1}`;
+
+      if (!example.furigana) {
+        errors.push(`${exampleLabel}: no Japanese text`);
+        return;
+      }
+      if (!SENTENCE_TERMINATOR.test(example.furigana)) {
+        errors.push(`${exampleLabel}: missing Japanese period (。！？) in "${example.furigana}"`);
+      }
+      if (!hasBalancedFurigana(example.furigana)) {
+        errors.push(`${exampleLabel}: unbalanced furigana bracket in "${example.furigana}"`);
+      }
+      if (!example.mm) {
+        warnings.push(`${exampleLabel}: missing Myanmar translation`);
+      }
+    });
+  }
+
+  return { errors, warnings };
+}
+
+// Validate translation files ({ [language]: file content }) against the raw data;
+// returns readable error messages
+export function validateTranslations(translations, rawData) {
+  const errors = [];
+  const exampleCounts = new Map(rawData.map(raw => [String(raw.no), splitExampleList(raw.tmp_example).length]));
+
+  Object.entries(translations).forEach(([language, entries]) => {
+    if (!/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language) || language === 'mm') {
+      errors.push(`translations/${language}.json: "${language}" is not a valid extra language code`);
+      return;
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`translations/${language}.json: must be an object keyed by grammar number`);
+      return;
+    }
+
+    Object.entries(entries).forEach(([no, entry]) => {
+      const label = `translations/${language}.json no. ${no}`;
+      if (!exampleCounts.has(no)) {
+        errors.push(`${label}: unknown grammar number`);
+        return;
+      }
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${label}: must be an object with meaning and/or examples`);
+        return;
+      }
+      if (entry.meaning !== undefined && typeof entry.meaning !== 'string') {
+        errors.push(`${label}: meaning must be a string`);
+      }
+      if (entry.examples !== undefined) {
+        if (!Array.isArray(entry.examples) || entry.examples.some(text => text !== null && typeof text !== 'string')) {
+          errors.push(`${label}: examples must be an array of strings (null to skip one)`);
+        } else if (entry.examples.length > exampleCounts.get(no)) {
+          errors.push(`${label}: ${entry.examples.length} example translations for ${exampleCounts.get(no)} examples`);
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Validate the links file against the raw data; returns readable error messages
+export function validateGrammarLinks(links, rawData) {
+  const errors = [];
+  const levels = new Map(rawData.map(raw => [raw.no, raw.n_level]));
+
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    return [`grammar-links.json: must be an object with ${LINK_TYPES.map(type => `"${type}"`).join(', ')} groups`];
+  }
+
+  Object.entries(links).forEach(([type, groups]) => {
+    if (!LINK_TYPES.includes(type)) {
+      errors.push(`grammar-links.json: unknown link type "${type}" (expected ${LINK_TYPES.join(', ')})`);
+      return;
+    }
+    if (!Array.isArray(groups)) {
+      errors.push(`grammar-links.json ${type}: must be an array of groups`);
+      return;
+    }
+
+    groups.forEach((group, index) => {
+      const label = `grammar-links.json ${type} group ${index + 1}`;
+      if (!Array.isArray(group) || group.length < 2) {
+        errors.push(`${label}: must list at least two grammar numbers`);
+        return;
+      }
+      if (new Set(group).size !== group.length) {
+        errors.push(`${label}: lists a grammar number twice`);
+      }
+      group.filter(no => !levels.has(no)).forEach(no => {
+        errors.push(`${label}: unknown grammar number ${no}`);
+      });
+      // The same level twice is a duplicate grammar point or a related pair, not a level link
+      const groupLevels = group.filter(no => levels.has(no)).map(no => levels.get(no));
+      if (type === 'samePattern' && new Set(groupLevels).size !== groupLevels.length) {
+        errors.push(`${label}: points must be from different levels`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// { [type]: Map(no -> sorted linked numbers) }; every point in a group links to all the others
+export function buildLinkIndex(links = {}) {
+  return Object.fromEntries(LINK_TYPES.map(type => {
+    const index = new Map();
+    (links[type] || []).forEach(group => {
+      group.forEach(no => {
+        const linked = index.get(no) || new Set();
+        group.filter(other => other !== no).forEach(other => linked.add(other));
+        index.set(no, linked);
+      });
+    });
+    return [type, new Map([...index].map(([no, linked]) => [no, [...linked].sort((a, b) => a - b)]))];
+  }));
+}
+
+// Build the structured document, sorted the way the app lists grammar points.
+// Linked points get "related" / "contrast" / "samePattern" arrays of grammar numbers (omitted when empty)
+export function buildStructuredData(rawData, translations = {}, links = {}) {
+  const pointTranslations = (no) => Object.fromEntries(
+    Object.entries(translations)
+      .filter(([, entries]) => entries[no])
+      .map(([language, entries]) => [language, entries[no]])
+  );
+
+  const linkIndex = buildLinkIndex(links);
+  const pointLinks = (no) => Object.fromEntries(
+    LINK_TYPES
+      .filter(type => linkIndex[type].has(no))
+      .map(type => [type, linkIndex[type].get(no)])
+  );
+
+  const grammar = rawData
+    .map(raw => ({ ...structureGrammarPoint(raw, pointTranslations(raw.no)), ...pointLinks(raw.no) }))
+    .sort((a, b) => a.n_level - b.n_level || a.no - b.no);
+
+  return {
+    schemaVersion: GRAMMAR_DATA_SCHEMA_VERSION,
+    grammar
+  };
+}
+
+export function hashContent(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// The part of a grammar point learners see: pattern, level, meanings, notes and the example
+// sentences with their translations. Derived fields (ja, reading), audio file names and links
+// to other points are left out, so schema or build changes don't mark points as corrected
+export function getVisibleContent(item) {
+  return {
+    n_level: item.n_level,
+    kanji: item.kanji,
+    kana: item.kana,
+    meaning: item.meaning,
+    where_to_use: item.where_to_use,
+    sensei_note: item.sensei_note,
+    examples: item.examples.map(example => ({ furigana: example.furigana, translation: example.translation }))
+  };
+}
+
+// Compare per-point hashes of the visible content with the previous version record; returns
+// the next record. The version only changes when the content hash does
+export function updateDataVersion(previous, grammar, date = new Date()) {
+  const points = Object.fromEntries(grammar.map(item => [item.no, hashContent(getVisibleContent(item))]));
+  const hash = hashContent(points);
+
+  if (previous && previous.hash === hash) {
+    return previous;
+  }
+
+  const history = previous ? [...previous.history] : [];
+  if (previous) {
+    const previousPoints = previous.points || {};
+    const added = [];
+    const updated = [];
+    Object.entries(points).forEach(([no, pointHash]) => {
+      if (!previousPoints[no]) added.push(Number(no));
+      else if (previousPoints[no] !== pointHash) updated.push(Number(no));
+    });
+    const removed = Object.keys(previousPoints).filter(no => !points[no]).map(Number);
+
+    history.push({ version: previous.version + 1, date: date.toISOString().slice(0, 10), added, updated, removed });
+  }
+
+  return {
+    version: previous ? previous.version + 1 : 1,
+    hash,
+    points,
+    history: history.slice(-MAX_HISTORY_ENTRIES)
+  };
+}
+
+// Split the structured document into one chunk per level plus a manifest describing them
+export function buildDataChunks(structured, versionRecord) {
+  const levels = {};
+  const chunks = {};
+
+  [...new Set(structured.grammar.map(item => item.n_level))].forEach(level => {
+    const grammar = structured.grammar.filter(item => item.n_level === level);
+    const hash = hashContent(grammar);
+    chunks[level] = { schemaVersion: structured.schemaVersion, level, hash, grammar };
+    levels[level] = { hash, count: grammar.length, file: `data/grammar-n${level}.json` };
+  });
+
+  const manifest = {
+    schemaVersion: structured.schemaVersion,
+    version: versionRecord.version,
+    hash: versionRecord.hash,
+    levels,
+    history: versionRecord.history.slice(-MANIFEST_HISTORY_ENTRIES)
+  };
+
+  return { manifest, chunks };
+}
+
+function readDataVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_VERSION_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// { [language]: parsed file } for every data/translations/<language>.json
+export function readTranslations(dir = TRANSLATIONS_DIR) {
+  if (!fs.existsSync(dir)) return {};
+  return Object.fromEntries(
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))])
+  );
+}
+
+export function readGrammarLinks(file = LINKS_PATH) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Check that every grammar number can be saved as a favorite under the Firestore rules
+// (grammarNumbers() in firestore.rules); returns readable error messages
+export function validateFirestoreRules(rulesText, rawData) {
+  const match = /function grammarNumbers\(\)\s*\{\s*return\s*\[([\d\s,]*)\]/.exec(rulesText || '');
+  if (!match) {
+    return ['firestore.rules: grammarNumbers() with a list of grammar numbers not found'];
+  }
+
+  const allowed = new Set(match[1].split(',').map(value => value.trim()).filter(Boolean).map(Number));
+  const missing = rawData.map(raw => raw.no).filter(no => !allowed.has(no));
+  return missing.length > 0
+    ? [`firestore.rules: grammarNumbers() is missing ${missing.join(', ')}, favorites with these numbers would be rejected`]
+    : [];
+}
+
+function main() {
+  const rawData = JSON.parse(fs.readFileSync(RAW_DATA_PATH, 'utf8'));
+  console.log(`📚 Validating ${rawData.length} grammar points from ${path.relative(process.cwd(), RAW_DATA_PATH)}`);
+
+  const translations = readTranslations();
+  const languages = Object.keys(translations);
+  if (languages.length > 0) {
+    console.log(`🌐 Extra translations: ${languages.join(', ')}`);
+  }
+
+  const links = readGrammarLinks();
+
+  const { errors, warnings } = validateRawGrammarData(rawData);
+  errors.push(...validateTranslations(translations, rawData));
+  errors.push(...validateGrammarLinks(links, rawData));
+  errors.push(...validateFirestoreRules(fs.readFileSync(FIRESTORE_RULES_PATH, 'utf8'), rawData));
+  warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    console.error(`\n❌ ${errors.length} malformed entries, structured data was not written`);
+    process.exit(1);
+  }
+
+  const structured = buildStructuredData(rawData, translations, links);
+  fs.writeFileSync(STRUCTURED_DATA_PATH, JSON.stringify(structured));
+
+  const previousVersion = readDataVersion();
+  const versionRecord = updateDataVersion(previousVersion, structured.grammar);
+  if (versionRecord !== previousVersion) {
+    fs.writeFileSync(DATA_VERSION_PATH, JSON.stringify(versionRecord, null, 2) + '\n');
+    console.log(`🆕 Grammar data is now version ${versionRecord.version}, commit ${path.relative(process.cwd(), DATA_VERSION_PATH)}`);
+  }
+
+  const { manifest, chunks } = buildDataChunks(structured, versionRecord);
+  fs.rmSync(DATA_CHUNKS_DIR, { recursive: true, force: true });
+  fs.mkdirSync(DATA_CHUNKS_DIR, { recursive: true });
+  Object.entries(chunks).forEach(([level, chunk]) => {
+    fs.writeFileSync(path.join(DATA_CHUNKS_DIR, `grammar-n${level}.json`), JSON.stringify(chunk));
+  });
+  fs.writeFileSync(path.join(DATA_CHUNKS_DIR, 'manifest.json'), JSON.stringify(manifest));
+
+  const exampleCount = structured.grammar.reduce((sum, item) => sum + item.examples.length, 0);
+  console.log(`✅ Wrote ${structured.grammar.length} grammar points (${exampleCount} examples) to ${path.relative(process.cwd(), STRUCTURED_DATA_PATH)}`);
+}
+
+// Run when executed directly (not when imported by polly.js)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
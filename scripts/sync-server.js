@@ -0,0 +1,284 @@
+// Small sync server for the "rest" sync backend (src/services/backends/restBackend.js), to run
+// the app without Firebase, e.g. on a school network or offline on one machine:
+//   node scripts/sync-server.js [--port 8787] [--data sync-server-data.json]
+// and build or serve the app with VITE_SYNC_BACKEND=rest VITE_SYNC_URL=http://localhost:8787.
+// Users sign in with a name only, so run it where everyone on the network is trusted.
+// Uses Node built-ins only; documents, sessions and revisions are kept in one JSON file
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = "sync-server-data.json";
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+// Fixed GUID from the WebSocket handshake (RFC 6455)
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(readOption("port", DEFAULT_PORT));
+const dataFile = path.resolve(readOption("data", DEFAULT_DATA_FILE));
+
+// { users: { uid: { data, revision } }, profiles: { uid: user }, sessions: { token: uid } }
+function loadStore() {
+  try {
+    return JSON.parse(fs.readFileSync(dataFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`❌ Could not read ${dataFile}: ${error.message}`);
+      process.exit(1);
+    }
+    return { users: {}, profiles: {}, sessions: {} };
+  }
+}
+
+const store = loadStore();
+// uid -> Set of WebSocket connections watching that user's document
+const watchers = new Map();
+
+function saveStore() {
+  fs.writeFileSync(dataFile, JSON.stringify(store, null, 2));
+}
+
+// The same name signs in to the same account from every device
+function uidForName(name) {
+  return "u-" + crypto.createHash("sha256").update(name.trim().toLowerCase()).digest("hex").slice(0, 16);
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : null);
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function getToken(request, url) {
+  const header = request.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token");
+}
+
+// --- WebSocket (server -> client text messages only) ---
+
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text, "utf8");
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function sendDocument(socket, uid) {
+  const entry = store.users[uid];
+  socket.write(encodeTextFrame(JSON.stringify({ data: entry ? entry.data : null })));
+}
+
+function notifyWatchers(uid) {
+  watchers.get(uid)?.forEach(socket => sendDocument(socket, uid));
+}
+
+function handleUpgrade(request, socket) {
+  const url = new URL(request.url, "http://localhost");
+  const match = /^\/users\/([^/]+)\/watch$/.exec(url.pathname);
+  const uid = match ? decodeURIComponent(match[1]) : null;
+  const key = request.headers["sec-websocket-key"];
+
+  if (!uid || !key || store.sessions[getToken(request, url)] !== uid) {
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    ""
+  ].join("\r\n"));
+
+  if (!watchers.has(uid)) watchers.set(uid, new Set());
+  watchers.get(uid).add(socket);
+  sendDocument(socket, uid);
+
+  // Clients only ever send close (opcode 8) and ping (9) frames
+  socket.on("data", data => {
+    const opcode = data[0] & 0x0f;
+    if (opcode === 0x8) {
+      socket.end(Buffer.from([0x88, 0]));
+    } else if (opcode === 0x9) {
+      socket.write(Buffer.from([0x8a, 0]));
+    }
+  });
+  const forget = () => {
+    watchers.get(uid)?.delete(socket);
+  };
+  socket.on("close", forget);
+  socket.on("error", forget);
+}
+
+// --- REST ---
+
+async function handleSession(request, response, url) {
+  const token = getToken(request, url);
+
+  if (request.method === "POST") {
+    const body = await readBody(request);
+    const name = typeof body?.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > 100) {
+      sendJson(response, 400, { error: "A name of 1-100 characters is required" });
+      return;
+    }
+
+    const uid = uidForName(name);
+    const user = store.profiles[uid] || { uid, displayName: name, email: null, photoURL: null };
+    const newToken = crypto.randomBytes(24).toString("hex");
+    store.profiles[uid] = user;
+    store.sessions[newToken] = uid;
+    saveStore();
+    sendJson(response, 200, { token: newToken, user });
+    return;
+  }
+
+  const uid = store.sessions[token];
+  if (!uid) {
+    sendJson(response, 401, { error: "Not signed in" });
+    return;
+  }
+
+  if (request.method === "GET") {
+    sendJson(response, 200, { user: store.profiles[uid] });
+  } else if (request.method === "DELETE") {
+    delete store.sessions[token];
+    saveStore();
+    sendJson(response, 204);
+  } else {
+    sendJson(response, 405, { error: "Method not allowed" });
+  }
+}
+
+async function handleUser(request, response, url, uid) {
+  const sessionUid = store.sessions[getToken(request, url)];
+  if (!sessionUid) {
+    sendJson(response, 401, { error: "Not signed in" });
+    return;
+  }
+  if (sessionUid !== uid) {
+    sendJson(response, 403, { error: "Users can only access their own document" });
+    return;
+  }
+
+  const entry = store.users[uid];
+
+  if (request.method === "GET") {
+    if (!entry) {
+      sendJson(response, 404, { error: "No document" });
+      return;
+    }
+    sendJson(response, 200, entry.data, { ETag: `"${entry.revision}"` });
+    return;
+  }
+
+  const body = await readBody(request);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    sendJson(response, 400, { error: "The body must be a JSON object" });
+    return;
+  }
+
+  if (request.method === "PUT") {
+    store.users[uid] = { data: body, revision: (entry?.revision || 0) + 1 };
+  } else if (request.method === "PATCH") {
+    if (!entry) {
+      sendJson(response, 404, { error: "No document" });
+      return;
+    }
+    const expected = request.headers["if-match"];
+    if (expected && expected !== `"${entry.revision}"`) {
+      sendJson(response, 412, { error: "The document changed" });
+      return;
+    }
+    store.users[uid] = { data: { ...entry.data, ...body }, revision: entry.revision + 1 };
+  } else {
+    sendJson(response, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  saveStore();
+  sendJson(response, 200, undefined, { ETag: `"${store.users[uid].revision}"` });
+  notifyWatchers(uid);
+}
+
+const server = http.createServer(async (request, response) => {
+  // The app is served from another origin (the Vite dev server or a static host)
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+  response.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match");
+  response.setHeader("Access-Control-Expose-Headers", "ETag");
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, "http://localhost");
+  const userMatch = /^\/users\/([^/]+)$/.exec(url.pathname);
+
+  try {
+    if (url.pathname === "/auth/session") {
+      await handleSession(request, response, url);
+    } else if (userMatch) {
+      await handleUser(request, response, url, decodeURIComponent(userMatch[1]));
+    } else {
+      sendJson(response, 404, { error: "Not found" });
+    }
+  } catch (error) {
+    console.error("❌", error.message);
+    if (!response.headersSent) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  }
+});
+
+server.on("upgrade", handleUpgrade);
+
+server.listen(port, () => {
+  console.log(`🔄 Sync server on http://localhost:${port}, data in ${path.relative(process.cwd(), dataFile) || dataFile}`);
+});
@@ -0,0 +1,79 @@
+// Interface translations. t('group.key', { name }) looks a message up in the selected UI
+// language, falling back to English and then to the key itself; {name} placeholders are
+// filled from params. The UI language is saved locally and synced as the 'uiLocale' preference
+import { ref } from 'vue'
+import userStateService from '../services/userStateService.js'
+import en from './locales/en.js'
+import mm from './locales/mm.js'
+import ne from './locales/ne.js'
+
+const STORAGE_KEY = 'jlpt-ui-locale'
+const DEFAULT_LOCALE = 'en'
+
+const MESSAGES = { en, mm, ne }
+
+// Language codes used in the grammar data and the UI, with their own names and HTML lang codes
+const LANGUAGES = {
+  en: { name: 'English', htmlLang: 'en' },
+  mm: { name: 'မြန်မာ', htmlLang: 'my' },
+  ne: { name: 'नेपाली', htmlLang: 'ne' }
+}
+
+export const UI_LOCALES = Object.keys(MESSAGES)
+
+// Display name of a language code (translation languages without a name show the code)
+export const getLanguageName = (code) => LANGUAGES[code]?.name || code.toUpperCase()
+
+// Browser language mapped to a UI locale ('my' is the standard code for Myanmar)
+const detectLocale = () => {
+  const browserLanguages = navigator.languages || [navigator.language || '']
+  for (const language of browserLanguages) {
+    const code = language.toLowerCase().split('-')[0]
+    if (code === 'my') return 'mm'
+    if (UI_LOCALES.includes(code)) return code
+  }
+  return DEFAULT_LOCALE
+}
+
+const loadLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    if (UI_LOCALES.includes(saved)) return saved
+  } catch (error) {
+    console.error('Error loading UI language:', error)
+  }
+  return detectLocale()
+}
+
+export const locale = ref(loadLocale())
+
+const applyHtmlLang = () => {
+  document.documentElement.lang = LANGUAGES[locale.value].htmlLang
+}
+applyHtmlLang()
+
+// Change the UI language; sync: false for values that came from another device
+export const setLocale = (value, { sync = true } = {}) => {
+  if (!UI_LOCALES.includes(value)) return
+  locale.value = value
+  applyHtmlLang()
+  try {
+    localStorage.setItem(STORAGE_KEY, value)
+    if (sync) {
+      userStateService.set('preferences', 'uiLocale', value)
+    }
+  } catch (error) {
+    console.error('Error saving UI language:', error)
+  }
+}
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), messages)
+
+export const t = (key, params = {}) => {
+  const message = lookup(MESSAGES[locale.value], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key)
+  if (typeof message !== 'string') return key
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder))
+}
+
+// Message of a UserError (src/utils/userError.js) in the UI language; other errors keep their own
+export const translateError = (error) => (error?.key ? t(error.key, error.params) : error?.message || String(error))
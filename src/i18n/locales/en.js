@@ -0,0 +1,462 @@
+// English interface messages; every key used by the app must exist here (other locales fall back to it)
+export default {
+  app: {
+    title: '🇯🇵 JLPT Grammar Guide',
+    subtitle: 'Grammar Points',
+    subtitleDetail: 'for the Japanese Language Proficiency Test',
+    backToTop: 'Back to top'
+  },
+  loading: {
+    grammar: 'Loading grammar data...',
+    filtering: 'Filtering grammar points...',
+    toList: 'Switching to List View...',
+    toFlashcards: 'Switching to Flashcard Mode...'
+  },
+  error: {
+    title: '❌ Error Loading Data',
+    retry: 'Retry',
+    loadFailed: 'Unable to load grammar data. Please check your internet connection and try again.'
+  },
+  filters: {
+    level: 'JLPT Level:',
+    allLevels: 'All Levels ({count})',
+    favorites: '⭐ Favorites ({count})',
+    due: '📅 Due today ({count})',
+    myDecks: 'My Decks',
+    myTags: 'My Tags',
+    assignments: 'Class Assignments',
+    search: 'Search grammar points...',
+    voice: 'Voice:',
+    audioSettings: 'Playback speed, repeat and loop',
+    uiLanguage: 'Language:',
+    translationLanguage: 'Translation:',
+    showing: 'Showing {shown} of {total} grammar points'
+  },
+  filterLabel: {
+    level: 'N{level} Grammar',
+    all: 'All Levels',
+    favorites: 'Favorites',
+    due: 'Due for Review'
+  },
+  voices: {
+    male: '👨 Male Voice',
+    female: '👩 Female Voice',
+    browserVoices: 'Browser voices (text-to-speech)'
+  },
+  panels: {
+    listView: '📋 List View',
+    flashcards: '🃏 Flashcard Mode',
+    quiz: '📝 Quiz',
+    closeQuiz: '✕ Close Quiz',
+    typing: '⌨️ Typing',
+    closeTyping: '✕ Close Typing',
+    exam: '🎓 Mock Test',
+    closeExam: '✕ Close Test',
+    audio: '📥 Offline Audio',
+    closeAudio: '✕ Close Audio',
+    stats: '📊 Stats',
+    closeStats: '✕ Close Stats',
+    reminders: '🔔 Reminders',
+    closeReminders: '✕ Close Reminders',
+    classroom: '🏫 Classroom',
+    closeClassroom: '✕ Close Classroom',
+    backup: '💾 Backup',
+    closeBackup: '✕ Close Backup',
+    compare: '⚖️ Compare',
+    closeCompare: '✕ Close Compare'
+  },
+  audioSettings: {
+    speed: 'Speed:',
+    repeat: 'Repeat:',
+    gap: 'Gap:',
+    loop: '🔁 Loop single example'
+  },
+  deck: {
+    rename: '✏️ Rename',
+    delete: '🗑️ Delete deck',
+    namePrompt: 'Deck name',
+    deleteConfirm: 'Delete the deck "{name}"? Your notes are kept.'
+  },
+  flashcards: {
+    previous: '← Previous',
+    next: 'Next →',
+    cardOf: 'Card {current} of {total}',
+    shuffle: '🔀 Shuffle',
+    shuffleTitle: 'Shuffle cards and start from card #1',
+    reset: '↩️ Reset',
+    resetTitle: 'Reset to original order',
+    playAll: '▶️ Play All',
+    stop: '⏹️ Stop',
+    autoAdvanceTitle: 'Auto-advance through all flashcards',
+    stopAutoAdvanceTitle: 'Stop auto-advance',
+    groupConfusables: '⚖️ Group confusables',
+    groupConfusablesTitle: 'Put commonly confused grammar points next to each other',
+    swipe: 'Swipe over Flashcard to navigate',
+    showAnswer: '👀 Show Answer',
+    gradePrompt: 'How well did you remember it?',
+    gradeKey: 'Press {key}',
+    hintNavigate: '← → Arrow keys to navigate',
+    hintShowAnswer: 'Space to show answer',
+    hintGrade: '1-4 to grade',
+    hintExit: 'ESC to exit flashcard mode'
+  },
+  grades: {
+    again: 'Again',
+    hard: 'Hard',
+    good: 'Good',
+    easy: 'Easy'
+  },
+  grammar: {
+    meaning: 'Meaning:',
+    usage: 'Usage:',
+    senseiNote: '📝 Sensei Note:',
+    examples: 'Examples:',
+    addFavorite: 'Add to favorites',
+    removeFavorite: 'Remove from favorites',
+    playAllExamples: 'Play all examples',
+    stopAllExamples: 'Stop playing all examples',
+    playAudio: 'Play audio',
+    stopAudio: 'Stop audio',
+    translationFallback: 'No {language} translation yet, showing Myanmar'
+  },
+  empty: {
+    caughtUpTitle: '🎉 All Caught Up',
+    caughtUp: 'No grammar points are due today. Grade cards in flashcard mode to schedule them for review.',
+    deckTitle: '📚 Empty Deck',
+    deck: 'Use "➕ Add note" on any grammar point to add it to this deck.',
+    noResultsTitle: '🔍 No Results Found',
+    noResults: 'Try adjusting your search terms or filter settings.'
+  },
+  whatsNew: {
+    title: "🆕 What's New",
+    dismiss: 'Dismiss',
+    updated: 'The grammar data was updated.',
+    removed: '{count} grammar point(s) were removed.',
+    added: '➕ New grammar points',
+    corrected: '✏️ Corrected grammar points'
+  },
+  audio: {
+    unavailable: 'Audio file not available. Connect to the internet or download this level in 📥 Offline Audio.',
+    noSpeechVoice: 'This sentence has no recording and your browser has no Japanese text-to-speech voice.'
+  },
+  common: {
+    close: '✕ Close',
+    cancel: '✕ Cancel',
+    save: '💾 Save',
+    remove: 'Remove'
+  },
+  quiz: {
+    title: '📝 Quiz',
+    description: 'Questions are built from the {count} grammar points in your current filter.',
+    questions: 'Questions:',
+    type: 'Type:',
+    mixed: 'Mixed',
+    cloze: 'Fill in the blank',
+    meaningToGrammar: 'Meaning → Grammar',
+    grammarToMeaning: 'Grammar → Meaning',
+    confusablesTitle: 'Only points with commonly confused partners, which appear as the wrong options',
+    confusables: '⚖️ Confusable pairs ({count})',
+    start: '▶️ Start Quiz',
+    noPoints: 'No grammar points match the current filter.',
+    noConfusables: 'No grammar points in the current filter have confusable partners.',
+    progress: 'Question {current} / {total}',
+    clozeLabel: 'Choose the grammar that fills the blank',
+    meaningLabel: 'Which grammar has this meaning?',
+    patternLabel: 'What does this grammar mean?',
+    correct: '✅ Correct!',
+    answerIs: '❌ The answer is {answer}',
+    next: 'Next →',
+    seeResults: 'See Results',
+    results: '🏁 Results',
+    wrongTitle: 'Questions you got wrong',
+    yourAnswer: 'Your answer: {answer}',
+    correctAnswer: 'Correct: {answer}',
+    perfect: '🎉 Perfect score!',
+    retry: '🔁 Retry Mistakes',
+    newQuiz: '🆕 New Quiz'
+  },
+  exam: {
+    title: '🎓 Mock JLPT Grammar Test',
+    description: '文法 section style: choose the grammar that fills each blank. Answers are only revealed after you submit.',
+    level: 'Level:',
+    questions: '📝 {count} questions',
+    minutes: '⏱️ {count} minutes',
+    trend: 'Score trend (N{level})',
+    noAttempts: 'No attempts yet for this level.',
+    start: '▶️ Start Test',
+    previous: '← Previous',
+    next: 'Next →',
+    submit: '✔️ Submit',
+    confirmSubmit: '{count} question(s) are unanswered. Submit anyway?',
+    results: '🏁 N{level} Results',
+    correct: '✅ Correct',
+    wrong: '❌ Wrong',
+    unanswered: '⬜ Unanswered',
+    timeUsed: '⏱️ Time used',
+    target: '🎯 Target ({score}%)',
+    reached: 'Reached',
+    notYet: 'Not yet',
+    answers: 'Answers',
+    yourAnswer: 'Your answer: {answer}',
+    notAnswered: 'Not answered',
+    answer: 'Answer: {answer}',
+    openCard: '📖 Open grammar card',
+    tryAgain: '🔁 Try Again',
+    scoreTrend: '📈 Score Trend'
+  },
+  stats: {
+    title: '📊 Study Statistics',
+    streak: 'day streak',
+    longestStreak: 'longest streak',
+    today: 'today',
+    week: 'last 7 days',
+    total: 'total',
+    activity: 'Activity',
+    activityLabel: 'Study activity of the last {weeks} weeks',
+    dayEvents: '{day}: {count} study events',
+    less: 'Less',
+    more: 'More',
+    coverage: 'Coverage',
+    coverageTitle: '{seen} seen, {mastered} mastered of {total}',
+    coverageText: '{seen} seen · {mastered} mastered / {total}',
+    totals: 'Totals',
+    viewed: '🃏 {count} cards viewed',
+    revealed: '👀 {count} answers revealed',
+    played: '🔊 {count} sentences played',
+    quizAnswers: '📝 {count} quiz answers',
+    quizCorrect: '({percent}% correct)',
+    minutes: '{minutes}m',
+    hours: '{hours}h {minutes}m'
+  },
+  backup: {
+    title: '💾 Backup & Export',
+    dataTitle: 'Favorites, progress and notes',
+    dataDescription: 'Save a backup file to move your data to another device without signing in. Importing merges the file into your current data.',
+    exportJson: '⬇️ Export JSON',
+    exportCsv: '⬇️ Export CSV',
+    import: '⬆️ Import JSON / CSV',
+    imported: 'Imported {file}: {favorites} new favorite(s), {progress} review record(s) and {notes} note(s) added or updated.',
+    importFailed: '{file} could not be imported:',
+    ankiTitle: 'Anki deck',
+    ankiDescription: 'Export the {count} grammar points of {label} as an Anki deck (.apkg) with one note per grammar point.',
+    includeAudio: 'Include example audio',
+    exportAnki: '🃏 Export to Anki',
+    downloadingAudio: 'Downloading audio {done}/{total}...',
+    buildingDeck: 'Building deck...',
+    ankiExported: 'Exported {notes} notes with {audio} audio files.',
+    ankiMissingAudio: '{count} audio file(s) could not be downloaded.',
+    ankiCancelled: 'Anki export cancelled.',
+    ankiFailed: 'Anki export failed. Please check your internet connection and try again.'
+  },
+  audioPacks: {
+    title: '📥 Offline Audio',
+    description: 'Download the example audio of a level to listen without an internet connection.',
+    unsupported: 'Offline audio is not supported in this browser.',
+    voice: 'Voice:',
+    files: '{cached}/{total} files',
+    offline: '✅ Offline',
+    resume: '⬇️ Resume',
+    download: '⬇️ Download',
+    delete: '🗑️ Delete',
+    packBytes: 'Audio packs: {size}',
+    siteStorage: 'Site storage: {usage} of {quota}',
+    partial: 'N{level}: {count} file(s) could not be downloaded. Try again to resume.',
+    ready: 'N{level} audio is now available offline.',
+    cancelled: 'N{level} download cancelled. Downloaded files are kept.',
+    failed: 'Download failed. Please check your internet connection and try again.',
+    deleteConfirm: 'Delete the offline N{level} audio?',
+    deleted: 'N{level} audio deleted.',
+    deleteFailed: 'Could not delete the audio pack.'
+  },
+  note: {
+    myNote: '🗒️ My Note:',
+    myExamples: 'My Examples:',
+    stop: 'Stop',
+    listen: 'Listen (browser text-to-speech)',
+    showDeck: 'Show the {name} deck',
+    showTag: 'Show points tagged #{tag}',
+    editTitle: 'Edit your note',
+    addTitle: 'Add a note, tags or decks',
+    edit: '✏️ Edit note',
+    add: '➕ Add note',
+    noteLabel: '🗒️ My Note',
+    notePlaceholder: 'Anything you want to remember about this grammar point',
+    examplesLabel: 'My Examples (one per line)',
+    tagsLabel: 'Tags (separated by commas)',
+    tagsPlaceholder: 'e.g. confusing, week-3',
+    decks: 'Decks',
+    newDeckPlaceholder: 'New deck name',
+    createDeck: '➕ Create',
+    deckNameRequired: 'Deck name is required',
+    tooManyDecks: 'You can have at most {count} decks'
+  },
+  auth: {
+    signingIn: 'Signing in...',
+    signIn: 'Sign in with Google',
+    user: 'User',
+    syncTitle: 'Sync favorites and progress from cloud',
+    signOut: 'Sign out',
+    syncing: 'Syncing...',
+    justSynced: 'Just synced',
+    syncedMinutes: 'Synced {count}m ago',
+    syncedHours: 'Synced {count}h ago',
+    syncedRecently: 'Synced recently',
+    notSynced: 'Not synced',
+    signInCancelled: 'Sign-in was cancelled',
+    popupBlocked: 'Pop-up was blocked. Please allow pop-ups and try again.',
+    signInFailed: 'Failed to sign in. Please try again.',
+    signOutFailed: 'Failed to sign out. Please try again.',
+    syncFailed: 'Failed to sync favorites. Please try again.',
+    initFailed: 'Failed to initialize authentication'
+  },
+  reminders: {
+    title: '🔔 Daily Reminders',
+    description: 'Get a notification every day at the time you choose, with a grammar point of the day that opens straight to its card.',
+    unsupported: 'Notifications are not supported in this browser.',
+    blocked: "Notifications are blocked for this site. Allow them in the browser's site settings to get reminders.",
+    enable: 'Remind me to study every day',
+    time: 'Time:',
+    level: 'Grammar from:',
+    allLevels: 'All levels',
+    grammarOfTheDay: 'Grammar point of the day',
+    quietHours: 'Quiet hours:',
+    next: 'Next: {time} · {title}',
+    test: '🔔 Send a test notification',
+    deliveryTriggers: 'Reminders are scheduled with the browser and arrive even when the app is closed.',
+    deliveryPeriodic: 'Reminders are checked in the background a few times a day, so they may arrive a little late when the app is closed.',
+    deliveryInApp: 'This browser can only show reminders while the app is open. Installing the app and keeping it open in the background helps.',
+    notificationTitle: '📖 Time to study Japanese grammar',
+    notificationBody: 'A few minutes of grammar keeps your streak going.'
+  },
+  typing: {
+    title: '⌨️ Typing Practice',
+    description: 'Read the translation of an example and write it in Japanese. Type with a Japanese IME, in kana or in romaji; kanji may be written in kana.',
+    sentences: 'Sentences:',
+    write: 'Write:',
+    wholeSentence: 'The whole sentence',
+    grammarPart: 'Only the grammar part',
+    start: '▶️ Start',
+    noPoints: 'No grammar points match the current filter.',
+    noExercises: 'No examples in the current filter can be used for this exercise.',
+    progress: 'Sentence {current} / {total}',
+    grammarLabel: 'Fill in the grammar part',
+    sentenceLabel: 'Write this sentence in Japanese',
+    correct: '✅ Correct!',
+    notQuite: '❌ Not quite',
+    missing: 'missing',
+    notExpected: 'not expected',
+    check: '✔️ Check',
+    showAnswer: '🙈 Show answer',
+    next: 'Next →',
+    seeResults: 'See Results',
+    results: '🏁 Results',
+    summary: '{correct} / {total} written correctly',
+    missedTitle: 'Sentences to practise again',
+    yourAnswer: 'Your answer: {answer}',
+    retry: '🔁 Retry Mistakes',
+    newPractice: '🆕 New Practice'
+  },
+  classroom: {
+    title: '🏫 Classroom',
+    unavailable: 'Classroom mode needs the Firebase sync backend.',
+    signIn: 'Sign in to join a class with a code from your teacher, or to create a class and assign grammar points.',
+    myClasses: '🎒 My classes',
+    teaching: '🧑‍🏫 Teaching',
+    codePlaceholder: 'Class code',
+    join: 'Join',
+    noJoined: "You haven't joined a class yet.",
+    leave: 'Leave',
+    noAssignments: 'No assignments yet.',
+    due: '· due {date}',
+    studied: '{studied}/{total} studied',
+    quizPercent: '· quiz {percent}%',
+    study: 'Study',
+    classNamePlaceholder: 'New class name',
+    createClass: 'Create class',
+    noTeaching: "You don't teach a class yet.",
+    class: 'Class:',
+    joinCode: 'Join code:',
+    newAssignment: 'New assignment',
+    titlePlaceholder: 'Title, e.g. Week 3',
+    numbersPlaceholder: 'Grammar numbers, e.g. 120-140, 150',
+    assign: 'Assign',
+    pointCount: 'Grammar points: {count}',
+    notFound: '· not found: {numbers}',
+    progress: 'Progress',
+    loading: 'Loading…',
+    refresh: '↻ Refresh',
+    noStudents: 'No students yet. Share the join code with your class.',
+    student: 'Student',
+    studiedColumn: 'Studied',
+    quiz: 'Quiz',
+    lastActive: 'Last active',
+    notAllowed: 'You are not allowed to do this.',
+    joined: 'Joined {name}',
+    confirmLeave: 'Leave {name}? Your progress in this class will be removed.',
+    created: 'Created {name}. Students join with the code {code}.',
+    tooManyAssignments: 'A class can have at most {count} assignments',
+    confirmRemove: 'Remove {title}? Students will no longer see it.',
+    loadFailed: 'Could not load the students of this class.',
+    signInRequired: 'Sign in to use classroom mode',
+    invalidCode: 'Class codes have 6 letters and digits',
+    tooManyClasses: 'You can be in at most {count} classes',
+    codeNotFound: 'No class with this code'
+  },
+  compare: {
+    title: '⚖️ Compare Grammar',
+    maxPoints: 'Up to {count} points',
+    addPoint: '➕ Add a grammar point...',
+    suggestions: 'Often confused / related',
+    hint: 'Add at least two grammar points to compare them.',
+    open: 'Open this grammar point',
+    remove: 'Remove from comparison',
+    meaning: 'Meaning',
+    usage: 'Usage',
+    senseiNote: '📝 Sensei Note',
+    examples: 'Examples'
+  },
+  seeAlso: {
+    contrast: '⚠️ Often confused with:',
+    related: '🔗 See also:',
+    samePattern: '📚 Also taught at:',
+    open: 'Open N{level} {pattern}',
+    compareTitle: 'Compare side by side',
+    compare: '⚖️ Compare'
+  },
+  builder: {
+    show: '🧩 Build a sentence',
+    hide: '🧩 Hide sentence builder',
+    connectsTo: 'Connects to:',
+    pattern: 'Pattern:',
+    verb: 'Verb',
+    noun: 'Noun',
+    wordPlaceholder: 'Dictionary form',
+    type: 'Type:',
+    godan: 'Godan (う-verb)',
+    ichidan: 'Ichidan (る-verb)',
+    suru: 'する verb',
+    listen: 'Listen (browser text-to-speech)',
+    empty: 'Type a word in dictionary form to see it attached to the pattern.',
+    hint: 'Built from the usage rule; irregular words and set phrases may differ.',
+    iAdj: 'い-adj',
+    naAdj: 'な-adj',
+    kuru: '来る'
+  },
+  backupErrors: {
+    notJsonOrCsv: 'The file is not valid JSON or CSV',
+    invalid: "The backup file can't be imported",
+    favoritesList: 'Favorites list must only contain grammar numbers',
+    notBackup: 'This is not a JLPT Bunpou backup file',
+    newerFormat: 'This backup was made by a newer version of the app',
+    newerUserState: 'The user state in this backup was written by a newer version of the app',
+    notObject: '{field} must be an object',
+    invalidFavorite: 'Invalid favorite entry for grammar no. {key}',
+    unknownSection: 'Unknown user state section "{section}"',
+    unknownKey: 'Unknown {section} key "{key}"',
+    invalidEntry: 'Invalid {section} entry "{key}"',
+    invalidValue: 'Invalid {section} value for "{key}"',
+    csvHeader: 'The CSV file needs a header row with a "no" column',
+    csvUnknownNo: 'Line {line}: unknown grammar number "{no}"',
+    csvDate: 'Line {line}: srs_due is not a date'
+  }
+}
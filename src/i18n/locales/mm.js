@@ -0,0 +1,462 @@
+// Myanmar interface messages; missing keys fall back to English
+export default {
+  app: {
+    title: '🇯🇵 JLPT သဒ္ဒါလမ်းညွှန်',
+    subtitle: 'သဒ္ဒါအချက်များ',
+    subtitleDetail: 'ဂျပန်ဘာသာစကား စွမ်းရည်စစ်ဆေးမှု (JLPT) အတွက်',
+    backToTop: 'အပေါ်သို့ ပြန်သွားရန်'
+  },
+  loading: {
+    grammar: 'သဒ္ဒါဒေတာများ ဖွင့်နေသည်...',
+    filtering: 'သဒ္ဒါအချက်များကို စစ်ထုတ်နေသည်...',
+    toList: 'စာရင်းပုံစံသို့ ပြောင်းနေသည်...',
+    toFlashcards: 'Flashcard ပုံစံသို့ ပြောင်းနေသည်...'
+  },
+  error: {
+    title: '❌ ဒေတာဖွင့်၍ မရပါ',
+    retry: 'ထပ်ကြိုးစားရန်',
+    loadFailed: 'သဒ္ဒါဒေတာကို ဖွင့်၍မရပါ။ အင်တာနက်ချိတ်ဆက်မှုကို စစ်ဆေးပြီး ထပ်ကြိုးစားပါ။'
+  },
+  filters: {
+    level: 'JLPT အဆင့်:',
+    allLevels: 'အဆင့်အားလုံး ({count})',
+    favorites: '⭐ အကြိုက်ဆုံးများ ({count})',
+    due: '📅 ယနေ့ ပြန်လေ့ကျင့်ရန် ({count})',
+    myDecks: 'ကျွန်ုပ်၏ Deck များ',
+    myTags: 'ကျွန်ုပ်၏ Tag များ',
+    assignments: 'အတန်း အိမ်စာများ',
+    search: 'သဒ္ဒါအချက်များ ရှာရန်...',
+    voice: 'အသံ:',
+    audioSettings: 'ဖွင့်နှုန်း၊ ထပ်ဖွင့်ခြင်းနှင့် လှည့်ဖွင့်ခြင်း',
+    uiLanguage: 'ဘာသာစကား:',
+    translationLanguage: 'ဘာသာပြန်:',
+    showing: 'သဒ္ဒါအချက် {total} ခုအနက် {shown} ခုကို ပြသထားသည်'
+  },
+  filterLabel: {
+    level: 'N{level} သဒ္ဒါ',
+    all: 'အဆင့်အားလုံး',
+    favorites: 'အကြိုက်ဆုံးများ',
+    due: 'ပြန်လေ့ကျင့်ရန်'
+  },
+  voices: {
+    male: '👨 အမျိုးသားအသံ',
+    female: '👩 အမျိုးသမီးအသံ',
+    browserVoices: 'ဘရောက်ဆာ အသံများ (text-to-speech)'
+  },
+  panels: {
+    listView: '📋 စာရင်းပုံစံ',
+    flashcards: '🃏 Flashcard ပုံစံ',
+    quiz: '📝 Quiz',
+    closeQuiz: '✕ Quiz ပိတ်ရန်',
+    typing: '⌨️ ရိုက်ရေးလေ့ကျင့်ရန်',
+    closeTyping: '✕ ရိုက်ရေးလေ့ကျင့်ခြင်း ပိတ်ရန်',
+    exam: '🎓 စမ်းသပ်စာမေးပွဲ',
+    closeExam: '✕ စာမေးပွဲ ပိတ်ရန်',
+    audio: '📥 အော့ဖ်လိုင်းအသံ',
+    closeAudio: '✕ အသံ ပိတ်ရန်',
+    stats: '📊 စာရင်းအင်း',
+    closeStats: '✕ စာရင်းအင်း ပိတ်ရန်',
+    reminders: '🔔 သတိပေးချက်',
+    closeReminders: '✕ သတိပေးချက် ပိတ်ရန်',
+    classroom: '🏫 အတန်း',
+    closeClassroom: '✕ အတန်း ပိတ်ရန်',
+    backup: '💾 Backup',
+    closeBackup: '✕ Backup ပိတ်ရန်',
+    compare: '⚖️ နှိုင်းယှဉ်ရန်',
+    closeCompare: '✕ နှိုင်းယှဉ်ခြင်း ပိတ်ရန်'
+  },
+  audioSettings: {
+    speed: 'နှုန်း:',
+    repeat: 'ထပ်ဖွင့်:',
+    gap: 'ကြားချိန်:',
+    loop: '🔁 ဥပမာတစ်ခုတည်း လှည့်ဖွင့်ရန်'
+  },
+  deck: {
+    rename: '✏️ အမည်ပြောင်းရန်',
+    delete: '🗑️ Deck ဖျက်ရန်',
+    namePrompt: 'Deck အမည်',
+    deleteConfirm: '"{name}" Deck ကို ဖျက်မလား။ မှတ်စုများ မပျက်ပါ။'
+  },
+  flashcards: {
+    previous: '← ရှေ့သို့',
+    next: 'နောက်သို့ →',
+    cardOf: 'ကတ် {total} ခုအနက် {current}',
+    shuffle: '🔀 ရောမွှေရန်',
+    shuffleTitle: 'ကတ်များကို ရောမွှေပြီး ပထမကတ်မှ စရန်',
+    reset: '↩️ မူလအတိုင်း',
+    resetTitle: 'မူလအစီအစဉ်သို့ ပြန်ထားရန်',
+    playAll: '▶️ အားလုံးဖွင့်ရန်',
+    stop: '⏹️ ရပ်ရန်',
+    autoAdvanceTitle: 'Flashcard အားလုံးကို အလိုအလျောက် ဆက်သွားရန်',
+    stopAutoAdvanceTitle: 'အလိုအလျောက် ဆက်သွားခြင်း ရပ်ရန်',
+    groupConfusables: '⚖️ ရောထွေးတတ်သည်များ စုရန်',
+    groupConfusablesTitle: 'မှားတတ်သော သဒ္ဒါအချက်များကို ဘေးချင်းကပ်ထားရန်',
+    swipe: 'Flashcard ပေါ်တွင် ပွတ်ဆွဲ၍ ရွှေ့ပါ',
+    showAnswer: '👀 အဖြေပြရန်',
+    gradePrompt: 'ဘယ်လောက် မှတ်မိသလဲ။',
+    gradeKey: '{key} ကို နှိပ်ပါ',
+    hintNavigate: '← → မြှားခလုတ်များဖြင့် ရွှေ့ရန်',
+    hintShowAnswer: 'Space ဖြင့် အဖြေပြရန်',
+    hintGrade: '1-4 ဖြင့် အမှတ်ပေးရန်',
+    hintExit: 'ESC ဖြင့် Flashcard မှ ထွက်ရန်'
+  },
+  grades: {
+    again: 'ထပ်မံ',
+    hard: 'ခက်',
+    good: 'ကောင်း',
+    easy: 'လွယ်'
+  },
+  grammar: {
+    meaning: 'အဓိပ္ပာယ်:',
+    usage: 'အသုံးပြုပုံ:',
+    senseiNote: '📝 ဆရာ့မှတ်ချက်:',
+    examples: 'ဥပမာများ:',
+    addFavorite: 'အကြိုက်ဆုံးထဲ ထည့်ရန်',
+    removeFavorite: 'အကြိုက်ဆုံးမှ ဖယ်ရန်',
+    playAllExamples: 'ဥပမာအားလုံး ဖွင့်ရန်',
+    stopAllExamples: 'ဥပမာအားလုံး ဖွင့်ခြင်း ရပ်ရန်',
+    playAudio: 'အသံဖွင့်ရန်',
+    stopAudio: 'အသံရပ်ရန်',
+    translationFallback: '{language} ဘာသာပြန် မရှိသေးပါ၊ မြန်မာဘာသာဖြင့် ပြသထားသည်'
+  },
+  empty: {
+    caughtUpTitle: '🎉 အားလုံး ပြီးပါပြီ',
+    caughtUp: 'ယနေ့ ပြန်လေ့ကျင့်ရန် သဒ္ဒါအချက် မရှိပါ။ ပြန်လေ့ကျင့်ရန် အချိန်ဇယားဆွဲရန် Flashcard ပုံစံတွင် ကတ်များကို အမှတ်ပေးပါ။',
+    deckTitle: '📚 Deck ဗလာ',
+    deck: 'ဤ Deck ထဲ ထည့်ရန် မည်သည့်သဒ္ဒါအချက်တွင်မဆို "➕ Add note" ကို သုံးပါ။',
+    noResultsTitle: '🔍 ရလဒ် မတွေ့ပါ',
+    noResults: 'ရှာဖွေသည့် စကားလုံး သို့မဟုတ် စစ်ထုတ်မှုကို ပြောင်းကြည့်ပါ။'
+  },
+  whatsNew: {
+    title: '🆕 အသစ်များ',
+    dismiss: 'ပိတ်ရန်',
+    updated: 'သဒ္ဒါဒေတာကို အပ်ဒိတ်လုပ်ထားပါသည်။',
+    removed: 'သဒ္ဒါအချက် {count} ခုကို ဖယ်ရှားထားပါသည်။',
+    added: '➕ သဒ္ဒါအချက်အသစ်များ',
+    corrected: '✏️ ပြင်ဆင်ထားသော သဒ္ဒါအချက်များ'
+  },
+  audio: {
+    unavailable: 'အသံဖိုင် မရနိုင်ပါ။ အင်တာနက်ချိတ်ပါ သို့မဟုတ် 📥 အော့ဖ်လိုင်းအသံ တွင် ဤအဆင့်ကို ဒေါင်းလုဒ်လုပ်ပါ။',
+    noSpeechVoice: 'ဤဝါကျအတွက် အသံဖိုင် မရှိပါ၊ သင့်ဘရောက်ဆာတွင်လည်း ဂျပန် text-to-speech အသံ မရှိပါ။'
+  },
+  common: {
+    close: '✕ ပိတ်ရန်',
+    cancel: '✕ မလုပ်တော့ပါ',
+    save: '💾 သိမ်းရန်',
+    remove: 'ဖယ်ရန်'
+  },
+  quiz: {
+    title: '📝 Quiz',
+    description: 'လက်ရှိ စစ်ထုတ်ထားသော သဒ္ဒါအချက် {count} ခုမှ မေးခွန်းများ ပြုလုပ်ပါသည်။',
+    questions: 'မေးခွန်း:',
+    type: 'အမျိုးအစား:',
+    mixed: 'ရောနှော',
+    cloze: 'ကွက်လပ်ဖြည့်',
+    meaningToGrammar: 'အဓိပ္ပာယ် → သဒ္ဒါ',
+    grammarToMeaning: 'သဒ္ဒါ → အဓိပ္ပာယ်',
+    confusablesTitle: 'မှားတတ်သော အတွဲရှိသည့် အချက်များသာ၊ ၎င်းတို့ကို အဖြေမှားများအဖြစ် ပြပါမည်',
+    confusables: '⚖️ ရောထွေးတတ်သော အတွဲများ ({count})',
+    start: '▶️ Quiz စရန်',
+    noPoints: 'လက်ရှိ စစ်ထုတ်မှုနှင့် ကိုက်ညီသော သဒ္ဒါအချက် မရှိပါ။',
+    noConfusables: 'လက်ရှိ စစ်ထုတ်မှုတွင် ရောထွေးတတ်သော အတွဲရှိသည့် သဒ္ဒါအချက် မရှိပါ။',
+    progress: 'မေးခွန်း {current} / {total}',
+    clozeLabel: 'ကွက်လပ်တွင် ဖြည့်ရမည့် သဒ္ဒါကို ရွေးပါ',
+    meaningLabel: 'ဤအဓိပ္ပာယ်ရှိသော သဒ္ဒါက ဘယ်ဟာလဲ။',
+    patternLabel: 'ဤသဒ္ဒါ၏ အဓိပ္ပာယ်က ဘာလဲ။',
+    correct: '✅ မှန်ပါတယ်!',
+    answerIs: '❌ အဖြေမှာ {answer} ဖြစ်ပါသည်',
+    next: 'နောက်တစ်ခု →',
+    seeResults: 'ရလဒ် ကြည့်ရန်',
+    results: '🏁 ရလဒ်',
+    wrongTitle: 'မှားခဲ့သော မေးခွန်းများ',
+    yourAnswer: 'သင့်အဖြေ: {answer}',
+    correctAnswer: 'အဖြေမှန်: {answer}',
+    perfect: '🎉 အမှတ်ပြည့်!',
+    retry: '🔁 အမှားများ ပြန်ဖြေရန်',
+    newQuiz: '🆕 Quiz အသစ်'
+  },
+  exam: {
+    title: '🎓 JLPT သဒ္ဒါ စမ်းသပ်စာမေးပွဲ',
+    description: '文法 အပိုင်းပုံစံ: ကွက်လပ်တိုင်းတွင် ဖြည့်ရမည့် သဒ္ဒါကို ရွေးပါ။ အဖြေများကို တင်သွင်းပြီးမှသာ ပြပါမည်။',
+    level: 'အဆင့်:',
+    questions: '📝 မေးခွန်း {count} ခု',
+    minutes: '⏱️ {count} မိနစ်',
+    trend: 'ရမှတ် အပြောင်းအလဲ (N{level})',
+    noAttempts: 'ဤအဆင့်အတွက် မဖြေရသေးပါ။',
+    start: '▶️ စာမေးပွဲ စရန်',
+    previous: '← ရှေ့သို့',
+    next: 'နောက်သို့ →',
+    submit: '✔️ တင်သွင်းရန်',
+    confirmSubmit: 'မေးခွန်း {count} ခု မဖြေရသေးပါ။ တင်သွင်းမလား။',
+    results: '🏁 N{level} ရလဒ်',
+    correct: '✅ မှန်',
+    wrong: '❌ မှား',
+    unanswered: '⬜ မဖြေရသေး',
+    timeUsed: '⏱️ ကြာချိန်',
+    target: '🎯 ပန်းတိုင် ({score}%)',
+    reached: 'ရောက်ပြီ',
+    notYet: 'မရောက်သေး',
+    answers: 'အဖြေများ',
+    yourAnswer: 'သင့်အဖြေ: {answer}',
+    notAnswered: 'မဖြေခဲ့ပါ',
+    answer: 'အဖြေ: {answer}',
+    openCard: '📖 သဒ္ဒါကတ် ဖွင့်ရန်',
+    tryAgain: '🔁 ထပ်ဖြေရန်',
+    scoreTrend: '📈 ရမှတ် အပြောင်းအလဲ'
+  },
+  stats: {
+    title: '📊 လေ့လာမှု စာရင်းအင်း',
+    streak: 'ရက်ဆက်',
+    longestStreak: 'အရှည်ဆုံး ရက်ဆက်',
+    today: 'ယနေ့',
+    week: 'နောက်ဆုံး ၇ ရက်',
+    total: 'စုစုပေါင်း',
+    activity: 'လှုပ်ရှားမှု',
+    activityLabel: 'နောက်ဆုံး {weeks} ပတ်၏ လေ့လာမှု',
+    dayEvents: '{day}: လေ့လာမှု {count} ကြိမ်',
+    less: 'နည်း',
+    more: 'များ',
+    coverage: 'လေ့လာပြီးသမျှ',
+    coverageTitle: '{total} ခုအနက် {seen} ခု မြင်ပြီး၊ {mastered} ခု ကျွမ်းကျင်ပြီး',
+    coverageText: '{seen} မြင်ပြီး · {mastered} ကျွမ်းကျင်ပြီး / {total}',
+    totals: 'စုစုပေါင်း',
+    viewed: '🃏 ကတ် {count} ခု ကြည့်ပြီး',
+    revealed: '👀 အဖြေ {count} ခု ကြည့်ပြီး',
+    played: '🔊 ဝါကျ {count} ခု ဖွင့်ပြီး',
+    quizAnswers: '📝 Quiz အဖြေ {count} ခု',
+    quizCorrect: '({percent}% မှန်)',
+    minutes: '{minutes} မိနစ်',
+    hours: '{hours} နာရီ {minutes} မိနစ်'
+  },
+  backup: {
+    title: '💾 Backup နှင့် Export',
+    dataTitle: 'အကြိုက်ဆုံး၊ တိုးတက်မှုနှင့် မှတ်စုများ',
+    dataDescription: 'အကောင့်ဝင်စရာမလိုဘဲ အခြားစက်သို့ ဒေတာရွှေ့ရန် Backup ဖိုင် သိမ်းပါ။ Import လုပ်လျှင် ဖိုင်ကို လက်ရှိဒေတာနှင့် ပေါင်းပါမည်။',
+    exportJson: '⬇️ JSON Export',
+    exportCsv: '⬇️ CSV Export',
+    import: '⬆️ JSON / CSV Import',
+    imported: '{file} ကို Import လုပ်ပြီး: အကြိုက်ဆုံးအသစ် {favorites} ခု၊ ပြန်လေ့ကျင့်မှတ်တမ်း {progress} ခုနှင့် မှတ်စု {notes} ခု ထည့်/ပြင်ပြီး။',
+    importFailed: '{file} ကို Import မလုပ်နိုင်ပါ:',
+    ankiTitle: 'Anki Deck',
+    ankiDescription: '{label} ၏ သဒ္ဒါအချက် {count} ခုကို သဒ္ဒါအချက်တစ်ခုလျှင် မှတ်စုတစ်ခုဖြင့် Anki Deck (.apkg) အဖြစ် Export လုပ်ပါ။',
+    includeAudio: 'ဥပမာအသံ ထည့်ရန်',
+    exportAnki: '🃏 Anki သို့ Export',
+    downloadingAudio: 'အသံ ဒေါင်းလုဒ်လုပ်နေသည် {done}/{total}...',
+    buildingDeck: 'Deck ပြုလုပ်နေသည်...',
+    ankiExported: 'မှတ်စု {notes} ခုနှင့် အသံဖိုင် {audio} ခု Export လုပ်ပြီး။',
+    ankiMissingAudio: 'အသံဖိုင် {count} ခု ဒေါင်းလုဒ် မလုပ်နိုင်ပါ။',
+    ankiCancelled: 'Anki Export ကို ရပ်လိုက်ပါပြီ။',
+    ankiFailed: 'Anki Export မအောင်မြင်ပါ။ အင်တာနက်ချိတ်ဆက်မှုကို စစ်ပြီး ထပ်ကြိုးစားပါ။'
+  },
+  audioPacks: {
+    title: '📥 အော့ဖ်လိုင်းအသံ',
+    description: 'အင်တာနက်မလိုဘဲ နားထောင်နိုင်ရန် အဆင့်တစ်ခု၏ ဥပမာအသံများကို ဒေါင်းလုဒ်လုပ်ပါ။',
+    unsupported: 'ဤဘရောက်ဆာတွင် အော့ဖ်လိုင်းအသံ မရနိုင်ပါ။',
+    voice: 'အသံ:',
+    files: 'ဖိုင် {cached}/{total}',
+    offline: '✅ အော့ဖ်လိုင်း ရပြီ',
+    resume: '⬇️ ဆက်ဒေါင်းရန်',
+    download: '⬇️ ဒေါင်းလုဒ်',
+    delete: '🗑️ ဖျက်ရန်',
+    packBytes: 'အသံအစုများ: {size}',
+    siteStorage: 'ဆိုက်သိုလှောင်မှု: {quota} အနက် {usage}',
+    partial: 'N{level}: ဖိုင် {count} ခု ဒေါင်းလုဒ် မလုပ်နိုင်ပါ။ ဆက်ဒေါင်းရန် ထပ်ကြိုးစားပါ။',
+    ready: 'N{level} အသံကို ယခု အော့ဖ်လိုင်း နားထောင်နိုင်ပါပြီ။',
+    cancelled: 'N{level} ဒေါင်းလုဒ်ကို ရပ်လိုက်ပါပြီ။ ဒေါင်းပြီးသားဖိုင်များ ကျန်ပါမည်။',
+    failed: 'ဒေါင်းလုဒ် မအောင်မြင်ပါ။ အင်တာနက်ချိတ်ဆက်မှုကို စစ်ပြီး ထပ်ကြိုးစားပါ။',
+    deleteConfirm: 'အော့ဖ်လိုင်း N{level} အသံကို ဖျက်မလား။',
+    deleted: 'N{level} အသံကို ဖျက်ပြီးပါပြီ။',
+    deleteFailed: 'အသံအစုကို မဖျက်နိုင်ပါ။'
+  },
+  note: {
+    myNote: '🗒️ ကိုယ့်မှတ်စု:',
+    myExamples: 'ကိုယ့်ဥပမာများ:',
+    stop: 'ရပ်ရန်',
+    listen: 'နားထောင်ရန် (ဘရောက်ဆာ text-to-speech)',
+    showDeck: '{name} Deck ကို ပြရန်',
+    showTag: '#{tag} တဂ်ပါသော အချက်များကို ပြရန်',
+    editTitle: 'မှတ်စုကို ပြင်ရန်',
+    addTitle: 'မှတ်စု၊ တဂ် သို့မဟုတ် Deck ထည့်ရန်',
+    edit: '✏️ မှတ်စု ပြင်ရန်',
+    add: '➕ မှတ်စု ထည့်ရန်',
+    noteLabel: '🗒️ ကိုယ့်မှတ်စု',
+    notePlaceholder: 'ဤသဒ္ဒါအချက်နှင့်ပတ်သက်၍ မှတ်ထားချင်သည့် အရာ',
+    examplesLabel: 'ကိုယ့်ဥပမာများ (တစ်ကြောင်းလျှင် တစ်ခု)',
+    tagsLabel: 'တဂ်များ (ကော်မာဖြင့် ခွဲပါ)',
+    tagsPlaceholder: 'ဥပမာ confusing, week-3',
+    decks: 'Deck များ',
+    newDeckPlaceholder: 'Deck အမည်သစ်',
+    createDeck: '➕ ဖန်တီးရန်',
+    deckNameRequired: 'Deck အမည် လိုအပ်ပါသည်',
+    tooManyDecks: 'Deck အများဆုံး {count} ခုသာ ရှိနိုင်ပါသည်'
+  },
+  auth: {
+    signingIn: 'အကောင့်ဝင်နေသည်...',
+    signIn: 'Google ဖြင့် အကောင့်ဝင်ရန်',
+    user: 'အသုံးပြုသူ',
+    syncTitle: 'Cloud မှ အကြိုက်ဆုံးနှင့် တိုးတက်မှုကို Sync လုပ်ရန်',
+    signOut: 'အကောင့်ထွက်ရန်',
+    syncing: 'Sync လုပ်နေသည်...',
+    justSynced: 'ယခုပဲ Sync လုပ်ပြီး',
+    syncedMinutes: '{count} မိနစ်က Sync လုပ်ပြီး',
+    syncedHours: '{count} နာရီက Sync လုပ်ပြီး',
+    syncedRecently: 'မကြာသေးမီက Sync လုပ်ပြီး',
+    notSynced: 'Sync မလုပ်ရသေးပါ',
+    signInCancelled: 'အကောင့်ဝင်ခြင်းကို ရပ်လိုက်ပါသည်',
+    popupBlocked: 'Pop-up ကို ပိတ်ထားပါသည်။ Pop-up ခွင့်ပြုပြီး ထပ်ကြိုးစားပါ။',
+    signInFailed: 'အကောင့်ဝင်၍ မရပါ။ ထပ်ကြိုးစားပါ။',
+    signOutFailed: 'အကောင့်ထွက်၍ မရပါ။ ထပ်ကြိုးစားပါ။',
+    syncFailed: 'အကြိုက်ဆုံးများကို Sync လုပ်၍ မရပါ။ ထပ်ကြိုးစားပါ။',
+    initFailed: 'အကောင့်စနစ်ကို စတင်၍ မရပါ'
+  },
+  reminders: {
+    title: '🔔 နေ့စဉ် သတိပေးချက်များ',
+    description: 'သင်ရွေးသော အချိန်တွင် နေ့စဉ် အသိပေးချက် ရယူပါ။ ယနေ့၏ သဒ္ဒါအချက်ကို နှိပ်လျှင် ၎င်း၏ ကတ်သို့ တိုက်ရိုက် ရောက်ပါမည်။',
+    unsupported: 'ဤ browser တွင် အသိပေးချက်များကို မပံ့ပိုးပါ။',
+    blocked: 'ဤဆိုက်အတွက် အသိပေးချက်များကို ပိတ်ထားပါသည်။ သတိပေးချက်ရယူရန် browser ၏ ဆိုက်ဆက်တင်တွင် ခွင့်ပြုပါ။',
+    enable: 'နေ့စဉ် လေ့လာရန် သတိပေးပါ',
+    time: 'အချိန်:',
+    level: 'သဒ္ဒါ အဆင့်:',
+    allLevels: 'အဆင့်အားလုံး',
+    grammarOfTheDay: 'ယနေ့၏ သဒ္ဒါအချက်',
+    quietHours: 'အသံတိတ်ချိန်:',
+    next: 'နောက်တစ်ကြိမ်: {time} · {title}',
+    test: '🔔 စမ်းသပ် အသိပေးချက် ပို့ရန်',
+    deliveryTriggers: 'သတိပေးချက်များကို browser တွင် စီစဉ်ထားသဖြင့် app ပိတ်ထားလျှင်လည်း ရောက်ပါမည်။',
+    deliveryPeriodic: 'သတိပေးချက်များကို နောက်ခံတွင် တစ်နေ့ အကြိမ်အနည်းငယ် စစ်ဆေးသဖြင့် app ပိတ်ထားလျှင် အနည်းငယ် နောက်ကျနိုင်ပါသည်။',
+    deliveryInApp: 'ဤ browser သည် app ဖွင့်ထားစဉ်သာ သတိပေးချက်များကို ပြနိုင်ပါသည်။ App ကို install လုပ်ပြီး နောက်ခံတွင် ဖွင့်ထားပါက အထောက်အကူဖြစ်ပါသည်။',
+    notificationTitle: '📖 ဂျပန်သဒ္ဒါ လေ့လာချိန် ရောက်ပါပြီ',
+    notificationBody: 'သဒ္ဒါ မိနစ်အနည်းငယ် လေ့လာခြင်းဖြင့် streak ကို ဆက်ထိန်းထားပါ။'
+  },
+  typing: {
+    title: '⌨️ စာရိုက် လေ့ကျင့်ခန်း',
+    description: 'ဥပမာ၏ ဘာသာပြန်ကို ဖတ်ပြီး ဂျပန်လို ရေးပါ။ ဂျပန် IME၊ kana သို့မဟုတ် romaji ဖြင့် ရိုက်နိုင်ပြီး kanji ကို kana ဖြင့် ရေးနိုင်ပါသည်။',
+    sentences: 'ဝါကျ:',
+    write: 'ရေးရန်:',
+    wholeSentence: 'ဝါကျ တစ်ခုလုံး',
+    grammarPart: 'သဒ္ဒါအပိုင်းသာ',
+    start: '▶️ စတင်ရန်',
+    noPoints: 'လက်ရှိ filter နှင့် ကိုက်ညီသော သဒ္ဒါ မရှိပါ။',
+    noExercises: 'လက်ရှိ filter ရှိ ဥပမာများကို ဤလေ့ကျင့်ခန်းအတွက် အသုံးမပြုနိုင်ပါ။',
+    progress: 'ဝါကျ {current} / {total}',
+    grammarLabel: 'သဒ္ဒါအပိုင်းကို ဖြည့်ပါ',
+    sentenceLabel: 'ဤဝါကျကို ဂျပန်လို ရေးပါ',
+    correct: '✅ မှန်ပါသည်!',
+    notQuite: '❌ မမှန်သေးပါ',
+    missing: 'ကျန်နေသည်',
+    notExpected: 'မလိုအပ်ပါ',
+    check: '✔️ စစ်ရန်',
+    showAnswer: '🙈 အဖြေပြရန်',
+    next: 'နောက်တစ်ခု →',
+    seeResults: 'ရလဒ်ကြည့်ရန်',
+    results: '🏁 ရလဒ်များ',
+    summary: '{total} ခုတွင် {correct} ခု မှန်ကန်စွာ ရေးခဲ့သည်',
+    missedTitle: 'ထပ်လေ့ကျင့်ရန် ဝါကျများ',
+    yourAnswer: 'သင့်အဖြေ: {answer}',
+    retry: '🔁 အမှားများ ပြန်လုပ်ရန်',
+    newPractice: '🆕 လေ့ကျင့်ခန်း အသစ်'
+  },
+  classroom: {
+    title: '🏫 စာသင်ခန်း',
+    unavailable: 'စာသင်ခန်းမုဒ်အတွက် Firebase sync backend လိုအပ်ပါသည်။',
+    signIn: 'ဆရာပေးသော ကုဒ်ဖြင့် အတန်းဝင်ရန် သို့မဟုတ် အတန်းဖန်တီးပြီး သဒ္ဒါအချက်များ သတ်မှတ်ရန် အကောင့်ဝင်ပါ။',
+    myClasses: '🎒 ကျွန်ုပ်၏ အတန်းများ',
+    teaching: '🧑‍🏫 သင်ကြားနေသော',
+    codePlaceholder: 'အတန်းကုဒ်',
+    join: 'ဝင်ရန်',
+    noJoined: 'အတန်းတစ်ခုမှ မဝင်ရသေးပါ။',
+    leave: 'ထွက်ရန်',
+    noAssignments: 'အိမ်စာ မရှိသေးပါ။',
+    due: '· {date} နောက်ဆုံးထား',
+    studied: '{total} ခုတွင် {studied} ခု လေ့လာပြီး',
+    quizPercent: '· Quiz {percent}%',
+    study: 'လေ့လာရန်',
+    classNamePlaceholder: 'အတန်းအမည် အသစ်',
+    createClass: 'အတန်းဖန်တီးရန်',
+    noTeaching: 'သင်ကြားနေသော အတန်း မရှိသေးပါ။',
+    class: 'အတန်း:',
+    joinCode: 'ဝင်ရန်ကုဒ်:',
+    newAssignment: 'အိမ်စာ အသစ်',
+    titlePlaceholder: 'ခေါင်းစဉ်၊ ဥပမာ Week 3',
+    numbersPlaceholder: 'သဒ္ဒါနံပါတ်များ၊ ဥပမာ 120-140, 150',
+    assign: 'သတ်မှတ်ရန်',
+    pointCount: 'သဒ္ဒါအချက်: {count}',
+    notFound: '· မတွေ့ပါ: {numbers}',
+    progress: 'တိုးတက်မှု',
+    loading: 'ဖွင့်နေသည်…',
+    refresh: '↻ ပြန်ဖွင့်ရန်',
+    noStudents: 'ကျောင်းသား မရှိသေးပါ။ ဝင်ရန်ကုဒ်ကို အတန်းသို့ မျှဝေပါ။',
+    student: 'ကျောင်းသား',
+    studiedColumn: 'လေ့လာပြီး',
+    quiz: 'Quiz',
+    lastActive: 'နောက်ဆုံး အသုံးပြုချိန်',
+    notAllowed: 'ဤအရာကို လုပ်ခွင့်မရှိပါ။',
+    joined: '{name} သို့ ဝင်ပြီးပါပြီ',
+    confirmLeave: '{name} မှ ထွက်မလား? ဤအတန်းရှိ သင့်တိုးတက်မှုကို ဖျက်ပါမည်။',
+    created: '{name} ကို ဖန်တီးပြီးပါပြီ။ ကျောင်းသားများသည် {code} ကုဒ်ဖြင့် ဝင်နိုင်ပါသည်။',
+    tooManyAssignments: 'အတန်းတစ်ခုတွင် အိမ်စာ အများဆုံး {count} ခုသာ ရှိနိုင်ပါသည်',
+    confirmRemove: '{title} ကို ဖယ်ရှားမလား? ကျောင်းသားများ မမြင်ရတော့ပါ။',
+    loadFailed: 'ဤအတန်းရှိ ကျောင်းသားများကို ဖွင့်၍ မရပါ။',
+    signInRequired: 'စာသင်ခန်းမုဒ် အသုံးပြုရန် အကောင့်ဝင်ပါ',
+    invalidCode: 'အတန်းကုဒ်တွင် စာလုံးနှင့် ဂဏန်း ၆ လုံး ပါရှိပါသည်',
+    tooManyClasses: 'အတန်း အများဆုံး {count} ခုသာ ဝင်နိုင်ပါသည်',
+    codeNotFound: 'ဤကုဒ်ဖြင့် အတန်း မရှိပါ'
+  },
+  compare: {
+    title: '⚖️ သဒ္ဒါ နှိုင်းယှဉ်ရန်',
+    maxPoints: 'အများဆုံး {count} ခု',
+    addPoint: '➕ သဒ္ဒါအချက် ထည့်ရန်...',
+    suggestions: 'မကြာခဏ ရောထွေးသော / ဆက်စပ်သော',
+    hint: 'နှိုင်းယှဉ်ရန် သဒ္ဒါအချက် အနည်းဆုံး နှစ်ခု ထည့်ပါ။',
+    open: 'ဤသဒ္ဒါအချက်ကို ဖွင့်ရန်',
+    remove: 'နှိုင်းယှဉ်မှုမှ ဖယ်ရန်',
+    meaning: 'အဓိပ္ပာယ်',
+    usage: 'အသုံးပြုပုံ',
+    senseiNote: '📝 ဆရာ့ မှတ်ချက်',
+    examples: 'ဥပမာများ'
+  },
+  seeAlso: {
+    contrast: '⚠️ မကြာခဏ ရောထွေးတတ်သည်:',
+    related: '🔗 ဆက်ကြည့်ရန်:',
+    samePattern: '📚 အခြားအဆင့်တွင်လည်း:',
+    open: 'N{level} {pattern} ကို ဖွင့်ရန်',
+    compareTitle: 'ဘေးချင်းယှဉ် နှိုင်းယှဉ်ရန်',
+    compare: '⚖️ နှိုင်းယှဉ်ရန်'
+  },
+  builder: {
+    show: '🧩 ဝါကျ တည်ဆောက်ရန်',
+    hide: '🧩 ဝါကျတည်ဆောက်ခြင်း ပိတ်ရန်',
+    connectsTo: 'ဆက်သွယ်သည်:',
+    pattern: 'ပုံစံ:',
+    verb: 'ကြိယာ',
+    noun: 'နာမ်',
+    wordPlaceholder: 'အဘိဓာန်ပုံစံ',
+    type: 'အမျိုးအစား:',
+    godan: 'Godan (う-ကြိယာ)',
+    ichidan: 'Ichidan (る-ကြိယာ)',
+    suru: 'する ကြိယာ',
+    listen: 'နားထောင်ရန် (browser text-to-speech)',
+    empty: 'ပုံစံနှင့် တွဲပုံကို ကြည့်ရန် စကားလုံးကို အဘိဓာန်ပုံစံဖြင့် ရိုက်ပါ။',
+    hint: 'အသုံးပြုပုံ စည်းမျဉ်းမှ တည်ဆောက်ထားသည်။ ပုံမှန်မဟုတ်သော စကားလုံးနှင့် ပုံသေစကားစုများ ကွဲပြားနိုင်ပါသည်။',
+    iAdj: 'い-နာမဝိသေသန',
+    naAdj: 'な-နာမဝိသေသန',
+    kuru: '来る'
+  },
+  backupErrors: {
+    notJsonOrCsv: 'ဖိုင်သည် မှန်ကန်သော JSON သို့မဟုတ် CSV မဟုတ်ပါ',
+    invalid: 'Backup ဖိုင်ကို import လုပ်၍ မရပါ',
+    favoritesList: 'အကြိုက်ဆုံးစာရင်းတွင် သဒ္ဒါနံပါတ်များသာ ပါရပါမည်',
+    notBackup: 'ဤဖိုင်သည် JLPT Bunpou backup ဖိုင် မဟုတ်ပါ',
+    newerFormat: 'ဤ Backup ကို app ဗားရှင်းအသစ်ဖြင့် ပြုလုပ်ထားပါသည်',
+    newerUserState: 'ဤ Backup ရှိ အသုံးပြုသူဒေတာကို app ဗားရှင်းအသစ်ဖြင့် ရေးထားပါသည်',
+    notObject: '{field} သည် object ဖြစ်ရပါမည်',
+    invalidFavorite: 'သဒ္ဒါ နံပါတ် {key} ၏ အကြိုက်ဆုံး ထည့်သွင်းချက် မမှန်ပါ',
+    unknownSection: 'မသိသော အသုံးပြုသူဒေတာ အပိုင်း "{section}"',
+    unknownKey: 'မသိသော {section} key "{key}"',
+    invalidEntry: 'မမှန်သော {section} ထည့်သွင်းချက် "{key}"',
+    invalidValue: '"{key}" အတွက် {section} တန်ဖိုး မမှန်ပါ',
+    csvHeader: 'CSV ဖိုင်တွင် "no" ကော်လံပါသော ခေါင်းစီးအတန်း လိုအပ်ပါသည်',
+    csvUnknownNo: 'စာကြောင်း {line}: မသိသော သဒ္ဒါနံပါတ် "{no}"',
+    csvDate: 'စာကြောင်း {line}: srs_due သည် ရက်စွဲ မဟုတ်ပါ'
+  }
+}
@@ -0,0 +1,462 @@
+// Nepali interface messages; missing keys fall back to English
+export default {
+  app: {
+    title: '🇯🇵 JLPT व्याकरण गाइड',
+    subtitle: 'व्याकरण बुँदाहरू',
+    subtitleDetail: 'जापानी भाषा दक्षता परीक्षा (JLPT) का लागि',
+    backToTop: 'माथि फर्कनुहोस्'
+  },
+  loading: {
+    grammar: 'व्याकरण डाटा लोड हुँदैछ...',
+    filtering: 'व्याकरण बुँदाहरू फिल्टर हुँदैछन्...',
+    toList: 'सूची दृश्यमा बदलिँदैछ...',
+    toFlashcards: 'फ्ल्यासकार्ड मोडमा बदलिँदैछ...'
+  },
+  error: {
+    title: '❌ डाटा लोड गर्न सकिएन',
+    retry: 'फेरि प्रयास गर्नुहोस्',
+    loadFailed: 'व्याकरण डाटा लोड गर्न सकिएन। इन्टरनेट जडान जाँच गरी फेरि प्रयास गर्नुहोस्।'
+  },
+  filters: {
+    level: 'JLPT तह:',
+    allLevels: 'सबै तह ({count})',
+    favorites: '⭐ मनपर्ने ({count})',
+    due: '📅 आज दोहोर्याउनुपर्ने ({count})',
+    myDecks: 'मेरा डेकहरू',
+    myTags: 'मेरा ट्यागहरू',
+    assignments: 'कक्षाका असाइनमेन्टहरू',
+    search: 'व्याकरण बुँदा खोज्नुहोस्...',
+    voice: 'आवाज:',
+    audioSettings: 'गति, दोहोर्याइ र लूप',
+    uiLanguage: 'भाषा:',
+    translationLanguage: 'अनुवाद:',
+    showing: '{total} मध्ये {shown} व्याकरण बुँदा देखाइँदैछ'
+  },
+  filterLabel: {
+    level: 'N{level} व्याकरण',
+    all: 'सबै तह',
+    favorites: 'मनपर्ने',
+    due: 'दोहोर्याउनुपर्ने'
+  },
+  voices: {
+    male: '👨 पुरुष आवाज',
+    female: '👩 महिला आवाज',
+    browserVoices: 'ब्राउजर आवाजहरू (text-to-speech)'
+  },
+  panels: {
+    listView: '📋 सूची दृश्य',
+    flashcards: '🃏 फ्ल्यासकार्ड मोड',
+    quiz: '📝 क्विज',
+    closeQuiz: '✕ क्विज बन्द',
+    typing: '⌨️ टाइपिङ',
+    closeTyping: '✕ टाइपिङ बन्द',
+    exam: '🎓 नमुना परीक्षा',
+    closeExam: '✕ परीक्षा बन्द',
+    audio: '📥 अफलाइन अडियो',
+    closeAudio: '✕ अडियो बन्द',
+    stats: '📊 तथ्याङ्क',
+    closeStats: '✕ तथ्याङ्क बन्द',
+    reminders: '🔔 रिमाइन्डर',
+    closeReminders: '✕ रिमाइन्डर बन्द',
+    classroom: '🏫 कक्षा',
+    closeClassroom: '✕ कक्षा बन्द',
+    backup: '💾 ब्याकअप',
+    closeBackup: '✕ ब्याकअप बन्द',
+    compare: '⚖️ तुलना',
+    closeCompare: '✕ तुलना बन्द'
+  },
+  audioSettings: {
+    speed: 'गति:',
+    repeat: 'दोहोर्याइ:',
+    gap: 'अन्तराल:',
+    loop: '🔁 एउटै उदाहरण लूपमा'
+  },
+  deck: {
+    rename: '✏️ नाम बदल्नुहोस्',
+    delete: '🗑️ डेक मेटाउनुहोस्',
+    namePrompt: 'डेकको नाम',
+    deleteConfirm: '"{name}" डेक मेटाउने? तपाईंका नोटहरू रहन्छन्।'
+  },
+  flashcards: {
+    previous: '← अघिल्लो',
+    next: 'अर्को →',
+    cardOf: '{total} मध्ये कार्ड {current}',
+    shuffle: '🔀 मिसाउनुहोस्',
+    shuffleTitle: 'कार्डहरू मिसाएर पहिलो कार्डबाट सुरु गर्नुहोस्',
+    reset: '↩️ पूर्ववत्',
+    resetTitle: 'मूल क्रममा फर्काउनुहोस्',
+    playAll: '▶️ सबै बजाउनुहोस्',
+    stop: '⏹️ रोक्नुहोस्',
+    autoAdvanceTitle: 'सबै फ्ल्यासकार्ड आफैं अगाडि बढाउनुहोस्',
+    stopAutoAdvanceTitle: 'आफैं अगाडि बढ्न रोक्नुहोस्',
+    groupConfusables: '⚖️ अलमलिने बुँदा सँगै',
+    groupConfusablesTitle: 'प्रायः अलमलिने व्याकरण बुँदाहरू छेउछेउमा राख्नुहोस्',
+    swipe: 'फ्ल्यासकार्डमा स्वाइप गरी अघि-पछि जानुहोस्',
+    showAnswer: '👀 उत्तर देखाउनुहोस्',
+    gradePrompt: 'तपाईंलाई कत्तिको याद थियो?',
+    gradeKey: '{key} थिच्नुहोस्',
+    hintNavigate: '← → एरो कीले अघि-पछि',
+    hintShowAnswer: 'Space ले उत्तर देखाउँछ',
+    hintGrade: '1-4 ले ग्रेड दिनुहोस्',
+    hintExit: 'ESC ले फ्ल्यासकार्ड मोडबाट बाहिर'
+  },
+  grades: {
+    again: 'फेरि',
+    hard: 'गाह्रो',
+    good: 'ठीक',
+    easy: 'सजिलो'
+  },
+  grammar: {
+    meaning: 'अर्थ:',
+    usage: 'प्रयोग:',
+    senseiNote: '📝 गुरुको टिप्पणी:',
+    examples: 'उदाहरणहरू:',
+    addFavorite: 'मनपर्नेमा थप्नुहोस्',
+    removeFavorite: 'मनपर्नेबाट हटाउनुहोस्',
+    playAllExamples: 'सबै उदाहरण बजाउनुहोस्',
+    stopAllExamples: 'सबै उदाहरण बजाउन रोक्नुहोस्',
+    playAudio: 'अडियो बजाउनुहोस्',
+    stopAudio: 'अडियो रोक्नुहोस्',
+    translationFallback: '{language} अनुवाद अझै छैन, म्यानमार भाषामा देखाइएको छ'
+  },
+  empty: {
+    caughtUpTitle: '🎉 सबै सकियो',
+    caughtUp: 'आज दोहोर्याउनुपर्ने व्याकरण बुँदा छैन। दोहोर्याइ तालिका बनाउन फ्ल्यासकार्ड मोडमा कार्डहरूलाई ग्रेड दिनुहोस्।',
+    deckTitle: '📚 खाली डेक',
+    deck: 'यो डेकमा थप्न कुनै पनि व्याकरण बुँदामा "➕ Add note" प्रयोग गर्नुहोस्।',
+    noResultsTitle: '🔍 कुनै नतिजा भेटिएन',
+    noResults: 'खोज शब्द वा फिल्टर सेटिङ बदलेर हेर्नुहोस्।'
+  },
+  whatsNew: {
+    title: '🆕 नयाँ के छ',
+    dismiss: 'बन्द गर्नुहोस्',
+    updated: 'व्याकरण डेटा अद्यावधिक गरिएको छ।',
+    removed: '{count} व्याकरण बुँदा हटाइयो।',
+    added: '➕ नयाँ व्याकरण बुँदाहरू',
+    corrected: '✏️ सच्याइएका व्याकरण बुँदाहरू'
+  },
+  audio: {
+    unavailable: 'अडियो फाइल उपलब्ध छैन। इन्टरनेट जोड्नुहोस् वा 📥 अफलाइन अडियोमा यो तह डाउनलोड गर्नुहोस्।',
+    noSpeechVoice: 'यो वाक्यको रेकर्डिङ छैन र तपाईंको ब्राउजरमा जापानी text-to-speech आवाज छैन।'
+  },
+  common: {
+    close: '✕ बन्द',
+    cancel: '✕ रद्द गर्नुहोस्',
+    save: '💾 सुरक्षित गर्नुहोस्',
+    remove: 'हटाउनुहोस्'
+  },
+  quiz: {
+    title: '📝 क्विज',
+    description: 'प्रश्नहरू तपाईंको हालको फिल्टरका {count} व्याकरण बुँदाबाट बनाइन्छन्।',
+    questions: 'प्रश्न:',
+    type: 'प्रकार:',
+    mixed: 'मिश्रित',
+    cloze: 'खाली ठाउँ भर्नुहोस्',
+    meaningToGrammar: 'अर्थ → व्याकरण',
+    grammarToMeaning: 'व्याकरण → अर्थ',
+    confusablesTitle: 'प्रायः झुक्याउने जोडी भएका बुँदा मात्र, ती गलत विकल्पका रूपमा देखिन्छन्',
+    confusables: '⚖️ झुक्याउने जोडीहरू ({count})',
+    start: '▶️ क्विज सुरु गर्नुहोस्',
+    noPoints: 'हालको फिल्टरसँग मिल्ने व्याकरण बुँदा छैन।',
+    noConfusables: 'हालको फिल्टरका कुनै पनि व्याकरण बुँदाको झुक्याउने जोडी छैन।',
+    progress: 'प्रश्न {current} / {total}',
+    clozeLabel: 'खाली ठाउँ भर्ने व्याकरण छान्नुहोस्',
+    meaningLabel: 'यो अर्थ भएको व्याकरण कुन हो?',
+    patternLabel: 'यो व्याकरणको अर्थ के हो?',
+    correct: '✅ सही!',
+    answerIs: '❌ उत्तर {answer} हो',
+    next: 'अर्को →',
+    seeResults: 'नतिजा हेर्नुहोस्',
+    results: '🏁 नतिजा',
+    wrongTitle: 'तपाईंले गलत गरेका प्रश्नहरू',
+    yourAnswer: 'तपाईंको उत्तर: {answer}',
+    correctAnswer: 'सही उत्तर: {answer}',
+    perfect: '🎉 पूरा अङ्क!',
+    retry: '🔁 गल्तीहरू फेरि प्रयास गर्नुहोस्',
+    newQuiz: '🆕 नयाँ क्विज'
+  },
+  exam: {
+    title: '🎓 JLPT व्याकरण नमुना परीक्षा',
+    description: '文法 खण्ड शैली: हरेक खाली ठाउँ भर्ने व्याकरण छान्नुहोस्। उत्तरहरू पेश गरेपछि मात्र देखाइन्छन्।',
+    level: 'तह:',
+    questions: '📝 {count} प्रश्न',
+    minutes: '⏱️ {count} मिनेट',
+    trend: 'अङ्कको प्रवृत्ति (N{level})',
+    noAttempts: 'यो तहको लागि अहिलेसम्म कुनै प्रयास छैन।',
+    start: '▶️ परीक्षा सुरु गर्नुहोस्',
+    previous: '← अघिल्लो',
+    next: 'अर्को →',
+    submit: '✔️ पेश गर्नुहोस्',
+    confirmSubmit: '{count} प्रश्नको उत्तर दिइएको छैन। जे भए पनि पेश गर्ने?',
+    results: '🏁 N{level} नतिजा',
+    correct: '✅ सही',
+    wrong: '❌ गलत',
+    unanswered: '⬜ उत्तर नदिइएको',
+    timeUsed: '⏱️ लागेको समय',
+    target: '🎯 लक्ष्य ({score}%)',
+    reached: 'पुगियो',
+    notYet: 'अझै पुगिएन',
+    answers: 'उत्तरहरू',
+    yourAnswer: 'तपाईंको उत्तर: {answer}',
+    notAnswered: 'उत्तर दिइएन',
+    answer: 'उत्तर: {answer}',
+    openCard: '📖 व्याकरण कार्ड खोल्नुहोस्',
+    tryAgain: '🔁 फेरि प्रयास गर्नुहोस्',
+    scoreTrend: '📈 अङ्कको प्रवृत्ति'
+  },
+  stats: {
+    title: '📊 अध्ययन तथ्याङ्क',
+    streak: 'दिनको लय',
+    longestStreak: 'सबैभन्दा लामो लय',
+    today: 'आज',
+    week: 'पछिल्लो ७ दिन',
+    total: 'जम्मा',
+    activity: 'गतिविधि',
+    activityLabel: 'पछिल्लो {weeks} हप्ताको अध्ययन गतिविधि',
+    dayEvents: '{day}: {count} अध्ययन गतिविधि',
+    less: 'कम',
+    more: 'धेरै',
+    coverage: 'कभरेज',
+    coverageTitle: '{total} मध्ये {seen} हेरिएको, {mastered} सिकिसकेको',
+    coverageText: '{seen} हेरिएको · {mastered} सिकिसकेको / {total}',
+    totals: 'जम्मा',
+    viewed: '🃏 {count} कार्ड हेरिएको',
+    revealed: '👀 {count} उत्तर देखाइएको',
+    played: '🔊 {count} वाक्य बजाइएको',
+    quizAnswers: '📝 {count} क्विज उत्तर',
+    quizCorrect: '({percent}% सही)',
+    minutes: '{minutes} मि.',
+    hours: '{hours} घ. {minutes} मि.'
+  },
+  backup: {
+    title: '💾 ब्याकअप र निर्यात',
+    dataTitle: 'मनपर्ने, प्रगति र टिप्पणीहरू',
+    dataDescription: 'साइन इन नगरी अर्को यन्त्रमा डेटा सार्न ब्याकअप फाइल सुरक्षित गर्नुहोस्। आयात गर्दा फाइल तपाईंको हालको डेटामा मिसाइन्छ।',
+    exportJson: '⬇️ JSON निर्यात',
+    exportCsv: '⬇️ CSV निर्यात',
+    import: '⬆️ JSON / CSV आयात',
+    imported: '{file} आयात गरियो: {favorites} नयाँ मनपर्ने, {progress} दोहोर्याइ रेकर्ड र {notes} टिप्पणी थपिए वा अद्यावधिक भए।',
+    importFailed: '{file} आयात गर्न सकिएन:',
+    ankiTitle: 'Anki डेक',
+    ankiDescription: '{label} का {count} व्याकरण बुँदालाई प्रति बुँदा एउटा नोटसहित Anki डेक (.apkg) का रूपमा निर्यात गर्नुहोस्।',
+    includeAudio: 'उदाहरण अडियो समावेश गर्नुहोस्',
+    exportAnki: '🃏 Anki मा निर्यात',
+    downloadingAudio: 'अडियो डाउनलोड हुँदै {done}/{total}...',
+    buildingDeck: 'डेक बनाउँदै...',
+    ankiExported: '{notes} नोट र {audio} अडियो फाइल निर्यात गरियो।',
+    ankiMissingAudio: '{count} अडियो फाइल डाउनलोड गर्न सकिएन।',
+    ankiCancelled: 'Anki निर्यात रद्द गरियो।',
+    ankiFailed: 'Anki निर्यात असफल भयो। इन्टरनेट जडान जाँचेर फेरि प्रयास गर्नुहोस्।'
+  },
+  audioPacks: {
+    title: '📥 अफलाइन अडियो',
+    description: 'इन्टरनेट बिना सुन्न एउटा तहको उदाहरण अडियो डाउनलोड गर्नुहोस्।',
+    unsupported: 'यो ब्राउजरमा अफलाइन अडियो समर्थित छैन।',
+    voice: 'आवाज:',
+    files: '{cached}/{total} फाइल',
+    offline: '✅ अफलाइन',
+    resume: '⬇️ जारी राख्नुहोस्',
+    download: '⬇️ डाउनलोड',
+    delete: '🗑️ मेटाउनुहोस्',
+    packBytes: 'अडियो प्याकहरू: {size}',
+    siteStorage: 'साइट भण्डारण: {quota} मध्ये {usage}',
+    partial: 'N{level}: {count} फाइल डाउनलोड गर्न सकिएन। जारी राख्न फेरि प्रयास गर्नुहोस्।',
+    ready: 'N{level} अडियो अब अफलाइन उपलब्ध छ।',
+    cancelled: 'N{level} डाउनलोड रद्द गरियो। डाउनलोड भइसकेका फाइलहरू राखिन्छन्।',
+    failed: 'डाउनलोड असफल भयो। इन्टरनेट जडान जाँचेर फेरि प्रयास गर्नुहोस्।',
+    deleteConfirm: 'अफलाइन N{level} अडियो मेटाउने?',
+    deleted: 'N{level} अडियो मेटाइयो।',
+    deleteFailed: 'अडियो प्याक मेटाउन सकिएन।'
+  },
+  note: {
+    myNote: '🗒️ मेरो टिप्पणी:',
+    myExamples: 'मेरा उदाहरणहरू:',
+    stop: 'रोक्नुहोस्',
+    listen: 'सुन्नुहोस् (ब्राउजर text-to-speech)',
+    showDeck: '{name} डेक देखाउनुहोस्',
+    showTag: '#{tag} ट्याग भएका बुँदा देखाउनुहोस्',
+    editTitle: 'आफ्नो टिप्पणी सम्पादन गर्नुहोस्',
+    addTitle: 'टिप्पणी, ट्याग वा डेक थप्नुहोस्',
+    edit: '✏️ टिप्पणी सम्पादन',
+    add: '➕ टिप्पणी थप्नुहोस्',
+    noteLabel: '🗒️ मेरो टिप्पणी',
+    notePlaceholder: 'यो व्याकरण बुँदाबारे सम्झन चाहेको कुरा',
+    examplesLabel: 'मेरा उदाहरणहरू (प्रति लाइन एउटा)',
+    tagsLabel: 'ट्यागहरू (अल्पविरामले छुट्याएर)',
+    tagsPlaceholder: 'जस्तै confusing, week-3',
+    decks: 'डेकहरू',
+    newDeckPlaceholder: 'नयाँ डेकको नाम',
+    createDeck: '➕ बनाउनुहोस्',
+    deckNameRequired: 'डेकको नाम आवश्यक छ',
+    tooManyDecks: 'तपाईंसँग बढीमा {count} डेक हुन सक्छन्'
+  },
+  auth: {
+    signingIn: 'साइन इन हुँदै...',
+    signIn: 'Google बाट साइन इन गर्नुहोस्',
+    user: 'प्रयोगकर्ता',
+    syncTitle: 'क्लाउडबाट मनपर्ने र प्रगति सिंक गर्नुहोस्',
+    signOut: 'साइन आउट',
+    syncing: 'सिंक हुँदै...',
+    justSynced: 'भर्खरै सिंक भयो',
+    syncedMinutes: '{count} मिनेट अघि सिंक भयो',
+    syncedHours: '{count} घण्टा अघि सिंक भयो',
+    syncedRecently: 'हालै सिंक भयो',
+    notSynced: 'सिंक भएको छैन',
+    signInCancelled: 'साइन इन रद्द गरियो',
+    popupBlocked: 'पप-अप रोकियो। पप-अपलाई अनुमति दिएर फेरि प्रयास गर्नुहोस्।',
+    signInFailed: 'साइन इन गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+    signOutFailed: 'साइन आउट गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+    syncFailed: 'मनपर्ने सिंक गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+    initFailed: 'प्रमाणीकरण सुरु गर्न सकिएन'
+  },
+  reminders: {
+    title: '🔔 दैनिक रिमाइन्डर',
+    description: 'तपाईंले रोजेको समयमा हरेक दिन सूचना पाउनुहोस्, आजको व्याकरण बुँदासहित जसले सिधै त्यसको कार्ड खोल्छ।',
+    unsupported: 'यो ब्राउजरमा सूचनाहरू समर्थित छैनन्।',
+    blocked: 'यस साइटका लागि सूचनाहरू रोकिएका छन्। रिमाइन्डर पाउन ब्राउजरको साइट सेटिङमा अनुमति दिनुहोस्।',
+    enable: 'मलाई हरेक दिन पढ्न सम्झाउनुहोस्',
+    time: 'समय:',
+    level: 'व्याकरण स्तर:',
+    allLevels: 'सबै स्तर',
+    grammarOfTheDay: 'आजको व्याकरण बुँदा',
+    quietHours: 'शान्त समय:',
+    next: 'अर्को: {time} · {title}',
+    test: '🔔 परीक्षण सूचना पठाउनुहोस्',
+    deliveryTriggers: 'रिमाइन्डरहरू ब्राउजरसँग तालिकाबद्ध छन् र एप बन्द हुँदा पनि आउँछन्।',
+    deliveryPeriodic: 'रिमाइन्डरहरू दिनमा केही पटक पृष्ठभूमिमा जाँचिन्छन्, त्यसैले एप बन्द हुँदा अलि ढिलो आउन सक्छन्।',
+    deliveryInApp: 'यो ब्राउजरले एप खुला हुँदा मात्र रिमाइन्डर देखाउन सक्छ। एप इन्स्टल गरेर पृष्ठभूमिमा खुला राख्दा मद्दत हुन्छ।',
+    notificationTitle: '📖 जापानी व्याकरण पढ्ने समय भयो',
+    notificationBody: 'केही मिनेट व्याकरण पढ्दा तपाईंको स्ट्रिक जारी रहन्छ।'
+  },
+  typing: {
+    title: '⌨️ टाइपिङ अभ्यास',
+    description: 'उदाहरणको अनुवाद पढेर जापानीमा लेख्नुहोस्। जापानी IME, काना वा रोमाजीमा टाइप गर्न सकिन्छ; कान्जीलाई कानामा लेख्न सकिन्छ।',
+    sentences: 'वाक्य:',
+    write: 'लेख्नुहोस्:',
+    wholeSentence: 'पूरा वाक्य',
+    grammarPart: 'व्याकरण भाग मात्र',
+    start: '▶️ सुरु गर्नुहोस्',
+    noPoints: 'हालको फिल्टरसँग मिल्ने व्याकरण बुँदा छैनन्।',
+    noExercises: 'हालको फिल्टरका कुनै पनि उदाहरण यो अभ्यासमा प्रयोग गर्न सकिँदैन।',
+    progress: 'वाक्य {current} / {total}',
+    grammarLabel: 'व्याकरण भाग भर्नुहोस्',
+    sentenceLabel: 'यो वाक्य जापानीमा लेख्नुहोस्',
+    correct: '✅ सही!',
+    notQuite: '❌ पूरा सही भएन',
+    missing: 'छुटेको',
+    notExpected: 'अनपेक्षित',
+    check: '✔️ जाँच गर्नुहोस्',
+    showAnswer: '🙈 उत्तर देखाउनुहोस्',
+    next: 'अर्को →',
+    seeResults: 'नतिजा हेर्नुहोस्',
+    results: '🏁 नतिजा',
+    summary: '{total} मध्ये {correct} सही लेखियो',
+    missedTitle: 'फेरि अभ्यास गर्नुपर्ने वाक्यहरू',
+    yourAnswer: 'तपाईंको उत्तर: {answer}',
+    retry: '🔁 गल्तीहरू फेरि गर्नुहोस्',
+    newPractice: '🆕 नयाँ अभ्यास'
+  },
+  classroom: {
+    title: '🏫 कक्षा',
+    unavailable: 'कक्षा मोडलाई Firebase सिंक ब्याकएन्ड चाहिन्छ।',
+    signIn: 'शिक्षकको कोडले कक्षामा सामेल हुन, वा कक्षा बनाएर व्याकरण बुँदा तोक्न साइन इन गर्नुहोस्।',
+    myClasses: '🎒 मेरा कक्षाहरू',
+    teaching: '🧑‍🏫 पढाउँदै',
+    codePlaceholder: 'कक्षा कोड',
+    join: 'सामेल हुनुहोस्',
+    noJoined: 'तपाईं अझै कुनै कक्षामा सामेल हुनुभएको छैन।',
+    leave: 'छोड्नुहोस्',
+    noAssignments: 'अझै कुनै असाइनमेन्ट छैन।',
+    due: '· {date} सम्म',
+    studied: '{total} मध्ये {studied} पढियो',
+    quizPercent: '· क्विज {percent}%',
+    study: 'पढ्नुहोस्',
+    classNamePlaceholder: 'नयाँ कक्षाको नाम',
+    createClass: 'कक्षा बनाउनुहोस्',
+    noTeaching: 'तपाईंले अझै कुनै कक्षा पढाउनुहुन्न।',
+    class: 'कक्षा:',
+    joinCode: 'सामेल हुने कोड:',
+    newAssignment: 'नयाँ असाइनमेन्ट',
+    titlePlaceholder: 'शीर्षक, जस्तै हप्ता ३',
+    numbersPlaceholder: 'व्याकरण नम्बरहरू, जस्तै 120-140, 150',
+    assign: 'तोक्नुहोस्',
+    pointCount: 'व्याकरण बुँदा: {count}',
+    notFound: '· भेटिएन: {numbers}',
+    progress: 'प्रगति',
+    loading: 'लोड हुँदै…',
+    refresh: '↻ रिफ्रेस',
+    noStudents: 'अझै कुनै विद्यार्थी छैनन्। सामेल हुने कोड कक्षासँग साझा गर्नुहोस्।',
+    student: 'विद्यार्थी',
+    studiedColumn: 'पढिएको',
+    quiz: 'क्विज',
+    lastActive: 'अन्तिम सक्रिय',
+    notAllowed: 'तपाईंलाई यो गर्ने अनुमति छैन।',
+    joined: '{name} मा सामेल भइयो',
+    confirmLeave: '{name} छोड्ने? यस कक्षाको तपाईंको प्रगति हटाइनेछ।',
+    created: '{name} बनाइयो। विद्यार्थीहरू {code} कोडले सामेल हुन्छन्।',
+    tooManyAssignments: 'एउटा कक्षामा बढीमा {count} असाइनमेन्ट हुन सक्छन्',
+    confirmRemove: '{title} हटाउने? विद्यार्थीहरूले यो देख्ने छैनन्।',
+    loadFailed: 'यस कक्षाका विद्यार्थीहरू लोड गर्न सकिएन।',
+    signInRequired: 'कक्षा मोड प्रयोग गर्न साइन इन गर्नुहोस्',
+    invalidCode: 'कक्षा कोडमा ६ अक्षर र अङ्क हुन्छन्',
+    tooManyClasses: 'तपाईं बढीमा {count} कक्षामा हुन सक्नुहुन्छ',
+    codeNotFound: 'यो कोडको कुनै कक्षा छैन'
+  },
+  compare: {
+    title: '⚖️ व्याकरण तुलना',
+    maxPoints: 'बढीमा {count} बुँदा',
+    addPoint: '➕ व्याकरण बुँदा थप्नुहोस्...',
+    suggestions: 'प्रायः अलमलिने / सम्बन्धित',
+    hint: 'तुलना गर्न कम्तीमा दुई व्याकरण बुँदा थप्नुहोस्।',
+    open: 'यो व्याकरण बुँदा खोल्नुहोस्',
+    remove: 'तुलनाबाट हटाउनुहोस्',
+    meaning: 'अर्थ',
+    usage: 'प्रयोग',
+    senseiNote: '📝 सेन्सेई नोट',
+    examples: 'उदाहरणहरू'
+  },
+  seeAlso: {
+    contrast: '⚠️ प्रायः अलमलिने:',
+    related: '🔗 यो पनि हेर्नुहोस्:',
+    samePattern: '📚 यो स्तरमा पनि:',
+    open: 'N{level} {pattern} खोल्नुहोस्',
+    compareTitle: 'छेउछेउमा तुलना गर्नुहोस्',
+    compare: '⚖️ तुलना'
+  },
+  builder: {
+    show: '🧩 वाक्य बनाउनुहोस्',
+    hide: '🧩 वाक्य निर्माता लुकाउनुहोस्',
+    connectsTo: 'जोडिन्छ:',
+    pattern: 'ढाँचा:',
+    verb: 'क्रिया',
+    noun: 'नाम',
+    wordPlaceholder: 'शब्दकोश रूप',
+    type: 'प्रकार:',
+    godan: 'गोदान (う-क्रिया)',
+    ichidan: 'इचिदान (る-क्रिया)',
+    suru: 'する क्रिया',
+    listen: 'सुन्नुहोस् (ब्राउजर टेक्स्ट-टु-स्पीच)',
+    empty: 'ढाँचासँग जोडिएको हेर्न शब्दकोश रूपमा शब्द टाइप गर्नुहोस्।',
+    hint: 'प्रयोग नियमबाट बनाइएको; अनियमित शब्द र निश्चित वाक्यांश फरक हुन सक्छन्।',
+    iAdj: 'い-विशेषण',
+    naAdj: 'な-विशेषण',
+    kuru: '来る'
+  },
+  backupErrors: {
+    notJsonOrCsv: 'फाइल मान्य JSON वा CSV होइन',
+    invalid: 'ब्याकअप फाइल आयात गर्न सकिँदैन',
+    favoritesList: 'मनपर्ने सूचीमा व्याकरण नम्बरहरू मात्र हुनुपर्छ',
+    notBackup: 'यो JLPT Bunpou ब्याकअप फाइल होइन',
+    newerFormat: 'यो ब्याकअप एपको नयाँ संस्करणले बनाएको हो',
+    newerUserState: 'यो ब्याकअपको प्रयोगकर्ता डेटा एपको नयाँ संस्करणले लेखेको हो',
+    notObject: '{field} object हुनुपर्छ',
+    invalidFavorite: 'व्याकरण नं. {key} को मनपर्ने प्रविष्टि अमान्य छ',
+    unknownSection: 'अज्ञात प्रयोगकर्ता डेटा खण्ड "{section}"',
+    unknownKey: 'अज्ञात {section} कुञ्जी "{key}"',
+    invalidEntry: 'अमान्य {section} प्रविष्टि "{key}"',
+    invalidValue: '"{key}" को {section} मान अमान्य छ',
+    csvHeader: 'CSV फाइलमा "no" स्तम्भसहितको हेडर पङ्क्ति चाहिन्छ',
+    csvUnknownNo: 'पङ्क्ति {line}: अज्ञात व्याकरण नम्बर "{no}"',
+    csvDate: 'पङ्क्ति {line}: srs_due मिति होइन'
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import authService from '../authService.js'
+import { MAX_FAVORITE_OP_CHANGES, favoritesToOps, opsToFavorites } from '../favoritesService.js'
+
+// A backend keeping one user document in memory and counting writes
+const createBackend = (userDoc) => ({
+  writes: [],
+  async transactUserDoc(uid, update) {
+    const fields = update(structuredClone(userDoc))
+    if (fields) {
+      this.writes.push(fields)
+      Object.assign(userDoc, fields)
+    }
+  }
+})
+
+describe('authService.syncFavoritesToCloud', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  const signedIn = (backend) => {
+    const service = new authService.constructor(backend)
+    service.user = { uid: 'alice' }
+    return service
+  }
+
+  it('writes a large merge in steps of MAX_FAVORITE_OP_CHANGES entries', async () => {
+    const userDoc = { favoritesOps: {}, favorites: [] }
+    const backend = createBackend(userDoc)
+    const localOps = favoritesToOps(Array.from({ length: 45 }, (_, index) => index + 1), 1000, 'device-a')
+
+    const merged = await signedIn(backend).syncFavoritesToCloud(localOps)
+
+    expect(backend.writes).toHaveLength(3)
+    expect(Object.keys(backend.writes[0].favoritesOps)).toHaveLength(MAX_FAVORITE_OP_CHANGES)
+    expect(opsToFavorites(userDoc.favoritesOps).size).toBe(45)
+    expect(userDoc.favorites).toHaveLength(45)
+    expect(merged).toEqual(userDoc.favoritesOps)
+  })
+
+  it('keeps the legacy favorites array of the cloud document while writing in steps', async () => {
+    const userDoc = { favorites: Array.from({ length: 30 }, (_, index) => index + 1) }
+    const backend = createBackend(userDoc)
+
+    await signedIn(backend).syncFavoritesToCloud(favoritesToOps([100], 5000, 'device-a'))
+
+    expect(backend.writes).toHaveLength(2)
+    expect(opsToFavorites(userDoc.favoritesOps).size).toBe(31)
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it, expect, vi } from 'vitest'
+import backupService from '../backupService.js'
+import userStateService, { USER_STATE_VERSION } from '../userStateService.js'
+import { BACKUP_FORMAT, BACKUP_FORMAT_VERSION } from '../../utils/backupFormat.js'
+
+describe('backupService.importJson', () => {
+  it('tags the imported user state so it is synced like a local edit', () => {
+    const listener = vi.fn()
+    const unsubscribe = userStateService.onChange(listener)
+
+    const summary = backupService.importJson({
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      userState: {
+        version: USER_STATE_VERSION,
+        notes: { 12: { value: { text: 'imported' }, updatedAt: '2026-05-01T10:00:00.000Z' } }
+      }
+    })
+    unsubscribe()
+
+    expect(summary.notes).toBe(1)
+    expect(listener).toHaveBeenCalledWith('import', ['notes'])
+  })
+
+  it('rejects invalid files with their problems as message keys', () => {
+    expect(() => backupService.importJson({ format: BACKUP_FORMAT, formatVersion: 1, userState: { version: 1, extra: {} } }))
+      .toThrow(expect.objectContaining({
+        key: 'backupErrors.invalid',
+        details: [{ key: 'backupErrors.unknownSection', params: { section: 'extra' } }]
+      }))
+  })
+
+  it('rejects files that are neither JSON nor CSV', () => {
+    expect(() => backupService.importFile('{ not json', 'backup.json', []))
+      .toThrow(expect.objectContaining({ key: 'backupErrors.notJsonOrCsv' }))
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { MAX_JOINED_CLASSES } from '../../utils/classroom.js'
+
+// A signed-in user whose document and classes are kept in memory
+const userDoc = { classIds: [] }
+const members = new Map() // classId -> Set of uids
+
+const classroom = {
+  async joinClass(user, joinCode) {
+    const classId = `class-${joinCode}`
+    if (!members.has(classId)) members.set(classId, new Set())
+    members.get(classId).add(user.uid)
+    return { id: classId, name: joinCode, teacherName: '', assignments: [] }
+  },
+  async leaveClass(classId, uid) {
+    members.get(classId)?.delete(uid)
+  },
+  async getClass(classId) {
+    return { id: classId, name: classId, teacherName: '', assignments: [] }
+  },
+  async getMember(classId, uid) {
+    return members.get(classId)?.has(uid) ? { uid, progress: {} } : null
+  }
+}
+
+vi.mock('../authService.js', () => ({
+  default: {
+    onAuthStateChanged: () => () => {},
+    getUserProfile: async () => userDoc,
+    getBackend: async () => ({
+      classroom,
+      async transactUserDoc(uid, update) {
+        const fields = update(userDoc)
+        if (fields) Object.assign(userDoc, fields)
+      }
+    })
+  }
+}))
+
+const { default: classroomService } = await import('../classroomService.js')
+
+describe('classroomService.joinClass', () => {
+  beforeEach(() => {
+    members.clear()
+    userDoc.classIds = []
+    classroomService.user = { uid: 'student', displayName: 'Student' }
+  })
+
+  it('adds the class to the user document', async () => {
+    await classroomService.joinClass('abc 234')
+
+    expect(userDoc.classIds).toEqual(['class-ABC234'])
+    expect(members.get('class-ABC234').has('student')).toBe(true)
+  })
+
+  it('removes the membership again when the user is in too many classes', async () => {
+    userDoc.classIds = Array.from({ length: MAX_JOINED_CLASSES }, (_, index) => `other-${index}`)
+
+    await expect(classroomService.joinClass('ABC234')).rejects.toMatchObject({
+      key: 'classroom.tooManyClasses',
+      params: { count: MAX_JOINED_CLASSES }
+    })
+    expect(userDoc.classIds).toHaveLength(MAX_JOINED_CLASSES)
+    expect(members.get('class-ABC234').has('student')).toBe(false)
+  })
+
+  it('keeps the membership of a class the user is already in', async () => {
+    userDoc.classIds = [
+      'class-ABC234',
+      ...Array.from({ length: MAX_JOINED_CLASSES - 1 }, (_, index) => `other-${index}`)
+    ]
+
+    await classroomService.joinClass('ABC234')
+    expect(members.get('class-ABC234').has('student')).toBe(true)
+  })
+
+  it('rejects malformed codes and signed-out users with message keys', async () => {
+    await expect(classroomService.joinClass('abc')).rejects.toMatchObject({ key: 'classroom.invalidCode' })
+
+    classroomService.user = null
+    await expect(classroomService.joinClass('ABC234')).rejects.toMatchObject({ key: 'classroom.signInRequired' })
+  })
+})
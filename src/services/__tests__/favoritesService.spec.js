@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import {
+  favoritesToOps,
+  isSameFavoriteOps,
+  limitFavoriteOpChanges,
+  mergeFavoriteOps,
+  opsToFavorites
+} from '../favoritesService.js'
+
+// Apply operations to a device's log like favoritesService.add / remove
+const add = (ops, grammarNo, at, device) => ({ ...ops, [grammarNo]: { ...ops[grammarNo], addedAt: at, addedBy: device } })
+const remove = (ops, grammarNo, at, device) => ({ ...ops, [grammarNo]: { ...ops[grammarNo], removedAt: at, removedBy: device } })
+
+describe('mergeFavoriteOps', () => {
+  it('makes two offline devices converge in either merge order', () => {
+    const start = favoritesToOps([1, 2], 100, 'a')
+    // Device A removes 1 and adds 3; device B adds 1 again later and removes 3 first
+    const deviceA = add(remove(start, 1, 200, 'a'), 3, 210, 'a')
+    const deviceB = remove(add(start, 1, 300, 'b'), 3, 150, 'b')
+
+    const ab = mergeFavoriteOps(deviceA, deviceB)
+    const ba = mergeFavoriteOps(deviceB, deviceA)
+
+    expect(isSameFavoriteOps(ab, ba)).toBe(true)
+    expect([...opsToFavorites(ab)].sort()).toEqual([1, 2, 3])
+  })
+
+  it('breaks timestamp ties by device id, the same way on both devices', () => {
+    const deviceA = remove(favoritesToOps([5], 100, 'a'), 5, 200, 'a')
+    const deviceB = add({}, 5, 200, 'b')
+
+    expect(mergeFavoriteOps(deviceA, deviceB)[5]).toEqual(mergeFavoriteOps(deviceB, deviceA)[5])
+  })
+
+  it('keeps a favorite that was removed and added again', () => {
+    const removed = remove(favoritesToOps([7], 100, 'a'), 7, 200, 'a')
+    const readded = add(removed, 7, 300, 'a')
+
+    // The device that only saw the removal must not undo the re-add
+    const merged = mergeFavoriteOps(removed, readded)
+    expect(opsToFavorites(merged).has(7)).toBe(true)
+    expect(opsToFavorites(mergeFavoriteOps(merged, removed)).has(7)).toBe(true)
+  })
+
+  it('lets a later removal win over an earlier add from another device', () => {
+    const deviceA = add({}, 8, 100, 'a')
+    const deviceB = remove(deviceA, 8, 150, 'b')
+
+    expect(opsToFavorites(mergeFavoriteOps(deviceA, deviceB)).has(8)).toBe(false)
+  })
+})
+
+describe('favoritesToOps', () => {
+  it('keeps every item of a legacy array without a modification date', () => {
+    const ops = favoritesToOps([12, 3, 40], 0)
+
+    expect([...opsToFavorites(ops)]).toEqual([12, 3, 40])
+    expect([...opsToFavorites(mergeFavoriteOps({}, ops))]).toEqual([12, 3, 40])
+  })
+
+  it('keeps the legacy order and merges with newer operations', () => {
+    const legacy = favoritesToOps([9, 4], 1000, 'legacy')
+    const local = remove(add({}, 4, 500, 'a'), 4, 600, 'a')
+
+    // The legacy array (saved later) still contains 4, so it stays
+    expect([...opsToFavorites(mergeFavoriteOps(local, legacy))]).toEqual([9, 4])
+  })
+})
+
+describe('limitFavoriteOpChanges', () => {
+  it('takes at most the given number of new or changed entries and keeps the rest as they were', () => {
+    const base = favoritesToOps([1, 2], 100, 'a')
+    const ops = remove(mergeFavoriteOps(base, favoritesToOps([3, 4, 5], 200, 'b')), 1, 300, 'b')
+
+    const limited = limitFavoriteOpChanges(ops, base, 2)
+    expect(Object.keys(limited).sort()).toEqual(['1', '2', '3'])
+    expect(limited[1]).toEqual(ops[1])
+    expect(limited[2]).toEqual(base[2])
+
+    // Repeating it reaches the full merge
+    const next = limitFavoriteOpChanges(ops, limited, 2)
+    expect(isSameFavoriteOps(next, ops)).toBe(true)
+  })
+})
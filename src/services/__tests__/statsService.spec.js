@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+import statsService, {
+  aggregateArchives,
+  computeStreaks,
+  rollIntoArchive
+} from '../statsService.js'
+import userStateService, { createEmptyUserState, mergeUserStates } from '../userStateService.js'
+import { getDeviceId } from '../favoritesService.js'
+import { STATS_WINDOW_DAYS, dropArchivedDays, toArchiveKey } from '../../utils/statsArchive.js'
+
+const day = (key, hours = 12) => new Date(`${key}T${String(hours).padStart(2, '0')}:00:00`)
+
+const entry = (value, updatedAt = '2026-01-01T00:00:00.000Z') => ({ value, updatedAt })
+
+describe('rollIntoArchive', () => {
+  it('sums counters, collects seen numbers and tracks the streaks', () => {
+    const archive = rollIntoArchive(undefined, [
+      ['2026-01-01', { view: 2, quiz: 1, quizCorrect: 1, timeMs: 1000, seen: [3, 1] }],
+      ['2026-01-02', { view: 1, timeMs: 500, seen: [1, 2] }],
+      ['2026-01-05', { audio: 4, seen: [] }]
+    ])
+
+    expect(archive).toMatchObject({
+      view: 3,
+      audio: 4,
+      quiz: 1,
+      quizCorrect: 1,
+      timeMs: 1500,
+      seen: [1, 2, 3],
+      studyDays: 3,
+      longestStreak: 2,
+      lastDay: '2026-01-05',
+      lastRun: 1,
+      archivedThrough: '2026-01-05'
+    })
+  })
+
+  it('continues the run of an existing archive', () => {
+    const first = rollIntoArchive(undefined, [['2026-01-01', { view: 1 }], ['2026-01-02', { view: 1 }]])
+    const archive = rollIntoArchive(first, [['2026-01-03', { view: 1 }]])
+
+    expect(archive).toMatchObject({ view: 3, studyDays: 3, longestStreak: 3, lastRun: 3, lastDay: '2026-01-03' })
+  })
+})
+
+describe('computeStreaks with an archive', () => {
+  const archive = { longestStreak: 4, lastDay: '2026-03-09', lastRun: 2 }
+
+  it('continues the current streak into the archived days', () => {
+    const streaks = computeStreaks(['2026-03-10', '2026-03-11'], day('2026-03-11'), archive)
+    expect(streaks).toEqual({ current: 4, longest: 4 })
+  })
+
+  it('keeps the longest archived streak', () => {
+    expect(computeStreaks(['2026-03-11'], day('2026-03-11'), archive)).toEqual({ current: 1, longest: 4 })
+  })
+})
+
+describe('aggregateArchives', () => {
+  it('returns null without archives', () => {
+    expect(aggregateArchives({ '2026-01-01|a': { view: 1 } })).toBeNull()
+  })
+
+  it('adds up the archives of all devices', () => {
+    const total = aggregateArchives({
+      'archive|a': { view: 2, timeMs: 100, seen: [1], longestStreak: 5, lastDay: '2026-01-04', lastRun: 1 },
+      'archive|b': { view: 3, timeMs: 50, seen: [2], longestStreak: 2, lastDay: '2026-01-05', lastRun: 2 },
+      '2026-06-01|a': { view: 10 }
+    })
+
+    expect(total).toMatchObject({ view: 5, timeMs: 150, longestStreak: 5, lastDay: '2026-01-05', lastRun: 2 })
+    expect([...total.seen]).toEqual([1, 2])
+  })
+})
+
+describe('dropArchivedDays', () => {
+  it('drops the days a device archived and keeps newer days and other devices', () => {
+    const kept = dropArchivedDays({
+      'archive|a': entry({ archivedThrough: '2026-01-02' }),
+      '2026-01-01|a': entry({ view: 1 }),
+      '2026-01-02|a': entry({ view: 1 }),
+      '2026-01-03|a': entry({ view: 1 }),
+      '2026-01-01|b': entry({ view: 1 })
+    })
+
+    expect(Object.keys(kept).sort()).toEqual(['2026-01-01|b', '2026-01-03|a', 'archive|a'])
+  })
+
+  it('keeps archived days from coming back when states merge', () => {
+    const local = createEmptyUserState()
+    local.stats = { 'archive|a': entry({ archivedThrough: '2026-01-02' }) }
+    const stale = createEmptyUserState()
+    stale.stats = { '2026-01-01|a': entry({ view: 1 }), '2026-01-05|a': entry({ view: 1 }) }
+
+    expect(Object.keys(mergeUserStates(local, stale).stats).sort()).toEqual(['2026-01-05|a', 'archive|a'])
+    expect(Object.keys(mergeUserStates(stale, local).stats).sort()).toEqual(['2026-01-05|a', 'archive|a'])
+  })
+})
+
+describe('statsService', () => {
+  const deviceId = getDeviceId()
+
+  beforeEach(() => {
+    statsService.flush()
+    userStateService.state = createEmptyUserState()
+    statsService.lastEventAt = 0
+  })
+
+  it('buffers events until they are flushed', () => {
+    const listener = vi.fn()
+    const unsubscribe = userStateService.onChange(listener)
+
+    statsService.record('view', { grammarNo: 1 }, day('2026-05-01'))
+    statsService.record('quiz', { grammarNo: 2, correct: true }, day('2026-05-01'))
+    expect(listener).not.toHaveBeenCalled()
+    expect(statsService.getDays()['2026-05-01']).toMatchObject({ view: 1, quiz: 1, quizCorrect: 1, events: 2 })
+
+    statsService.flush()
+    unsubscribe()
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(userStateService.get('stats', `2026-05-01|${deviceId}`)).toMatchObject({ view: 1, quiz: 1, seen: [1, 2] })
+  })
+
+  it('flushes the previous day when the day changes', () => {
+    statsService.record('view', {}, day('2026-05-01', 23))
+    statsService.record('view', {}, day('2026-05-02', 1))
+
+    expect(userStateService.get('stats', `2026-05-01|${deviceId}`)).toMatchObject({ view: 1 })
+    expect(userStateService.get('stats', `2026-05-02|${deviceId}`)).toBeUndefined()
+  })
+
+  it('rolls days before the window into the archive', () => {
+    statsService.record('view', { grammarNo: 7 }, day('2026-01-01'))
+    statsService.flush()
+    const later = day('2026-01-01')
+    later.setDate(later.getDate() + STATS_WINDOW_DAYS + 1)
+    statsService.record('audio', {}, later)
+    statsService.flush()
+
+    const stats = userStateService.getSection('stats')
+    expect(stats[`2026-01-01|${deviceId}`]).toBeUndefined()
+    expect(stats[toArchiveKey(deviceId)]).toMatchObject({ view: 1, seen: [7], archivedThrough: '2026-01-01' })
+    expect(Object.keys(statsService.getDays())).toHaveLength(1)
+    expect(statsService.getArchive()).toMatchObject({ view: 1, longestStreak: 1 })
+  })
+})
@@ -0,0 +1,171 @@
+// Offline audio packs: every example MP3 (and speech marks file) of one JLPT level and voice,
+// downloaded into a Cache Storage bucket the service worker serves voices from. Audio played
+// online goes to a separate cache that expires (see vite.config.js)
+
+export const AUDIO_CACHE_NAME = 'jlpt-audio-packs'
+const STORAGE_KEY = 'jlpt-audio-packs'
+const DOWNLOAD_CONCURRENCY = 4
+
+// Key of a pack in the saved pack list
+export const getPackKey = (voice, level) => `${voice}-n${level}`
+
+// Files of a pack; speech marks are optional and skipped when missing
+export const getPackFiles = (grammarData, level, voicePath) => {
+  const files = []
+  grammarData
+    .filter(item => item.n_level === level)
+    .forEach(item => {
+      item.examples.forEach((_, index) => {
+        const base = `${voicePath}/example-${item.no}/${index + 1}`
+        files.push({ url: `${base}.mp3`, optional: false })
+        files.push({ url: `${base}.marks.json`, optional: true })
+      })
+    })
+  return files
+}
+
+const isSupported = () => typeof window !== 'undefined' && 'caches' in window
+
+class AudioPackService {
+  constructor() {
+    this.packs = {}
+    this.load()
+  }
+
+  // Load downloaded pack info from localStorage
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      this.packs = saved ? JSON.parse(saved) : {}
+    } catch (error) {
+      console.error('Error loading audio packs:', error)
+      this.packs = {}
+    }
+  }
+
+  // Save downloaded pack info to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.packs))
+    } catch (error) {
+      console.error('Error saving audio packs:', error)
+    }
+  }
+
+  isSupported() {
+    return isSupported()
+  }
+
+  getPack(voice, level) {
+    return this.packs[getPackKey(voice, level)] || null
+  }
+
+  // URLs of every file in the audio cache
+  async getCachedUrls() {
+    if (!isSupported()) return new Set()
+    const cache = await caches.open(AUDIO_CACHE_NAME)
+    const requests = await cache.keys()
+    return new Set(requests.map(request => new URL(request.url).pathname))
+  }
+
+  // How many MP3s of a pack are already downloaded
+  async getPackStatus(files) {
+    const cachedUrls = await this.getCachedUrls()
+    const audioFiles = files.filter(file => !file.optional)
+    return {
+      total: audioFiles.length,
+      cached: audioFiles.filter(file => cachedUrls.has(file.url)).length
+    }
+  }
+
+  // Download every missing file of a pack. onProgress({ done, total, bytes }) is called after each
+  // file; pass an AbortSignal to cancel. Resolves with { failed } (URLs that could not be fetched)
+  async downloadPack(voice, level, files, { onProgress, signal } = {}) {
+    if (!isSupported()) {
+      throw new Error('Offline audio is not supported in this browser.')
+    }
+
+    // Ask the browser not to evict the audio under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {})
+    }
+
+    const cache = await caches.open(AUDIO_CACHE_NAME)
+    const cachedUrls = await this.getCachedUrls()
+    const key = getPackKey(voice, level)
+    const previousBytes = this.packs[key] ? this.packs[key].bytes : 0
+    const failed = []
+    let done = 0
+    let bytes = 0
+    let next = 0
+
+    const downloadFile = async (file) => {
+      if (cachedUrls.has(file.url)) return
+
+      try {
+        const response = await fetch(file.url, { signal })
+        if (!response.ok) {
+          if (!file.optional) failed.push(file.url)
+          return
+        }
+        const blob = await response.clone().blob()
+        await cache.put(file.url, response)
+        bytes += blob.size
+      } catch (error) {
+        if (error.name === 'AbortError') throw error
+        if (!file.optional) failed.push(file.url)
+      }
+    }
+
+    const workers = Array.from({ length: DOWNLOAD_CONCURRENCY }, async () => {
+      while (next < files.length) {
+        if (signal && signal.aborted) return
+        const file = files[next++]
+        await downloadFile(file)
+        done++
+        if (onProgress) onProgress({ done, total: files.length, bytes })
+      }
+    })
+
+    try {
+      await Promise.all(workers)
+    } finally {
+      // Keep track of partial downloads too, so they can be resumed or deleted
+      this.packs[key] = {
+        voice,
+        level,
+        files: files.filter(file => !file.optional).length - failed.length,
+        bytes: previousBytes + bytes,
+        complete: !(signal && signal.aborted) && failed.length === 0,
+        downloadedAt: new Date().toISOString()
+      }
+      this.save()
+    }
+
+    return { failed }
+  }
+
+  // Remove a pack's files from the audio cache
+  async deletePack(voice, level, files) {
+    if (isSupported()) {
+      const cache = await caches.open(AUDIO_CACHE_NAME)
+      await Promise.all(files.map(file => cache.delete(file.url)))
+    }
+    delete this.packs[getPackKey(voice, level)]
+    this.save()
+  }
+
+  // Storage used by the whole site and by downloaded packs, in bytes
+  async getStorageUsage() {
+    const packBytes = Object.values(this.packs).reduce((sum, pack) => sum + (pack.bytes || 0), 0)
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return { packBytes, usage: null, quota: null }
+    }
+    const { usage, quota } = await navigator.storage.estimate()
+    return { packBytes, usage, quota }
+  }
+}
+
+// Create and export a singleton instance
+export const audioPackService = new AudioPackService()
+export default audioPackService
@@ -0,0 +1,279 @@
+// Example audio player shared by single examples, "play all" and flashcard auto-advance.
+// Plays a queue of MP3s with the saved playback rate, repeat count and gap between sentences.
+// Sentences without a playable MP3 are spoken by a Japanese browser voice (Web Speech API)
+import userStateService from './userStateService.js'
+import { t } from '../i18n/index.js'
+import { speakJapanese, canSpeakJapanese, cancelSpeech } from '../utils/webSpeech.js'
+
+const STORAGE_KEY = 'jlpt-audio-settings'
+
+export const PLAYBACK_RATE_MIN = 0.5
+export const PLAYBACK_RATE_MAX = 1.5
+export const MAX_REPEAT = 10
+export const MAX_GAP_MS = 10000
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  rate: 1,
+  repeat: 1, // times each sentence is played
+  gapMs: 500, // pause after each sentence, e.g. for shadowing
+  loop: false // keep repeating a single example until stopped
+}
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback
+}
+
+// Fill in defaults and keep every setting inside its allowed range
+export const normalizeAudioSettings = (settings = {}) => ({
+  rate: clamp(settings.rate, PLAYBACK_RATE_MIN, PLAYBACK_RATE_MAX, DEFAULT_AUDIO_SETTINGS.rate),
+  repeat: Math.round(clamp(settings.repeat, 1, MAX_REPEAT, DEFAULT_AUDIO_SETTINGS.repeat)),
+  gapMs: Math.round(clamp(settings.gapMs, 0, MAX_GAP_MS, DEFAULT_AUDIO_SETTINGS.gapMs)),
+  loop: typeof settings.loop === 'boolean' ? settings.loop : DEFAULT_AUDIO_SETTINGS.loop
+})
+
+class AudioPlayerService {
+  constructor() {
+    this.settings = { ...DEFAULT_AUDIO_SETTINGS }
+    this.queue = []
+    this.queueId = null
+    this.index = 0
+    this.playCount = 0
+    this.audio = null
+    this.utterance = null // speech of the current sentence when it is not played from an MP3
+    this.speechVoiceURI = null
+    this.gapTimer = null
+    this.options = {}
+    this.listeners = []
+    this.trackListeners = []
+    this.loadSettings()
+  }
+
+  // Load settings from localStorage
+  loadSettings() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      this.settings = normalizeAudioSettings(saved ? JSON.parse(saved) : {})
+    } catch (error) {
+      console.error('Error loading audio settings:', error)
+      this.settings = { ...DEFAULT_AUDIO_SETTINGS }
+    }
+  }
+
+  getSettings() {
+    return { ...this.settings }
+  }
+
+  // Change settings; pass sync: false for settings that came from another device
+  updateSettings(partial, { sync = true } = {}) {
+    this.settings = normalizeAudioSettings({ ...this.settings, ...partial })
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings))
+      if (sync) {
+        userStateService.set('preferences', 'audio', this.settings)
+      }
+    } catch (error) {
+      console.error('Error saving audio settings:', error)
+    }
+
+    // Apply the new rate to the sentence that is already playing
+    if (this.audio) {
+      this.audio.playbackRate = this.settings.rate
+    }
+    return this.getSettings()
+  }
+
+  // Speak every sentence with this browser voice instead of playing the MP3s (null: MP3s first)
+  setSpeechVoice(voiceURI) {
+    this.speechVoiceURI = voiceURI
+  }
+
+  // Playback state for the UI
+  getState() {
+    const item = this.queue[this.index] || null
+    return {
+      isPlaying: this.queue.length > 0,
+      queueId: this.queueId,
+      grammarNo: item ? item.grammarNo : null,
+      exampleIndex: item ? item.exampleIndex : null
+    }
+  }
+
+  // Subscribe to playback state changes; returns an unsubscribe function
+  onChange(callback) {
+    this.listeners.push(callback)
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback)
+    }
+  }
+
+  // Called with (audio, item) whenever a sentence starts, e.g. to follow speech marks
+  // (audio is null when the sentence is spoken by the browser)
+  onTrackStart(callback) {
+    this.trackListeners.push(callback)
+    return () => {
+      this.trackListeners = this.trackListeners.filter(listener => listener !== callback)
+    }
+  }
+
+  notify() {
+    const state = this.getState()
+    this.listeners.forEach(listener => listener(state))
+  }
+
+  isCurrentAudio(audio) {
+    return this.audio !== null && this.audio === audio
+  }
+
+  // Play a queue of { src, text, grammarNo, exampleIndex } items, replacing anything already playing.
+  // text (Japanese without furigana) is spoken when src is null or cannot be played.
+  // options: queueId (identifies the queue in getState), loop (allow looping a single example),
+  // onComplete (after the last sentence), onError(message) (stop and report instead of skipping failed files)
+  play(items, options = {}) {
+    this.stop()
+    if (items.length === 0) {
+      if (options.onComplete) options.onComplete()
+      return
+    }
+
+    this.queue = items
+    this.queueId = options.queueId || null
+    this.options = options
+    this.index = 0
+    this.playCount = 0
+    this.playCurrent()
+  }
+
+  playCurrent() {
+    const item = this.queue[this.index]
+    this.notify()
+
+    if (this.speechVoiceURI || !item.src) {
+      this.speakCurrent(item)
+      return
+    }
+
+    try {
+      const audio = new Audio(item.src)
+      audio.playbackRate = this.settings.rate
+      this.audio = audio
+
+      audio.addEventListener('ended', () => {
+        if (this.isCurrentAudio(audio)) this.handleEnded()
+      })
+      audio.addEventListener('error', (error) => {
+        if (this.isCurrentAudio(audio)) this.handleFailure(item, error)
+      })
+      audio.play().catch(error => {
+        if (this.isCurrentAudio(audio)) this.handleFailure(item, error)
+      })
+
+      this.trackListeners.forEach(listener => listener(audio, item))
+    } catch (error) {
+      this.handleFailure(item, error)
+    }
+  }
+
+  // Speak the sentence with a browser voice; fails like a missing MP3 when that is not possible
+  speakCurrent(item) {
+    const utterance = item.text
+      ? speakJapanese(item.text, {
+        voiceURI: this.speechVoiceURI,
+        rate: this.settings.rate,
+        onEnd: () => {
+          if (this.utterance === utterance) this.handleEnded()
+        },
+        onError: (error) => {
+          if (this.utterance === utterance) this.handleFailure(item, error, { canSpeak: false })
+        }
+      })
+      : null
+
+    if (!utterance) {
+      this.handleFailure(item, new Error('No Japanese speech voice available'), { canSpeak: false })
+      return
+    }
+    this.utterance = utterance
+    this.trackListeners.forEach(listener => listener(null, item))
+  }
+
+  handleEnded() {
+    this.audio = null
+    this.utterance = null
+    this.playCount++
+
+    const looping = this.settings.loop && this.options.loop && this.queue.length === 1
+    if (!looping && this.playCount >= this.settings.repeat) {
+      this.index++
+      this.playCount = 0
+    }
+    this.scheduleNext(this.settings.gapMs)
+  }
+
+  // Speak a sentence whose MP3 cannot be played, or skip it when that fails too;
+  // callers with onError (single examples) get the error instead of the skip
+  handleFailure(item, error, { canSpeak = true } = {}) {
+    console.warn(`Audio playback failed for ${item.src || item.text}:`, error)
+    this.audio = null
+    this.utterance = null
+
+    if (canSpeak && item.text && canSpeakJapanese()) {
+      this.speakCurrent(item)
+      return
+    }
+
+    const { onError } = this.options
+    if (onError) {
+      this.stop()
+      onError(item.src && !this.speechVoiceURI ? t('audio.unavailable') : t('audio.noSpeechVoice'))
+      return
+    }
+
+    this.index++
+    this.playCount = 0
+    this.scheduleNext(100)
+  }
+
+  scheduleNext(delay) {
+    if (this.index >= this.queue.length) {
+      const { onComplete } = this.options
+      this.stop()
+      if (onComplete) onComplete()
+      return
+    }
+    this.gapTimer = setTimeout(() => {
+      this.gapTimer = null
+      this.playCurrent()
+    }, delay)
+  }
+
+  // Stop playback and forget the queue (onComplete is not called)
+  stop() {
+    if (this.gapTimer) {
+      clearTimeout(this.gapTimer)
+      this.gapTimer = null
+    }
+    if (this.audio) {
+      const audio = this.audio
+      this.audio = null
+      audio.pause()
+      audio.currentTime = 0
+    }
+    if (this.utterance) {
+      this.utterance = null
+      cancelSpeech()
+    }
+
+    const wasPlaying = this.queue.length > 0
+    this.queue = []
+    this.queueId = null
+    this.options = {}
+    this.index = 0
+    this.playCount = 0
+    if (wasPlaying) this.notify()
+  }
+}
+
+// Create and export a singleton instance
+export const audioPlayerService = new AudioPlayerService()
+export default audioPlayerService
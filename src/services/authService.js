@@ -1,29 +1,47 @@
-import { 
-  signInWithPopup, 
-  signOut, 
-  onAuthStateChanged 
-} from 'firebase/auth'
-import { 
-  doc, 
-  getDoc, 
-  setDoc, 
-  updateDoc,
-  onSnapshot 
-} from 'firebase/firestore'
-import { auth, googleProvider, db } from '../firebase.js'
+// Sign-in and cloud sync of favorites and user state. Storage goes through a sync backend
+// (Firebase by default, see src/services/backends/index.js for the interface and the others)
+import { createSyncBackend } from './backends/index.js'
+import {
+  USER_STATE_VERSION,
+  createEmptyUserState,
+  mergeUserStates,
+  isSameUserState
+} from './userStateService.js'
+import {
+  mergeFavoriteOps,
+  opsToFavorites,
+  favoritesToOps,
+  isSameFavoriteOps,
+  limitFavoriteOpChanges
+} from './favoritesService.js'
 
 class AuthService {
-  constructor() {
+  constructor(backend = null) {
+    // A backend (or a promise of one) can be passed in, e.g. the memory backend for trying sync
+    this.backendPromise = backend ? Promise.resolve(backend) : null
+    this.backend = null
     this.user = null
     this.authStateCallbacks = []
     this.favoritesListenerCallbacks = []
     this.favoritesUnsubscribe = null
+    this.userStateListenerCallbacks = []
+    this.userStateUnsubscribe = null
+  }
+
+  // Load the sync backend once
+  async getBackend() {
+    if (!this.backendPromise) {
+      this.backendPromise = createSyncBackend()
+    }
+    this.backend = await this.backendPromise
+    return this.backend
   }
 
   // Initialize auth state listener
-  init() {
+  async init() {
+    const backend = await this.getBackend()
     return new Promise((resolve) => {
-      onAuthStateChanged(auth, (user) => {
+      backend.onAuthStateChanged((user) => {
         const previousUser = this.user
         this.user = user
         
@@ -33,9 +51,13 @@ class AuthService {
           if (this.favoritesListenerCallbacks.length > 0) {
             this.startFavoritesListener()
           }
+          if (this.userStateListenerCallbacks.length > 0) {
+            this.startUserStateListener()
+          }
         } else if (!user && previousUser) {
-          // User signed out, stop favorites listener
+          // User signed out, stop favorites and user state listeners
           this.stopFavoritesListener()
+          this.stopUserStateListener()
         }
         
         this.authStateCallbacks.forEach(callback => callback(user))
@@ -59,52 +81,61 @@ class AuthService {
     }
   }
 
-  // Sign in with Google
-  async signInWithGoogle() {
+  // Sign in with the backend's provider (Google on Firebase)
+  async signIn() {
     try {
-      const result = await signInWithPopup(auth, googleProvider)
-      const user = result.user
+      const backend = await this.getBackend()
+      const user = await backend.signIn()
       
-      // Create or update user document in Firestore
+      // Create the user document if this is the first sign-in
       await this.createUserDocument(user)
       
       return user
     } catch (error) {
-      console.error('Error signing in with Google:', error)
+      console.error('Error signing in:', error)
       throw error
     }
   }
 
+  // Kept for callers written for Firebase
+  async signInWithGoogle() {
+    return this.signIn()
+  }
+
   // Sign out
   async signOut() {
     try {
-      await signOut(auth)
+      const backend = await this.getBackend()
+      await backend.signOut()
     } catch (error) {
       console.error('Error signing out:', error)
       throw error
     }
   }
 
-  // Create user document in Firestore
+  // Create the user document if there is none
   async createUserDocument(user) {
     if (!user) return
 
-    const userRef = doc(db, 'users', user.uid)
-    const userSnap = await getDoc(userRef)
+    const backend = await this.getBackend()
+    const userData = await backend.getUserDoc(user.uid)
 
-    if (!userSnap.exists()) {
+    if (!userData) {
       const { displayName, email, photoURL } = user
       const createdAt = new Date()
 
       try {
-        await setDoc(userRef, {
+        await backend.createUserDoc(user.uid, {
           displayName,
           email,
           photoURL,
           createdAt,
           favorites: [],
+          favoritesOps: {},
           lastSyncAt: createdAt,
-          favoritesLastModified: createdAt
+          favoritesLastModified: createdAt,
+          userState: createEmptyUserState(),
+          userStateLastModified: createdAt
         })
       } catch (error) {
         console.error('Error creating user document:', error)
@@ -123,69 +154,92 @@ class AuthService {
     return !!this.user
   }
 
-  // Sync favorites to Firestore
-  async syncFavoritesToCloud(favorites) {
+  // Cloud favorite operations, converting documents that only have a plain favorites array
+  getCloudFavoriteOps(userData) {
+    if (userData.favoritesOps) {
+      return userData.favoritesOps
+    }
+    const lastModified = userData.favoritesLastModified?.getTime() || 0
+    return favoritesToOps(userData.favorites || [], lastModified)
+  }
+
+  // Merge local favorite operations into the cloud copy inside a transaction. Each write adds or
+  // changes at most MAX_FAVORITE_OP_CHANGES entries (the Firestore rules check no more), so a
+  // large merge, e.g. the first sync of many favorites, takes several transactions
+  async syncFavoritesToCloud(localOps) {
     if (!this.user) {
       throw new Error('User not authenticated')
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      const favoritesArray = Array.from(favorites)
-      const now = new Date()
-      
-      console.log('Syncing favorites to cloud:', favoritesArray.length, 'items')
-      
-      await updateDoc(userRef, {
-        favorites: favoritesArray,
-        lastSyncAt: now,
-        favoritesLastModified: now
-      })
+      const backend = await this.getBackend()
+      let mergedOps = localOps
+      let complete = false
+
+      while (!complete) {
+        // The update may run again when the document changes concurrently; the last run wins
+        await backend.transactUserDoc(this.user.uid, (userData) => {
+          if (!userData) {
+            const notFoundError = new Error('User document not found')
+            notFoundError.code = 'not-found'
+            throw notFoundError
+          }
 
-      // Store local timestamp for comparison
-      localStorage.setItem('favoritesLastModified', now.toISOString())
+          const cloudOps = this.getCloudFavoriteOps(userData)
+          mergedOps = mergeFavoriteOps(mergedOps, cloudOps)
+          complete = true
+
+          if (userData.favoritesOps && isSameFavoriteOps(mergedOps, cloudOps)) {
+            return null
+          }
+
+          const writtenOps = limitFavoriteOpChanges(mergedOps, userData.favoritesOps)
+          complete = isSameFavoriteOps(writtenOps, mergedOps)
+
+          const now = new Date()
+          console.log('Syncing favorites to cloud:', opsToFavorites(writtenOps).size, 'items')
+          return {
+            favoritesOps: writtenOps,
+            // Plain array kept for older app versions
+            favorites: Array.from(opsToFavorites(writtenOps)),
+            lastSyncAt: now,
+            favoritesLastModified: now
+          }
+        })
+      }
 
       console.log('Favorites synced to cloud successfully')
-      return true
+      return mergedOps
     } catch (error) {
       console.error('Error syncing favorites to cloud:', error)
       console.error('Error details:', error.code, error.message)
-      
+
       // If document doesn't exist, create it first
       if (error.code === 'not-found') {
         console.log('User document not found, creating it...')
         await this.createUserDocument(this.user)
         // Retry the sync
-        const retryNow = new Date()
-        await updateDoc(userRef, {
-          favorites: favoritesArray,
-          lastSyncAt: retryNow,
-          favoritesLastModified: retryNow
-        })
-        localStorage.setItem('favoritesLastModified', retryNow.toISOString())
-        console.log('Favorites synced after creating user document')
-        return true
+        return this.syncFavoritesToCloud(localOps)
       }
-      
+
       throw error
     }
   }
 
-  // Get favorites from Firestore
+  // Get favorites from the cloud
   async getFavoritesFromCloud() {
     if (!this.user) {
       throw new Error('User not authenticated')
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      const userSnap = await getDoc(userRef)
-
-      if (userSnap.exists()) {
-        const userData = userSnap.data()
-        const cloudFavorites = userData.favorites || []
-        console.log('Retrieved favorites from cloud:', cloudFavorites.length, 'items')
-        return new Set(cloudFavorites)
+      const backend = await this.getBackend()
+      const userData = await backend.getUserDoc(this.user.uid)
+
+      if (userData) {
+        const cloudFavorites = opsToFavorites(this.getCloudFavoriteOps(userData))
+        console.log('Retrieved favorites from cloud:', cloudFavorites.size, 'items')
+        return cloudFavorites
       } else {
         console.log('User document does not exist in cloud')
         return new Set()
@@ -197,73 +251,24 @@ class AuthService {
     }
   }
 
-  // Smart sync favorites using timestamps
-  async smartSyncFavorites(localFavorites) {
+  // Merge local and cloud favorite operations; both sides end up with the same result
+  async smartSyncFavorites(localOps) {
     if (!this.user) {
-      return localFavorites
+      return localOps
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      const userSnap = await getDoc(userRef)
-
-      if (!userSnap.exists()) {
-        console.log('No cloud data found, using local favorites')
-        await this.syncFavoritesToCloud(localFavorites)
-        return localFavorites
-      }
-
-      const userData = userSnap.data()
-      const cloudFavorites = new Set(userData.favorites || [])
-      const cloudLastModified = userData.favoritesLastModified?.toDate() || new Date(0)
-      
-      // Get local last modified timestamp
-      const localLastModifiedStr = localStorage.getItem('favoritesLastModified')
-      const localLastModified = localLastModifiedStr ? new Date(localLastModifiedStr) : new Date(0)
-
-      console.log('Cloud last modified:', cloudLastModified)
-      console.log('Local last modified:', localLastModified)
-      console.log('Cloud favorites:', cloudFavorites.size, 'items')
-      console.log('Local favorites:', localFavorites.size, 'items')
-
-      // If cloud is more recent, use cloud data
-      if (cloudLastModified > localLastModified) {
-        console.log('Cloud data is more recent, using cloud favorites')
-        localStorage.setItem('favoritesLastModified', cloudLastModified.toISOString())
-        return cloudFavorites
-      }
-      // If local is more recent, sync local to cloud
-      else if (localLastModified > cloudLastModified) {
-        console.log('Local data is more recent, syncing to cloud')
-        await this.syncFavoritesToCloud(localFavorites)
-        return localFavorites
-      }
-      // If timestamps are equal, check if data is different
-      else {
-        const localArray = Array.from(localFavorites).sort()
-        const cloudArray = Array.from(cloudFavorites).sort()
-        const isDifferent = JSON.stringify(localArray) !== JSON.stringify(cloudArray)
-        
-        if (isDifferent) {
-          console.log('Data differs but timestamps equal, merging and syncing')
-          const mergedFavorites = new Set([...localFavorites, ...cloudFavorites])
-          await this.syncFavoritesToCloud(mergedFavorites)
-          return mergedFavorites
-        } else {
-          console.log('Data is identical, no sync needed')
-          return localFavorites
-        }
-      }
+      return await this.syncFavoritesToCloud(localOps)
     } catch (error) {
       console.error('Error in smart sync:', error)
-      // Return local favorites if sync fails
-      return localFavorites
+      // Return local operations if sync fails
+      return localOps
     }
   }
 
   // Legacy merge method for backward compatibility
-  async mergeFavorites(localFavorites) {
-    return this.smartSyncFavorites(localFavorites)
+  async mergeFavorites(localOps) {
+    return this.smartSyncFavorites(localOps)
   }
 
   // Get user profile data
@@ -273,14 +278,8 @@ class AuthService {
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      const userSnap = await getDoc(userRef)
-
-      if (userSnap.exists()) {
-        return userSnap.data()
-      } else {
-        return null
-      }
+      const backend = await this.getBackend()
+      return await backend.getUserDoc(this.user.uid)
     } catch (error) {
       console.error('Error getting user profile:', error)
       return null
@@ -310,32 +309,26 @@ class AuthService {
     }
   }
 
-  // Start listening to favorites changes in Firestore
+  // Start listening to favorites changes in the cloud
   startFavoritesListener() {
-    if (!this.user || this.favoritesUnsubscribe) {
+    if (!this.user || this.favoritesUnsubscribe || !this.backend) {
       return // Already listening or not authenticated
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      
       console.log('Starting real-time favorites listener for user:', this.user.uid)
       
-      this.favoritesUnsubscribe = onSnapshot(userRef, (doc) => {
-        if (doc.exists()) {
-          const userData = doc.data()
-          const cloudFavorites = new Set(userData.favorites || [])
-          const cloudLastModified = userData.favoritesLastModified?.toDate() || new Date(0)
+      this.favoritesUnsubscribe = this.backend.watchUserDoc(this.user.uid, (userData) => {
+        if (userData) {
+          const cloudOps = this.getCloudFavoriteOps(userData)
+          const cloudLastModified = userData.favoritesLastModified || new Date(0)
           
-          console.log('Real-time favorites update received:', cloudFavorites.size, 'items')
-          
-          // Update local timestamp
-          localStorage.setItem('favoritesLastModified', cloudLastModified.toISOString())
+          console.log('Real-time favorites update received:', opsToFavorites(cloudOps).size, 'items')
           
           // Notify all callbacks
           this.favoritesListenerCallbacks.forEach(callback => {
             try {
-              callback(cloudFavorites, cloudLastModified)
+              callback(cloudOps, cloudLastModified)
             } catch (error) {
               console.error('Error in favorites listener callback:', error)
             }
@@ -371,59 +364,156 @@ class AuthService {
     }
   }
 
-  // Update favorites with conflict resolution
-  async updateFavorites(favorites, skipListener = false) {
+  // Push a local favorites change (merged with the cloud copy, so concurrent edits are kept)
+  async updateFavorites(localOps) {
+    return this.syncFavoritesToCloud(localOps)
+  }
+
+  // Merge local user state (preferences, progress, notes) with the cloud copy
+  async smartSyncUserState(localState) {
+    if (!this.user) {
+      return localState
+    }
+
+    try {
+      return await this.updateUserState(localState)
+    } catch (error) {
+      console.error('Error in user state sync:', error)
+      // Return local state if sync fails
+      return localState
+    }
+  }
+
+  // Merge the user state into the cloud copy inside a transaction, so entries written by
+  // another device at the same time are kept. Resolves to the merged state
+  async updateUserState(state) {
     if (!this.user) {
       throw new Error('User not authenticated')
     }
 
     try {
-      const userRef = doc(db, 'users', this.user.uid)
-      const favoritesArray = Array.from(favorites)
-      const now = new Date()
-      
-      console.log('Updating favorites in cloud:', favoritesArray.length, 'items')
-      
-      // Temporarily stop listener to avoid echo
-      const wasListening = !!this.favoritesUnsubscribe
-      if (wasListening && !skipListener) {
-        this.stopFavoritesListener()
-      }
-      
-      await updateDoc(userRef, {
-        favorites: favoritesArray,
-        lastSyncAt: now,
-        favoritesLastModified: now
-      })
+      const backend = await this.getBackend()
+      let mergedState = state
+
+      // The update may run again when the document changes concurrently; the last run wins
+      await backend.transactUserDoc(this.user.uid, (userData) => {
+        if (!userData) {
+          const notFoundError = new Error('User document not found')
+          notFoundError.code = 'not-found'
+          throw notFoundError
+        }
 
-      // Store local timestamp
-      localStorage.setItem('favoritesLastModified', now.toISOString())
+        const cloudState = userData.userState || null
+        if (cloudState?.version > USER_STATE_VERSION) {
+          console.warn('Cloud user state was written by a newer app version, keeping local state')
+          mergedState = state
+          return null
+        }
 
-      // Restart listener after a short delay
-      if (wasListening && !skipListener) {
-        setTimeout(() => {
-          if (this.user && this.favoritesListenerCallbacks.length > 0) {
-            this.startFavoritesListener()
-          }
-        }, 500)
-      }
+        mergedState = mergeUserStates(state, cloudState)
+        if (cloudState && isSameUserState(mergedState, cloudState)) {
+          console.log('User state is identical, no sync needed')
+          return null
+        }
+
+        const now = new Date()
+        return {
+          userState: { ...mergedState, version: USER_STATE_VERSION },
+          lastSyncAt: now,
+          userStateLastModified: now
+        }
+      })
 
-      console.log('Favorites updated in cloud successfully')
-      return true
+      console.log('User state synced to cloud successfully')
+      return mergedState
     } catch (error) {
-      console.error('Error updating favorites in cloud:', error)
-      
+      console.error('Error updating user state in cloud:', error)
+
       // If document doesn't exist, create it first
       if (error.code === 'not-found') {
         console.log('User document not found, creating it...')
         await this.createUserDocument(this.user)
         // Retry the update
-        return this.updateFavorites(favorites, skipListener)
+        return this.updateUserState(state)
       }
-      
+
       throw error
     }
   }
+
+  // Subscribe to real-time user state updates
+  onUserStateChanged(callback) {
+    this.userStateListenerCallbacks.push(callback)
+
+    // If user is authenticated, start listening immediately
+    if (this.user) {
+      this.startUserStateListener()
+    }
+
+    // Return unsubscribe function
+    return () => {
+      const index = this.userStateListenerCallbacks.indexOf(callback)
+      if (index > -1) {
+        this.userStateListenerCallbacks.splice(index, 1)
+      }
+
+      // If no more callbacks, stop the listener
+      if (this.userStateListenerCallbacks.length === 0) {
+        this.stopUserStateListener()
+      }
+    }
+  }
+
+  // Start listening to user state changes in the cloud
+  startUserStateListener() {
+    if (!this.user || this.userStateUnsubscribe || !this.backend) {
+      return // Already listening or not authenticated
+    }
+
+    try {
+      console.log('Starting real-time user state listener for user:', this.user.uid)
+
+      this.userStateUnsubscribe = this.backend.watchUserDoc(this.user.uid, (userData) => {
+        // Document creation is handled by the favorites listener and sync methods
+        if (!userData || !userData.userState) {
+          return
+        }
+
+        const cloudState = userData.userState
+        console.log('Real-time user state update received')
+
+        // Notify all callbacks
+        this.userStateListenerCallbacks.forEach(callback => {
+          try {
+            callback(cloudState)
+          } catch (error) {
+            console.error('Error in user state listener callback:', error)
+          }
+        })
+      }, (error) => {
+        console.error('Error in user state listener:', error)
+        // Retry after a delay
+        setTimeout(() => {
+          if (this.user && this.userStateListenerCallbacks.length > 0) {
+            console.log('Retrying user state listener...')
+            this.stopUserStateListener()
+            this.startUserStateListener()
+          }
+        }, 5000)
+      })
+    } catch (error) {
+      console.error('Error starting user state listener:', error)
+    }
+  }
+
+  // Stop listening to user state changes
+  stopUserStateListener() {
+    if (this.userStateUnsubscribe) {
+      console.log('Stopping real-time user state listener')
+      this.userStateUnsubscribe()
+      this.userStateUnsubscribe = null
+    }
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,60 @@
+// Sync backend on Firebase: Google sign-in and users/{uid} documents in Cloud Firestore
+// (checked by firestore.rules)
+import {
+  signInWithPopup,
+  signOut,
+  onAuthStateChanged
+} from 'firebase/auth'
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  onSnapshot,
+  runTransaction,
+  Timestamp
+} from 'firebase/firestore'
+import { auth, googleProvider, db } from '../../firebase.js'
+import { createFirebaseClassroom } from './firebaseClassroom.js'
+
+const userRef = (uid) => doc(db, 'users', uid)
+
+// Firestore timestamps as Dates, like the other backends return them
+const fromSnapshot = (snapshot) => {
+  if (!snapshot.exists()) return null
+  return Object.fromEntries(Object.entries(snapshot.data()).map(([key, value]) => [
+    key,
+    value instanceof Timestamp ? value.toDate() : value
+  ]))
+}
+
+export const createFirebaseBackend = () => ({
+  name: 'firebase',
+
+  onAuthStateChanged: (callback) => onAuthStateChanged(auth, callback),
+
+  signIn: async () => (await signInWithPopup(auth, googleProvider)).user,
+
+  signOut: () => signOut(auth),
+
+  getUserDoc: async (uid) => fromSnapshot(await getDoc(userRef(uid))),
+
+  createUserDoc: (uid, data) => setDoc(userRef(uid), data),
+
+  updateUserDoc: (uid, fields) => updateDoc(userRef(uid), fields),
+
+  transactUserDoc: (uid, update) => runTransaction(db, async (transaction) => {
+    const fields = update(fromSnapshot(await transaction.get(userRef(uid))))
+    if (fields) {
+      transaction.update(userRef(uid), fields)
+    }
+  }),
+
+  watchUserDoc: (uid, onData, onError) => onSnapshot(
+    userRef(uid),
+    (snapshot) => onData(fromSnapshot(snapshot)),
+    onError
+  ),
+
+  classroom: createFirebaseClassroom()
+})
@@ -0,0 +1,124 @@
+// Classroom storage in Cloud Firestore (checked by firestore.rules):
+//   classes/{classId}                 { name, teacherUid, teacherName, joinCode, createdAt, assignments }
+//   classes/{classId}/members/{uid}   { displayName, joinCode, joinedAt, progress, updatedAt }
+//   joinCodes/{code}                  { classId }, so students can find a class by its code
+// Assignments are kept in the class document: [{ id, title, nos, dueDate: 'YYYY-MM-DD' }]
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  updateDoc,
+  setDoc,
+  deleteDoc,
+  Timestamp
+} from 'firebase/firestore'
+import { db } from '../../firebase.js'
+import { generateJoinCode } from '../../utils/classroom.js'
+import { UserError } from '../../utils/userError.js'
+
+const MAX_CODE_ATTEMPTS = 5
+
+const toDate = (value) => (value instanceof Timestamp ? value.toDate() : value)
+
+const fromClassSnapshot = (snapshot) => {
+  if (!snapshot.exists()) return null
+  const data = snapshot.data()
+  return { id: snapshot.id, ...data, createdAt: toDate(data.createdAt), assignments: data.assignments || [] }
+}
+
+const fromMemberSnapshot = (snapshot) => {
+  const data = snapshot.data()
+  return { uid: snapshot.id, ...data, joinedAt: toDate(data.joinedAt), updatedAt: toDate(data.updatedAt) }
+}
+
+const notFoundError = (key) => {
+  const error = new UserError(key)
+  error.code = 'not-found'
+  return error
+}
+
+export const createFirebaseClassroom = () => ({
+  // New class with a unique join code; the rules refuse a code that is already taken
+  async createClass(teacher, name) {
+    for (let attempt = 1; ; attempt++) {
+      const classRef = doc(collection(db, 'classes'))
+      const joinCode = generateJoinCode()
+      const data = {
+        name,
+        teacherUid: teacher.uid,
+        teacherName: teacher.displayName || '',
+        joinCode,
+        createdAt: new Date(),
+        assignments: []
+      }
+
+      try {
+        const batch = writeBatch(db)
+        batch.set(classRef, data)
+        batch.set(doc(db, 'joinCodes', joinCode), { classId: classRef.id })
+        await batch.commit()
+        return { id: classRef.id, ...data }
+      } catch (error) {
+        if (error.code !== 'permission-denied' || attempt >= MAX_CODE_ATTEMPTS) throw error
+      }
+    }
+  },
+
+  async getTeachingClasses(uid) {
+    const snapshot = await getDocs(query(collection(db, 'classes'), where('teacherUid', '==', uid)))
+    return snapshot.docs.map(fromClassSnapshot)
+  },
+
+  async getClass(classId) {
+    return fromClassSnapshot(await getDoc(doc(db, 'classes', classId)))
+  },
+
+  async saveAssignments(classId, assignments) {
+    await updateDoc(doc(db, 'classes', classId), { assignments })
+  },
+
+  // Join with a code; resolves to the class
+  async joinClass(user, joinCode) {
+    const codeSnapshot = await getDoc(doc(db, 'joinCodes', joinCode))
+    if (!codeSnapshot.exists()) throw notFoundError('classroom.codeNotFound')
+
+    const { classId } = codeSnapshot.data()
+    const memberRef = doc(db, 'classes', classId, 'members', user.uid)
+    const memberSnapshot = await getDoc(memberRef).catch(() => null)
+
+    if (!memberSnapshot?.exists()) {
+      const now = new Date()
+      await setDoc(memberRef, {
+        displayName: user.displayName || '',
+        joinCode,
+        joinedAt: now,
+        progress: {},
+        updatedAt: now
+      })
+    }
+    return this.getClass(classId)
+  },
+
+  async leaveClass(classId, uid) {
+    await deleteDoc(doc(db, 'classes', classId, 'members', uid))
+  },
+
+  async getMember(classId, uid) {
+    const snapshot = await getDoc(doc(db, 'classes', classId, 'members', uid))
+    return snapshot.exists() ? fromMemberSnapshot(snapshot) : null
+  },
+
+  // Teacher only: every student with their progress
+  async getMembers(classId) {
+    const snapshot = await getDocs(collection(db, 'classes', classId, 'members'))
+    return snapshot.docs.map(fromMemberSnapshot)
+  },
+
+  async saveProgress(classId, uid, progress) {
+    await updateDoc(doc(db, 'classes', classId, 'members', uid), { progress, updatedAt: new Date() })
+  }
+})
@@ -0,0 +1,43 @@
+// Sync backends behind authService. A backend signs users in and stores one document per user
+// (the shape written by authService: favorites, favoritesOps, userState and timestamps):
+//
+//   name                                    'firebase', 'local', 'memory' or 'rest'
+//   onAuthStateChanged(callback)            callback(user | null) now and on every change;
+//                                           returns an unsubscribe function.
+//                                           user is { uid, displayName, email, photoURL }
+//   signIn()                                resolves to the user; cancelling rejects with
+//                                           code 'auth/popup-closed-by-user'
+//   signOut()
+//   getUserDoc(uid)                         the document, or null if there is none
+//   createUserDoc(uid, data)
+//   updateUserDoc(uid, fields)              merges top-level fields; rejects with code
+//                                           'not-found' when there is no document
+//   transactUserDoc(uid, update)            update(document | null) returns the fields to merge
+//                                           (or null for none); re-run on concurrent changes
+//   watchUserDoc(uid, onData, onError)      onData(document | null) now and on every change;
+//                                           returns an unsubscribe function
+//   classroom                               optional, classes and assignments for
+//                                           classroomService (only Firebase has it)
+//
+// Timestamps are Date objects in both directions.
+//
+// The backend is chosen at build time with VITE_SYNC_BACKEND (default 'firebase'); 'rest'
+// also needs VITE_SYNC_URL, e.g. http://localhost:8787 for scripts/sync-server.js
+
+export const SYNC_BACKENDS = ['firebase', 'local', 'memory', 'rest']
+
+// Loaded on demand, so Firebase isn't downloaded when another backend is used
+const BACKEND_FACTORIES = {
+  firebase: async () => (await import('./firebaseBackend.js')).createFirebaseBackend(),
+  local: async () => (await import('./localBackend.js')).createLocalBackend(),
+  memory: async () => (await import('./localBackend.js')).createLocalBackend({ persistent: false }),
+  rest: async (options) => (await import('./restBackend.js')).createRestBackend(options)
+}
+
+export const createSyncBackend = (name = import.meta.env.VITE_SYNC_BACKEND || 'firebase', options = {}) => {
+  const factory = BACKEND_FACTORIES[name]
+  if (!factory) {
+    return Promise.reject(new Error(`Unknown sync backend "${name}" (expected ${SYNC_BACKENDS.join(', ')})`))
+  }
+  return factory({ url: import.meta.env.VITE_SYNC_URL, ...options })
+}
@@ -0,0 +1,143 @@
+// Sync backend without a server: a single local user whose document is kept in IndexedDB
+// ('local') or only in memory ('memory', gone on reload). Useful offline and for trying sync;
+// other tabs of the 'local' backend see changes through a BroadcastChannel
+import { isIndexedDbSupported, dbGet, dbPutAll } from '../../utils/keyValueDb.js'
+
+const LOCAL_USER = {
+  uid: 'local',
+  displayName: 'This device',
+  email: null,
+  photoURL: null
+}
+
+const SIGNED_IN_KEY = 'jlpt-local-sync-signed-in'
+const DB_STORE = 'sync-users'
+const CHANNEL_NAME = 'jlpt-local-sync'
+
+const notFoundError = () => {
+  const error = new Error('User document not found')
+  error.code = 'not-found'
+  return error
+}
+
+export const createLocalBackend = ({ persistent = true } = {}) => {
+  const usesDb = persistent && isIndexedDbSupported()
+  const memory = new Map()
+  const authCallbacks = new Set()
+  const watchers = new Map() // uid -> Set of onData callbacks
+  const channel = persistent && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null
+
+  let signedIn = false
+  try {
+    signedIn = persistent && localStorage.getItem(SIGNED_IN_KEY) === 'true'
+  } catch {
+    // Storage unavailable, start signed out
+  }
+
+  // Writes run one after another, so read-modify-write updates behave like transactions in this tab
+  let writeQueue = Promise.resolve()
+  const queueWrite = (task) => {
+    const result = writeQueue.then(task)
+    writeQueue = result.catch(() => {})
+    return result
+  }
+
+  const read = async (uid) => {
+    const data = usesDb ? await dbGet(DB_STORE, uid) : memory.get(uid)
+    return data ? structuredClone(data) : null
+  }
+
+  const notifyWatchers = (uid, data) => {
+    watchers.get(uid)?.forEach(onData => onData(data ? structuredClone(data) : null))
+  }
+
+  const write = async (uid, data) => {
+    if (usesDb) {
+      await dbPutAll(DB_STORE, { [uid]: data })
+    } else {
+      memory.set(uid, structuredClone(data))
+    }
+    notifyWatchers(uid, data)
+    channel?.postMessage({ uid })
+  }
+
+  // Another tab changed a document
+  if (channel) {
+    channel.onmessage = async ({ data }) => {
+      if (watchers.has(data.uid)) {
+        notifyWatchers(data.uid, await read(data.uid))
+      }
+    }
+  }
+
+  const currentUser = () => (signedIn ? { ...LOCAL_USER } : null)
+
+  const setSignedIn = (value) => {
+    signedIn = value
+    if (persistent) {
+      try {
+        localStorage.setItem(SIGNED_IN_KEY, String(value))
+      } catch {
+        // Stays signed in for this session only
+      }
+    }
+    authCallbacks.forEach(callback => callback(currentUser()))
+  }
+
+  return {
+    name: persistent ? 'local' : 'memory',
+
+    onAuthStateChanged(callback) {
+      authCallbacks.add(callback)
+      // Like Firebase, the first call comes asynchronously
+      Promise.resolve().then(() => {
+        if (authCallbacks.has(callback)) callback(currentUser())
+      })
+      return () => authCallbacks.delete(callback)
+    },
+
+    async signIn() {
+      setSignedIn(true)
+      return currentUser()
+    },
+
+    async signOut() {
+      setSignedIn(false)
+    },
+
+    getUserDoc: (uid) => read(uid),
+
+    createUserDoc: (uid, data) => queueWrite(() => write(uid, data)),
+
+    updateUserDoc: (uid, fields) => queueWrite(async () => {
+      const data = await read(uid)
+      if (!data) throw notFoundError()
+      await write(uid, { ...data, ...fields })
+    }),
+
+    transactUserDoc: (uid, update) => queueWrite(async () => {
+      const data = await read(uid)
+      const fields = update(data)
+      if (fields) {
+        if (!data) throw notFoundError()
+        await write(uid, { ...data, ...fields })
+      }
+    }),
+
+    watchUserDoc(uid, onData, onError) {
+      if (!watchers.has(uid)) watchers.set(uid, new Set())
+      watchers.get(uid).add(onData)
+
+      read(uid)
+        .then(data => {
+          if (watchers.get(uid)?.has(onData)) onData(data)
+        })
+        .catch(onError)
+
+      return () => {
+        watchers.get(uid)?.delete(onData)
+        if (watchers.get(uid)?.size === 0) watchers.delete(uid)
+      }
+    }
+  }
+}
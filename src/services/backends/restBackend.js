@@ -0,0 +1,205 @@
+// Sync backend for a self-hosted server; scripts/sync-server.js implements it for local use.
+//   POST   /auth/session { name }    sign in: { token, user }
+//   GET    /auth/session             { user } for a valid token, 401 otherwise
+//   DELETE /auth/session             sign out
+//   GET    /users/:uid               the document with its revision in ETag, 404 if missing
+//   PUT    /users/:uid               create (or replace) the document
+//   PATCH  /users/:uid               merge top-level fields; with If-Match: <revision>,
+//                                    412 when the document changed since
+//   WS     /users/:uid/watch?token=  { data } when connected and after every change
+// Requests carry "Authorization: Bearer <token>"; dates travel as ISO strings
+const SESSION_KEY = 'jlpt-sync-session'
+
+// Document fields that hold dates
+const TIMESTAMP_FIELDS = ['createdAt', 'lastSyncAt', 'favoritesLastModified', 'userStateLastModified']
+
+const MAX_TRANSACTION_ATTEMPTS = 5
+
+// HTTP status -> error code, named like Firebase's so authService handles them the same way
+const ERROR_CODES = {
+  401: 'unauthenticated',
+  403: 'permission-denied',
+  404: 'not-found',
+  409: 'already-exists',
+  412: 'aborted'
+}
+
+const reviveDates = (data) => {
+  if (!data) return null
+  const revived = { ...data }
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (typeof revived[field] === 'string') revived[field] = new Date(revived[field])
+  })
+  return revived
+}
+
+const loadSession = () => {
+  try {
+    const saved = localStorage.getItem(SESSION_KEY)
+    return saved ? JSON.parse(saved) : null
+  } catch {
+    return null
+  }
+}
+
+const saveSession = (session) => {
+  try {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+    } else {
+      localStorage.removeItem(SESSION_KEY)
+    }
+  } catch (error) {
+    console.error('Error saving sync session:', error)
+  }
+}
+
+export const createRestBackend = ({ url } = {}) => {
+  if (!url) {
+    throw new Error('The rest sync backend needs VITE_SYNC_URL, e.g. http://localhost:8787')
+  }
+
+  const baseUrl = url.replace(/\/+$/, '')
+  const authCallbacks = new Set()
+  let session = loadSession()
+  let sessionCheck = null
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    })
+
+    if (!response.ok) {
+      const error = new Error(`Sync server: ${method} ${path} failed with ${response.status}`)
+      error.code = ERROR_CODES[response.status] || 'unavailable'
+      throw error
+    }
+    return response
+  }
+
+  const setSession = (value) => {
+    session = value
+    saveSession(value)
+    authCallbacks.forEach(callback => callback(session?.user || null))
+  }
+
+  // A saved session is checked once with the server; offline it is kept as it is
+  const checkSession = () => {
+    if (!sessionCheck) {
+      sessionCheck = session
+        ? request('GET', '/auth/session').catch(error => {
+          if (error.code === 'unauthenticated') {
+            session = null
+            saveSession(null)
+          }
+        })
+        : Promise.resolve()
+    }
+    return sessionCheck
+  }
+
+  const getDocument = async (uid) => {
+    try {
+      const response = await request('GET', `/users/${encodeURIComponent(uid)}`)
+      return { data: reviveDates(await response.json()), revision: response.headers.get('ETag') }
+    } catch (error) {
+      if (error.code === 'not-found') return { data: null, revision: null }
+      throw error
+    }
+  }
+
+  return {
+    name: 'rest',
+
+    onAuthStateChanged(callback) {
+      authCallbacks.add(callback)
+      checkSession().then(() => {
+        if (authCallbacks.has(callback)) callback(session?.user || null)
+      })
+      return () => authCallbacks.delete(callback)
+    },
+
+    async signIn() {
+      const name = window.prompt('Your name on the sync server:')
+      if (!name || !name.trim()) {
+        const error = new Error('Sign-in cancelled')
+        error.code = 'auth/popup-closed-by-user'
+        throw error
+      }
+
+      const response = await request('POST', '/auth/session', { body: { name: name.trim() } })
+      const { token, user } = await response.json()
+      setSession({ token, user })
+      return user
+    },
+
+    async signOut() {
+      try {
+        await request('DELETE', '/auth/session')
+      } catch (error) {
+        // The session is forgotten locally either way
+        console.error('Error ending sync server session:', error)
+      }
+      setSession(null)
+    },
+
+    getUserDoc: async (uid) => (await getDocument(uid)).data,
+
+    createUserDoc: async (uid, data) => {
+      await request('PUT', `/users/${encodeURIComponent(uid)}`, { body: data })
+    },
+
+    updateUserDoc: async (uid, fields) => {
+      await request('PATCH', `/users/${encodeURIComponent(uid)}`, { body: fields })
+    },
+
+    // Optimistic concurrency: retried when the document changed between reading and writing
+    async transactUserDoc(uid, update) {
+      for (let attempt = 1; ; attempt++) {
+        const { data, revision } = await getDocument(uid)
+        const fields = update(data)
+        if (!fields) return
+
+        try {
+          await request('PATCH', `/users/${encodeURIComponent(uid)}`, {
+            body: fields,
+            headers: revision ? { 'If-Match': revision } : {}
+          })
+          return
+        } catch (error) {
+          if (error.code !== 'aborted' || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error
+        }
+      }
+    },
+
+    // authService restarts the watch after an error, so a lost connection is reported, not retried
+    watchUserDoc(uid, onData, onError) {
+      const socketUrl = `${baseUrl.replace(/^http/, 'ws')}/users/${encodeURIComponent(uid)}/watch`
+        + `?token=${encodeURIComponent(session?.token || '')}`
+      const socket = new WebSocket(socketUrl)
+      let closed = false
+
+      socket.onmessage = (event) => {
+        try {
+          onData(reviveDates(JSON.parse(event.data).data))
+        } catch (error) {
+          onError(error)
+        }
+      }
+      socket.onclose = () => {
+        if (!closed) onError(new Error('Sync server connection closed'))
+      }
+
+      return () => {
+        closed = true
+        socket.close()
+      }
+    }
+  }
+}
@@ -0,0 +1,180 @@
+// Export and import of favorites, progress and notes as JSON or CSV files.
+// Imports are merged into the existing data, never replacing it
+import favoritesService, { favoritesToOps } from './favoritesService.js'
+import userStateService from './userStateService.js'
+import srsService from './srsService.js'
+import notesService from './notesService.js'
+import { getPatternText } from '../utils/grammarText.js'
+import {
+  buildJsonBackup,
+  validateJsonBackup,
+  toCsv,
+  parseCsvBackup,
+  CSV_LIST_SEPARATOR
+} from '../utils/backupFormat.js'
+import { UserError } from '../utils/userError.js'
+
+const splitList = (value, separator) => (value ? value.split(separator).map(item => item.trim()).filter(Boolean) : [])
+
+class BackupService {
+  exportJson() {
+    return JSON.stringify(buildJsonBackup({
+      favoritesOps: favoritesService.getOps(),
+      userState: userStateService.getState()
+    }), null, 2)
+  }
+
+  // One row per grammar point that has a favorite, review record or note
+  exportCsv(grammarData) {
+    const favorites = favoritesService.getFavorites()
+    const records = srsService.getRecords()
+    const notes = notesService.getNotes()
+    const deckNames = new Map(notesService.getDecks().map(deck => [deck.id, deck.name]))
+
+    const rows = grammarData
+      .filter(item => favorites.has(item.no) || records[item.no] || notes[item.no])
+      .map(item => {
+        const record = records[item.no] || {}
+        const note = notes[item.no] || { text: '', examples: [], tags: [], decks: [] }
+        return {
+          no: item.no,
+          level: `N${item.n_level}`,
+          pattern: getPatternText(item),
+          favorite: favorites.has(item.no) ? 'yes' : '',
+          srs_due: record.due || '',
+          srs_interval: record.interval ?? '',
+          srs_ease: record.ease ?? '',
+          srs_reps: record.reps ?? '',
+          srs_lapses: record.lapses ?? '',
+          srs_last_grade: record.lastGrade || '',
+          srs_last_reviewed: record.lastReviewedAt || '',
+          note: note.text,
+          my_examples: note.examples.join(CSV_LIST_SEPARATOR),
+          tags: note.tags.join(' '),
+          decks: note.decks.filter(id => deckNames.has(id)).map(id => deckNames.get(id)).join(CSV_LIST_SEPARATOR)
+        }
+      })
+
+    return toCsv(rows)
+  }
+
+  // Import a backup file; returns { favorites, progress, notes } counts of merged items.
+  // Throws a UserError with the problems as details when the file is not valid
+  importFile(text, fileName, grammarData) {
+    if (/\.csv$/i.test(fileName)) {
+      return this.importCsv(text, grammarData)
+    }
+
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new UserError('backupErrors.notJsonOrCsv')
+    }
+    return this.importJson(data)
+  }
+
+  importJson(data) {
+    const errors = validateJsonBackup(data)
+    if (errors.length > 0) {
+      throw new UserError('backupErrors.invalid', {}, errors)
+    }
+
+    const favoritesOps = Array.isArray(data) ? favoritesToOps(data, Date.now(), favoritesService.deviceId) : data.favoritesOps || {}
+    const favoritesBefore = favoritesService.getFavorites().size
+    favoritesService.applyRemote(favoritesOps)
+
+    const progressBefore = Object.keys(srsService.getRecords()).length
+    const notesBefore = Object.keys(notesService.getNotes()).length
+    if (!Array.isArray(data) && data.userState) {
+      // Merged entry by entry, newest wins, exactly like a sync from another device; tagged as an
+      // import so the merged state is pushed to the cloud as well
+      userStateService.applyRemote(data.userState, 'import')
+    }
+
+    return {
+      favorites: favoritesService.getFavorites().size - favoritesBefore,
+      progress: Object.keys(srsService.getRecords()).length - progressBefore,
+      notes: Object.keys(notesService.getNotes()).length - notesBefore
+    }
+  }
+
+  // CSV rows carry no timestamps: favorites are only added, review records only replace older
+  // ones, and notes are combined with the existing note
+  importCsv(text, grammarData) {
+    const { rows, errors } = parseCsvBackup(text, new Set(grammarData.map(item => item.no)))
+    if (errors.length > 0) {
+      throw new UserError('backupErrors.invalid', {}, errors)
+    }
+
+    const summary = { favorites: 0, progress: 0, notes: 0 }
+    const deckIds = new Map(notesService.getDecks().map(deck => [deck.name, deck.id]))
+
+    rows.forEach(row => {
+      if (/^(yes|true|1)$/i.test(row.favorite || '') && !favoritesService.has(row.no)) {
+        favoritesService.add(row.no)
+        summary.favorites++
+      }
+
+      if (row.srs_due && this.importRecord(row)) {
+        summary.progress++
+      }
+
+      const tags = splitList(row.tags, /\s+/)
+      const examples = splitList(row.my_examples, CSV_LIST_SEPARATOR.trim())
+      const deckNames = splitList(row.decks, CSV_LIST_SEPARATOR.trim())
+      if (!row.note && tags.length === 0 && examples.length === 0 && deckNames.length === 0) return
+
+      const decks = deckNames.map(name => {
+        if (!deckIds.has(name)) {
+          deckIds.set(name, notesService.createDeck(name).id)
+        }
+        return deckIds.get(name)
+      })
+
+      const before = notesService.getNote(row.no)
+      const existing = before || { text: '', examples: [], tags: [], decks: [] }
+      const text = !existing.text || existing.text.includes(row.note || '')
+        ? existing.text || row.note
+        : `${existing.text}\n\n${row.note}`
+      const merged = {
+        text,
+        examples: [...new Set([...existing.examples, ...examples])],
+        tags: [...existing.tags, ...tags],
+        decks: [...existing.decks, ...decks]
+      }
+      if (JSON.stringify(notesService.saveNote(row.no, merged)) !== JSON.stringify(before)) {
+        summary.notes++
+      }
+    })
+
+    return summary
+  }
+
+  // Keep the imported review record only when it is newer than the local one
+  importRecord(row) {
+    const reviewedAt = row.srs_last_reviewed ? new Date(row.srs_last_reviewed) : new Date(row.srs_due)
+    const existing = srsService.getRecord(row.no)
+    if (existing && new Date(existing.lastReviewedAt || 0) >= reviewedAt) {
+      return false
+    }
+
+    const record = {
+      no: row.no,
+      ease: parseFloat(row.srs_ease) || 2.5,
+      interval: parseInt(row.srs_interval, 10) || 0,
+      reps: parseInt(row.srs_reps, 10) || 0,
+      lapses: parseInt(row.srs_lapses, 10) || 0,
+      due: new Date(row.srs_due).toISOString(),
+      lastGrade: row.srs_last_grade || null,
+      lastReviewedAt: reviewedAt.toISOString(),
+      updatedAt: reviewedAt.toISOString()
+    }
+    userStateService.set('progress', String(row.no), record, reviewedAt)
+    return true
+  }
+}
+
+// Create and export a singleton instance
+export const backupService = new BackupService()
+export default backupService
@@ -0,0 +1,330 @@
+// Classroom mode: teachers create classes and publish assignments (grammar numbers with a due
+// date), students join with a code, study the assignment as a filter, and their progress
+// (grammar points viewed, quiz answers) is sent to the class for the teacher's dashboard.
+// Needs a sync backend with classroom support (Firebase); joined classes and progress are
+// cached in localStorage so assignments stay available offline
+import authService from './authService.js'
+import {
+  MAX_JOINED_CLASSES,
+  normalizeJoinCode,
+  toAssignmentFilter
+} from '../utils/classroom.js'
+import { UserError } from '../utils/userError.js'
+
+const STORAGE_KEY = 'jlpt-classroom'
+
+// Progress is sent a little after studying, not on every card
+const PUSH_DELAY_MS = 5000
+
+// Combine progress from two devices: every studied point, and the larger quiz counts
+const mergeProgress = (local = {}, remote = {}) => {
+  const merged = {}
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(assignmentId => {
+    const a = local[assignmentId] || {}
+    const b = remote[assignmentId] || {}
+    const quiz = { ...(b.quiz || {}) }
+    Object.entries(a.quiz || {}).forEach(([no, counts]) => {
+      if (!quiz[no] || counts[1] > quiz[no][1]) quiz[no] = counts
+    })
+    merged[assignmentId] = {
+      studied: [...new Set([...(a.studied || []), ...(b.studied || [])])],
+      quiz
+    }
+  })
+  return merged
+}
+
+class ClassroomService {
+  constructor() {
+    this.user = null
+    this.joined = [] // classes this user studies in: { id, name, teacherName, assignments }
+    this.progress = {} // classId -> assignmentId -> { studied: [nos], quiz: { no: [correct, total] } }
+    this.teaching = [] // classes this user teaches (loaded by the classroom panel)
+    this.dirtyClasses = new Set()
+    this.pushTimer = null
+    this.changeCallbacks = []
+    this.load()
+  }
+
+  // Load cached classes and progress from localStorage
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+      this.joined = saved?.joined || []
+      this.progress = saved?.progress || {}
+    } catch (error) {
+      console.error('Error loading classroom data:', error)
+    }
+  }
+
+  // Save classes and progress to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ joined: this.joined, progress: this.progress }))
+    } catch (error) {
+      console.error('Error saving classroom data:', error)
+    }
+  }
+
+  // Follow sign-in; returns an unsubscribe function
+  init() {
+    return authService.onAuthStateChanged((user) => {
+      const previousUid = this.user?.uid
+      this.user = user
+      if (user && user.uid !== previousUid) {
+        this.refresh().catch(error => console.error('Error loading classes:', error))
+      } else if (!user && previousUid) {
+        this.teaching = []
+        this.notify()
+      }
+    })
+  }
+
+  // Classroom storage of the sync backend, null if it has none
+  async getClassroom() {
+    const backend = await authService.getBackend()
+    return backend.classroom || null
+  }
+
+  requireUser() {
+    if (!this.user) {
+      throw new UserError('classroom.signInRequired')
+    }
+    return this.user
+  }
+
+  // Reload the joined classes (new assignments) and merge progress from other devices
+  async refresh() {
+    const user = this.requireUser()
+    const classroom = await this.getClassroom()
+    if (!classroom) return
+
+    const profile = await authService.getUserProfile()
+    const classIds = profile?.classIds || []
+
+    const classes = await Promise.all(classIds.map(async classId => {
+      try {
+        const [classData, member] = await Promise.all([
+          classroom.getClass(classId),
+          classroom.getMember(classId, user.uid)
+        ])
+        if (!classData || !member) return null
+        this.progress[classId] = mergeProgress(this.progress[classId], member.progress)
+        return {
+          id: classData.id,
+          name: classData.name,
+          teacherName: classData.teacherName,
+          assignments: classData.assignments
+        }
+      } catch (error) {
+        // Removed classes or ones the user was taken out of
+        console.error('Error loading class', classId, error)
+        return null
+      }
+    }))
+
+    this.joined = classes.filter(Boolean)
+    this.save()
+    this.notify()
+  }
+
+  getJoinedClasses() {
+    return this.joined
+  }
+
+  // Assignments of all joined classes, soonest due first, with their filter values
+  getAssignments() {
+    return this.joined
+      .flatMap(classData => classData.assignments.map(assignment => ({
+        ...assignment,
+        classId: classData.id,
+        className: classData.name,
+        filter: toAssignmentFilter(classData.id, assignment.id)
+      })))
+      .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''))
+  }
+
+  getAssignment(classId, assignmentId) {
+    return this.getAssignments().find(assignment => (
+      assignment.classId === classId && assignment.id === assignmentId
+    )) || null
+  }
+
+  getProgress(classId, assignmentId) {
+    return this.progress[classId]?.[assignmentId] || { studied: [], quiz: {} }
+  }
+
+  // Change the classIds list of the user document; update returns the new list
+  async updateClassIds(update) {
+    const backend = await authService.getBackend()
+    await backend.transactUserDoc(this.user.uid, (data) => {
+      const classIds = data?.classIds || []
+      const next = update(classIds)
+      return next === classIds ? null : { classIds: next }
+    })
+  }
+
+  // Join a class with the code from the teacher. The class is only known once the membership is
+  // written, so a join over MAX_JOINED_CLASSES removes the membership again; otherwise the teacher
+  // would see a student who isn't in the class
+  async joinClass(code) {
+    const user = this.requireUser()
+    const joinCode = normalizeJoinCode(code)
+    if (!joinCode) {
+      throw new UserError('classroom.invalidCode')
+    }
+
+    const classroom = await this.getClassroom()
+    const classData = await classroom.joinClass(user, joinCode)
+    // Set on every run of the update, which is retried when the document changed meanwhile
+    let overLimit = false
+    await this.updateClassIds((classIds) => {
+      overLimit = !classIds.includes(classData.id) && classIds.length >= MAX_JOINED_CLASSES
+      if (overLimit || classIds.includes(classData.id)) return classIds
+      return [...classIds, classData.id]
+    })
+    if (overLimit) {
+      await classroom.leaveClass(classData.id, user.uid)
+      throw new UserError('classroom.tooManyClasses', { count: MAX_JOINED_CLASSES })
+    }
+    await this.refresh()
+    return classData
+  }
+
+  async leaveClass(classId) {
+    const user = this.requireUser()
+    const classroom = await this.getClassroom()
+    await classroom.leaveClass(classId, user.uid)
+    await this.updateClassIds((classIds) => classIds.filter(id => id !== classId))
+
+    this.joined = this.joined.filter(classData => classData.id !== classId)
+    delete this.progress[classId]
+    this.dirtyClasses.delete(classId)
+    this.save()
+    this.notify()
+  }
+
+  // Update the progress of every assignment containing the grammar point
+  updateProgress(grammarNo, update) {
+    this.joined.forEach(classData => {
+      classData.assignments
+        .filter(assignment => assignment.nos.includes(grammarNo))
+        .forEach(assignment => {
+          const classProgress = this.progress[classData.id] || (this.progress[classData.id] = {})
+          classProgress[assignment.id] = update(this.getProgress(classData.id, assignment.id))
+          this.dirtyClasses.add(classData.id)
+        })
+    })
+
+    if (this.dirtyClasses.size > 0) {
+      this.save()
+      this.schedulePush()
+    }
+  }
+
+  // A grammar point was studied (card viewed)
+  recordStudy(grammarNo) {
+    this.updateProgress(grammarNo, (progress) => (
+      progress.studied.includes(grammarNo)
+        ? progress
+        : { ...progress, studied: [...progress.studied, grammarNo] }
+    ))
+  }
+
+  // A quiz or typing answer about the grammar point
+  recordQuiz(grammarNo, correct) {
+    this.updateProgress(grammarNo, (progress) => {
+      const [correctCount, total] = progress.quiz[grammarNo] || [0, 0]
+      return {
+        ...progress,
+        quiz: { ...progress.quiz, [grammarNo]: [correctCount + (correct ? 1 : 0), total + 1] }
+      }
+    })
+  }
+
+  schedulePush() {
+    if (this.pushTimer || !this.user) return
+    this.pushTimer = setTimeout(() => {
+      this.pushTimer = null
+      this.pushProgress().catch(error => console.error('Error sending class progress:', error))
+    }, PUSH_DELAY_MS)
+  }
+
+  // Send changed progress to the classes; kept for the next try when offline
+  async pushProgress() {
+    if (!this.user || this.dirtyClasses.size === 0) return
+    const classroom = await this.getClassroom()
+    if (!classroom) return
+
+    const classIds = [...this.dirtyClasses]
+    this.dirtyClasses.clear()
+    for (const classId of classIds) {
+      try {
+        await classroom.saveProgress(classId, this.user.uid, this.progress[classId] || {})
+      } catch (error) {
+        this.dirtyClasses.add(classId)
+        throw error
+      }
+    }
+  }
+
+  // Teacher: classes this user created
+  async loadTeachingClasses() {
+    const user = this.requireUser()
+    const classroom = await this.getClassroom()
+    this.teaching = classroom ? await classroom.getTeachingClasses(user.uid) : []
+    this.notify()
+    return this.teaching
+  }
+
+  getTeachingClasses() {
+    return this.teaching
+  }
+
+  async createClass(name) {
+    const user = this.requireUser()
+    const classroom = await this.getClassroom()
+    const classData = await classroom.createClass(user, name.trim())
+    this.teaching = [...this.teaching, classData]
+    this.notify()
+    return classData
+  }
+
+  // Teacher: replace the assignment list of a class
+  async saveAssignments(classId, assignments) {
+    const classroom = await this.getClassroom()
+    await classroom.saveAssignments(classId, assignments)
+    this.teaching = this.teaching.map(classData => (
+      classData.id === classId ? { ...classData, assignments } : classData
+    ))
+    this.notify()
+  }
+
+  // Teacher: students of a class with their progress
+  async getMembers(classId) {
+    const classroom = await this.getClassroom()
+    return classroom.getMembers(classId)
+  }
+
+  // Subscribe to changes of classes, assignments or progress; returns an unsubscribe function
+  onChange(callback) {
+    this.changeCallbacks.push(callback)
+    return () => {
+      this.changeCallbacks = this.changeCallbacks.filter(listener => listener !== callback)
+    }
+  }
+
+  notify() {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback()
+      } catch (error) {
+        console.error('Error in classroom change callback:', error)
+      }
+    })
+  }
+}
+
+// Create and export a singleton instance
+export const classroomService = new ClassroomService()
+export default classroomService
@@ -0,0 +1,65 @@
+// Saved mock test attempts, used for the score trend before exam day
+
+const STORAGE_KEY = 'jlpt-exam-history'
+const MAX_ATTEMPTS = 100
+
+class ExamHistoryService {
+  constructor() {
+    this.attempts = []
+    this.load()
+  }
+
+  // Load attempts from localStorage
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      this.attempts = saved ? JSON.parse(saved) : []
+    } catch (error) {
+      console.error('Error loading exam history:', error)
+      this.attempts = []
+    }
+  }
+
+  // Save attempts to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.attempts))
+    } catch (error) {
+      console.error('Error saving exam history:', error)
+    }
+  }
+
+  // Record a finished attempt (oldest attempts are dropped past MAX_ATTEMPTS)
+  addAttempt(attempt) {
+    const saved = {
+      id: `${Date.now()}`,
+      takenAt: new Date().toISOString(),
+      ...attempt
+    }
+    this.attempts.push(saved)
+    if (this.attempts.length > MAX_ATTEMPTS) {
+      this.attempts = this.attempts.slice(-MAX_ATTEMPTS)
+    }
+    this.save()
+    return saved
+  }
+
+  // Get attempts, optionally for one JLPT level, oldest first
+  getAttempts(level = null) {
+    return level === null
+      ? [...this.attempts]
+      : this.attempts.filter(attempt => attempt.level === level)
+  }
+
+  // Remove every attempt of a level (or all attempts)
+  clear(level = null) {
+    this.attempts = level === null
+      ? []
+      : this.attempts.filter(attempt => attempt.level !== level)
+    this.save()
+  }
+}
+
+// Create and export a singleton instance
+export const examHistoryService = new ExamHistoryService()
+export default examHistoryService
@@ -0,0 +1,187 @@
+// Conflict-free favorites: every grammar number keeps its latest add and remove operation
+// ({ addedAt, addedBy, removedAt, removedBy }), so merges converge in any order
+
+const OPS_STORAGE_KEY = 'jlpt-favorites-ops'
+const LEGACY_STORAGE_KEY = 'jlpt-favorites'
+const DEVICE_ID_KEY = 'jlpt-device-id'
+
+// Device id stamped on every operation, used to break timestamp ties deterministically
+export const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY)
+    if (!deviceId) {
+      deviceId = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`)
+      localStorage.setItem(DEVICE_ID_KEY, deviceId)
+    }
+    return deviceId
+  } catch (error) {
+    console.error('Error reading device id:', error)
+    return 'unknown-device'
+  }
+}
+
+// Operation times are numbers; 0 is a valid time (legacy arrays without a modification date)
+const hasTime = (time) => typeof time === 'number'
+
+// Pick the later of two operations of the same kind
+const laterOperation = (timeA, deviceA, timeB, deviceB) => {
+  if (!hasTime(timeA)) return [timeB, deviceB]
+  if (!hasTime(timeB)) return [timeA, deviceA]
+  if (timeA !== timeB) {
+    return timeA > timeB ? [timeA, deviceA] : [timeB, deviceB]
+  }
+  return (deviceA || '') >= (deviceB || '') ? [timeA, deviceA] : [timeB, deviceB]
+}
+
+// Merge two operation maps item by item
+export const mergeFavoriteOps = (localOps = {}, remoteOps = {}) => {
+  const merged = {}
+  const keys = new Set([...Object.keys(localOps), ...Object.keys(remoteOps)])
+
+  keys.forEach(key => {
+    const local = localOps[key] || {}
+    const remote = remoteOps[key] || {}
+    const [addedAt, addedBy] = laterOperation(local.addedAt, local.addedBy, remote.addedAt, remote.addedBy)
+    const [removedAt, removedBy] = laterOperation(local.removedAt, local.removedBy, remote.removedAt, remote.removedBy)
+
+    const entry = {}
+    if (hasTime(addedAt)) Object.assign(entry, { addedAt, addedBy })
+    if (hasTime(removedAt)) Object.assign(entry, { removedAt, removedBy })
+    merged[key] = entry
+  })
+
+  return merged
+}
+
+// An item is a favorite when its latest add is not older than its latest remove (add wins ties)
+const isPresent = (entry) => hasTime(entry.addedAt) && (!hasTime(entry.removedAt) || entry.addedAt >= entry.removedAt)
+
+// Favorites set derived from operations, oldest addition first
+export const opsToFavorites = (ops = {}) => {
+  return new Set(
+    Object.entries(ops)
+      .filter(([, entry]) => isPresent(entry))
+      .sort(([, a], [, b]) => a.addedAt - b.addedAt)
+      .map(([key]) => parseInt(key))
+  )
+}
+
+// Build operations from a plain favorites array (documents and storage written before ops existed)
+export const favoritesToOps = (favorites = [], timestamp = 0, deviceId = 'legacy') => {
+  const ops = {}
+  Array.from(favorites).forEach((grammarNo, index) => {
+    // Keep the original order by spacing additions one millisecond apart
+    ops[grammarNo] = { addedAt: timestamp + index, addedBy: deviceId }
+  })
+  return ops
+}
+
+// Compare two operation maps
+export const isSameFavoriteOps = (a = {}, b = {}) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].every(key => JSON.stringify(a[key] || {}) === JSON.stringify(b[key] || {}))
+}
+
+// firestore.rules checks the shape of at most this many added or changed entries per write
+export const MAX_FAVORITE_OP_CHANGES = 20
+
+// baseOps with at most limit entries of ops that differ from it, so a large merge can be
+// written in steps; the remaining entries keep their baseOps version
+export const limitFavoriteOpChanges = (ops = {}, baseOps = {}, limit = MAX_FAVORITE_OP_CHANGES) => {
+  const changed = Object.keys(ops)
+    .filter(key => JSON.stringify(ops[key]) !== JSON.stringify(baseOps[key]))
+    .slice(0, limit)
+  const limited = { ...baseOps }
+  changed.forEach(key => { limited[key] = ops[key] })
+  return limited
+}
+
+class FavoritesService {
+  constructor() {
+    this.deviceId = getDeviceId()
+    this.ops = {}
+    this.load()
+  }
+
+  // Load operations from localStorage, migrating the plain favorites array if needed
+  load() {
+    try {
+      const savedOps = localStorage.getItem(OPS_STORAGE_KEY)
+      if (savedOps) {
+        this.ops = JSON.parse(savedOps)
+        return
+      }
+
+      const savedFavorites = localStorage.getItem(LEGACY_STORAGE_KEY)
+      if (savedFavorites) {
+        const lastModified = Date.parse(localStorage.getItem('favoritesLastModified')) || 0
+        this.ops = favoritesToOps(JSON.parse(savedFavorites), lastModified, this.deviceId)
+        this.save()
+        console.log('Migrated local favorites to operation log')
+      }
+    } catch (error) {
+      console.error('Error loading favorite operations:', error)
+      this.ops = {}
+    }
+  }
+
+  // Save operations (and the plain array kept for ordering and older app versions)
+  save() {
+    try {
+      localStorage.setItem(OPS_STORAGE_KEY, JSON.stringify(this.ops))
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(Array.from(this.getFavorites())))
+    } catch (error) {
+      console.error('Error saving favorite operations:', error)
+    }
+  }
+
+  getOps() {
+    return this.ops
+  }
+
+  getFavorites() {
+    return opsToFavorites(this.ops)
+  }
+
+  has(grammarNo) {
+    const entry = this.ops[grammarNo]
+    return !!entry && isPresent(entry)
+  }
+
+  add(grammarNo, now = Date.now()) {
+    this.ops[grammarNo] = { ...this.ops[grammarNo], addedAt: now, addedBy: this.deviceId }
+    this.save()
+  }
+
+  remove(grammarNo, now = Date.now()) {
+    this.ops[grammarNo] = { ...this.ops[grammarNo], removedAt: now, removedBy: this.deviceId }
+    this.save()
+  }
+
+  toggle(grammarNo) {
+    if (this.has(grammarNo)) {
+      this.remove(grammarNo)
+    } else {
+      this.add(grammarNo)
+    }
+  }
+
+  // Merge remote operations into the local log
+  // Returns whether local favorites changed and whether the remote copy is missing local operations
+  applyRemote(remoteOps) {
+    const merged = mergeFavoriteOps(this.ops, remoteOps)
+    const changed = !isSameFavoriteOps(merged, this.ops)
+    const needsPush = !isSameFavoriteOps(merged, remoteOps)
+
+    if (changed) {
+      this.ops = merged
+      this.save()
+    }
+
+    return { changed, needsPush }
+  }
+}
+
+// Create and export a singleton instance
+export const favoritesService = new FavoritesService()
+export default favoritesService
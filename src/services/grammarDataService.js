@@ -0,0 +1,164 @@
+// Versioned grammar data: a small manifest (version, content hash, per-level chunk hashes and
+// change history, written by scripts/build-grammar-data.js) is fetched on every launch and
+// only the level chunks whose hash changed are downloaded. Data is kept in IndexedDB
+import { GRAMMAR_DATA_SCHEMA_VERSION } from '../utils/grammarText.js'
+import { isIndexedDbSupported, dbGet, dbPutAll } from '../utils/keyValueDb.js'
+
+const MANIFEST_URL = '/data/manifest.json'
+const STORE = 'grammar-data'
+const FETCH_TIMEOUT_MS = 10000
+
+// Data was kept in localStorage before the manifest existed
+const LEGACY_STORAGE_KEYS = ['jlpt-grammar-data', 'jlpt-grammar-data-timestamp']
+
+const chunkKey = (level) => `level-${level}`
+
+// Grammar points of all chunks, sorted by level and number
+const flattenChunks = (chunks) => Object.values(chunks)
+  .flatMap(chunk => chunk.grammar)
+  .sort((a, b) => a.n_level - b.n_level || a.no - b.no)
+
+const isValidChunk = (chunk, levelInfo) => !!chunk
+  && chunk.schemaVersion === GRAMMAR_DATA_SCHEMA_VERSION
+  && chunk.hash === levelInfo.hash
+  && Array.isArray(chunk.grammar)
+
+// Grammar numbers added, updated or removed after a version, from the manifest history.
+// A point added and then corrected counts as added
+export const getChangesSince = (manifest, sinceVersion) => {
+  const added = new Set()
+  const updated = new Set()
+  const removed = new Set()
+
+  manifest.history
+    .filter(entry => entry.version > sinceVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(entry => {
+      entry.added.forEach(no => {
+        added.add(no)
+        removed.delete(no)
+      })
+      entry.updated.forEach(no => {
+        if (!added.has(no)) updated.add(no)
+      })
+      entry.removed.forEach(no => {
+        if (!added.delete(no)) removed.add(no)
+        updated.delete(no)
+      })
+    })
+
+  return { fromVersion: sinceVersion, toVersion: manifest.version, added: [...added], updated: [...updated], removed: [...removed] }
+}
+
+const fetchJson = async (url) => {
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+  try {
+    // no-cache revalidates with the server, so a stale HTTP cache never hides an update
+    const response = await fetch(url, { signal: controller.signal, cache: 'no-cache' })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+    return await response.json()
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+class GrammarDataService {
+  // Data saved by an earlier launch: { manifest, chunks, grammar } or null
+  async loadCached() {
+    this.removeLegacyData()
+    if (!isIndexedDbSupported()) return null
+
+    try {
+      const manifest = await dbGet(STORE, 'manifest')
+      if (!manifest || manifest.schemaVersion !== GRAMMAR_DATA_SCHEMA_VERSION) {
+        return null
+      }
+
+      const chunks = {}
+      for (const [level, levelInfo] of Object.entries(manifest.levels)) {
+        const chunk = await dbGet(STORE, chunkKey(level))
+        if (!isValidChunk(chunk, levelInfo)) {
+          console.warn(`Cached grammar data for N${level} is missing or outdated`)
+          return null
+        }
+        chunks[level] = chunk
+      }
+
+      return { manifest, chunks, grammar: flattenChunks(chunks) }
+    } catch (error) {
+      console.error('Error reading cached grammar data:', error)
+      return null
+    }
+  }
+
+  // Check the manifest and download changed levels.
+  // Returns null when the cached data is current, otherwise { manifest, chunks, grammar, changes,
+  // downloadedLevels } where changes is null on the first download
+  async update(cached) {
+    const manifest = await fetchJson(MANIFEST_URL)
+    if (manifest.schemaVersion !== GRAMMAR_DATA_SCHEMA_VERSION) {
+      throw new Error(`Unsupported grammar data schema version: ${manifest.schemaVersion}`)
+    }
+    if (cached && cached.manifest.hash === manifest.hash) {
+      return null
+    }
+
+    const chunks = {}
+    const downloadedLevels = []
+    for (const [level, levelInfo] of Object.entries(manifest.levels)) {
+      const cachedChunk = cached?.chunks[level]
+      if (isValidChunk(cachedChunk, levelInfo)) {
+        chunks[level] = cachedChunk
+        continue
+      }
+
+      // The hash in the query string keeps any HTTP or CDN cache from serving an older chunk
+      const chunk = await fetchJson(`/${levelInfo.file}?v=${levelInfo.hash.slice(0, 12)}`)
+      if (!isValidChunk(chunk, levelInfo)) {
+        throw new Error(`Grammar data for N${level} does not match the manifest`)
+      }
+      chunks[level] = chunk
+      downloadedLevels.push(level)
+    }
+
+    await this.save(manifest, chunks)
+    console.log(`Grammar data updated to version ${manifest.version} (downloaded: ${downloadedLevels.map(level => `N${level}`).join(', ') || 'nothing'})`)
+
+    return {
+      manifest,
+      chunks,
+      grammar: flattenChunks(chunks),
+      changes: cached ? getChangesSince(manifest, cached.manifest.version) : null,
+      downloadedLevels
+    }
+  }
+
+  // Store the manifest and chunks together; failures only cost a re-download next time
+  async save(manifest, chunks) {
+    if (!isIndexedDbSupported()) return
+    try {
+      const entries = { manifest }
+      Object.entries(chunks).forEach(([level, chunk]) => {
+        entries[chunkKey(level)] = chunk
+      })
+      await dbPutAll(STORE, entries)
+    } catch (error) {
+      console.error('Error saving grammar data:', error)
+    }
+  }
+
+  removeLegacyData() {
+    try {
+      LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key))
+    } catch (error) {
+      console.warn('Error removing legacy grammar data:', error)
+    }
+  }
+}
+
+// Create and export a singleton instance
+export const grammarDataService = new GrammarDataService()
+export default grammarDataService
@@ -0,0 +1,155 @@
+// Personal notes, example sentences, tags and decks attached to grammar points.
+// Notes live in the synced 'notes' section keyed by grammar number:
+//   { text, examples: [sentence], tags: [tag], decks: [deckId] }
+// Deck definitions live in the 'decks' section keyed by deck id: { name, createdAt }.
+// Keeping deck membership on the note means edits to different grammar points merge cleanly
+import userStateService from './userStateService.js'
+import { UserError } from '../utils/userError.js'
+
+const NOTES_SECTION = 'notes'
+const DECKS_SECTION = 'decks'
+
+// Limits keep the synced document well inside Firestore's size limits
+export const MAX_NOTE_LENGTH = 2000
+export const MAX_NOTE_EXAMPLES = 10
+export const MAX_EXAMPLE_LENGTH = 300
+export const MAX_TAGS = 10
+export const MAX_TAG_LENGTH = 30
+export const MAX_DECKS = 200
+export const MAX_DECK_NAME_LENGTH = 50
+
+// Filter values used by the level selector for decks and tags ('deck:<id>', 'tag:<name>')
+export const DECK_FILTER_PREFIX = 'deck:'
+export const TAG_FILTER_PREFIX = 'tag:'
+
+const unique = (values) => [...new Set(values)]
+
+// Tags are trimmed, lower-cased and without '#', so "#Homework" and "homework" are the same tag
+export const normalizeTag = (tag) => String(tag || '')
+  .replace(/^#+/, '')
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .slice(0, MAX_TAG_LENGTH)
+
+// Split "a, b, #c d" style input into tags ("c d" becomes "c-d")
+export const parseTags = (input) => unique(String(input || '').split(/[,、]+/).map(normalizeTag).filter(Boolean)).slice(0, MAX_TAGS)
+
+// Clean up a note before saving; null when nothing is left
+export const normalizeNote = (note = {}) => {
+  const normalized = {
+    text: String(note.text || '').trim().slice(0, MAX_NOTE_LENGTH),
+    examples: (note.examples || [])
+      .map(example => String(example).trim().slice(0, MAX_EXAMPLE_LENGTH))
+      .filter(Boolean)
+      .slice(0, MAX_NOTE_EXAMPLES),
+    tags: unique((note.tags || []).map(normalizeTag).filter(Boolean)).slice(0, MAX_TAGS),
+    decks: unique((note.decks || []).filter(deckId => typeof deckId === 'string' && deckId))
+  }
+
+  const isEmpty = !normalized.text && normalized.examples.length === 0
+    && normalized.tags.length === 0 && normalized.decks.length === 0
+  return isEmpty ? null : normalized
+}
+
+const createDeckId = () => {
+  const random = crypto.randomUUID ? crypto.randomUUID().slice(0, 8) : Math.random().toString(36).slice(2, 10)
+  return `${Date.now().toString(36)}-${random}`
+}
+
+class NotesService {
+  // Get the note of a grammar point (null if none)
+  getNote(grammarNo) {
+    return userStateService.get(NOTES_SECTION, String(grammarNo)) || null
+  }
+
+  // Get all notes keyed by grammar number
+  getNotes() {
+    return userStateService.getSection(NOTES_SECTION)
+  }
+
+  // Save a note; an empty note is removed
+  saveNote(grammarNo, note) {
+    const normalized = normalizeNote(note)
+    if (normalized) {
+      userStateService.set(NOTES_SECTION, String(grammarNo), normalized)
+    } else {
+      userStateService.remove(NOTES_SECTION, String(grammarNo))
+    }
+    return normalized
+  }
+
+  // All tags in use, alphabetically, with how many grammar points carry each
+  getTags() {
+    const counts = new Map()
+    Object.values(this.getNotes()).forEach(note => {
+      (note.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+    })
+    return [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  // All decks, oldest first, with their grammar point count
+  getDecks() {
+    const notes = Object.values(this.getNotes())
+    return Object.entries(userStateService.getSection(DECKS_SECTION))
+      .map(([id, deck]) => ({
+        id,
+        name: deck.name,
+        createdAt: deck.createdAt,
+        count: notes.filter(note => (note.decks || []).includes(id)).length
+      }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  }
+
+  getDeck(deckId) {
+    const deck = userStateService.get(DECKS_SECTION, deckId)
+    return deck ? { id: deckId, ...deck } : null
+  }
+
+  // Create a deck and return it
+  createDeck(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_DECK_NAME_LENGTH)
+    if (!trimmed) {
+      throw new UserError('note.deckNameRequired')
+    }
+    if (Object.keys(userStateService.getSection(DECKS_SECTION)).length >= MAX_DECKS) {
+      throw new UserError('note.tooManyDecks', { count: MAX_DECKS })
+    }
+
+    const deck = { name: trimmed, createdAt: new Date().toISOString() }
+    const id = createDeckId()
+    userStateService.set(DECKS_SECTION, id, deck)
+    return { id, ...deck }
+  }
+
+  renameDeck(deckId, name) {
+    const deck = this.getDeck(deckId)
+    const trimmed = String(name || '').trim().slice(0, MAX_DECK_NAME_LENGTH)
+    if (!deck || !trimmed) return
+    userStateService.set(DECKS_SECTION, deckId, { name: trimmed, createdAt: deck.createdAt })
+  }
+
+  // Delete a deck; notes keep their other content
+  deleteDeck(deckId) {
+    userStateService.remove(DECKS_SECTION, deckId)
+    Object.entries(this.getNotes()).forEach(([key, note]) => {
+      if ((note.decks || []).includes(deckId)) {
+        this.saveNote(key, { ...note, decks: note.decks.filter(id => id !== deckId) })
+      }
+    })
+  }
+
+  // Grammar numbers in a deck (decks that were deleted elsewhere are empty)
+  getDeckGrammarNos(deckId) {
+    if (!this.getDeck(deckId)) return []
+    return Object.entries(this.getNotes())
+      .filter(([, note]) => (note.decks || []).includes(deckId))
+      .map(([key]) => parseInt(key))
+  }
+}
+
+// Create and export a singleton instance
+export const notesService = new NotesService()
+export default notesService
@@ -0,0 +1,242 @@
+// Opt-in daily study reminders with a grammar point of the day. The schedule for the next days
+// is built in the app and delivered in the best way the browser supports:
+//   'triggers'      Notification Triggers: the browser shows each scheduled notification itself
+//   'periodic-sync' periodic background sync wakes the service worker (src/sw/reminder-sw.js),
+//                   which shows the latest due reminder from the schedule in IndexedDB
+//   'in-app'        a timer while the app is open
+// The in-app timer also runs with periodic sync, which may fire hours late; the shared
+// last-shown time keeps a reminder from being shown twice
+import { isIndexedDbSupported, dbGet, dbPutAll } from '../utils/keyValueDb.js'
+import {
+  REMINDER_SYNC_TAG,
+  buildReminderSchedule,
+  getDueReminder,
+  normalizeReminderPreferences
+} from '../utils/reminderSchedule.js'
+
+const STORAGE_KEY = 'jlpt-reminders'
+const DB_STORE = 'reminders'
+
+const SYNC_MIN_INTERVAL_MS = 60 * 60 * 1000
+
+class ReminderService {
+  constructor() {
+    this.preferences = normalizeReminderPreferences(null)
+    this.timer = null
+    this.load()
+  }
+
+  // Load preferences from localStorage
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      this.preferences = normalizeReminderPreferences(saved ? JSON.parse(saved) : null)
+    } catch (error) {
+      console.error('Error loading reminder preferences:', error)
+    }
+  }
+
+  // Save preferences to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.preferences))
+    } catch (error) {
+      console.error('Error saving reminder preferences:', error)
+    }
+  }
+
+  getPreferences() {
+    return { ...this.preferences }
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window
+  }
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported'
+  }
+
+  async getRegistration() {
+    if (!('serviceWorker' in navigator)) return null
+    try {
+      return (await navigator.serviceWorker.getRegistration()) || null
+    } catch {
+      return null
+    }
+  }
+
+  // How reminders reach the user in this browser ('triggers', 'periodic-sync' or 'in-app')
+  async getDeliveryMethod() {
+    const registration = await this.getRegistration()
+    if (!registration) return 'in-app'
+    if ('showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined') return 'triggers'
+    if ('periodicSync' in registration) {
+      try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' })
+        if (status.state === 'granted') return 'periodic-sync'
+      } catch {
+        // Permission name unknown to this browser
+      }
+    }
+    return 'in-app'
+  }
+
+  // Save new preferences and reschedule; enabling asks for notification permission first.
+  // content is { language, title, body } (see buildReminderSchedule). Returns the permission state
+  async update(changes, grammar, content) {
+    const next = normalizeReminderPreferences({ ...this.preferences, ...changes })
+    let permission = this.getPermission()
+
+    if (next.enabled && !this.preferences.enabled && permission === 'default') {
+      permission = await Notification.requestPermission()
+    }
+    if (next.enabled && permission !== 'granted') {
+      next.enabled = false
+    }
+
+    this.preferences = next
+    this.save()
+    await this.reschedule(grammar, content)
+    return permission
+  }
+
+  // Rebuild the schedule from today; called on every app start to keep the next days scheduled
+  async reschedule(grammar, content) {
+    this.stopTimer()
+    if (!this.isSupported()) return []
+    const enabled = this.preferences.enabled && this.getPermission() === 'granted'
+    const schedule = enabled ? buildReminderSchedule(this.preferences, grammar, content) : []
+
+    await this.saveSchedule(schedule)
+
+    const registration = await this.getRegistration()
+    const method = await this.getDeliveryMethod()
+    await this.clearTriggeredNotifications(registration)
+    await this.updatePeriodicSync(registration, enabled && method === 'periodic-sync')
+
+    if (!enabled) return []
+
+    if (method === 'triggers') {
+      for (const entry of schedule) {
+        await registration.showNotification(entry.title, {
+          body: entry.body,
+          tag: entry.id,
+          icon: '/jp_grammar_192x192.png',
+          data: { url: entry.url, reminder: true },
+          showTrigger: new TimestampTrigger(entry.at)
+        })
+      }
+    } else {
+      this.startTimer(schedule)
+    }
+    return schedule
+  }
+
+  async saveSchedule(schedule) {
+    if (!isIndexedDbSupported()) return
+    try {
+      await dbPutAll(DB_STORE, { schedule })
+    } catch (error) {
+      console.error('Error saving reminder schedule:', error)
+    }
+  }
+
+  async getSchedule() {
+    if (!isIndexedDbSupported()) return []
+    try {
+      return (await dbGet(DB_STORE, 'schedule')) || []
+    } catch {
+      return []
+    }
+  }
+
+  // Notifications scheduled with Notification Triggers that haven't been shown yet
+  async clearTriggeredNotifications(registration) {
+    if (!registration || !('showTrigger' in Notification.prototype)) return
+    try {
+      const pending = await registration.getNotifications({ includeTriggered: true })
+      pending.filter(notification => notification.data?.reminder).forEach(notification => notification.close())
+    } catch (error) {
+      console.error('Error clearing scheduled reminders:', error)
+    }
+  }
+
+  async updatePeriodicSync(registration, enabled) {
+    if (!registration || !('periodicSync' in registration)) return
+    try {
+      if (enabled) {
+        await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: SYNC_MIN_INTERVAL_MS })
+      } else {
+        await registration.periodicSync.unregister(REMINDER_SYNC_TAG)
+      }
+    } catch (error) {
+      console.error('Error updating background sync for reminders:', error)
+    }
+  }
+
+  // Show the next reminder while the app stays open
+  startTimer(schedule) {
+    const next = schedule.find(entry => entry.at > Date.now())
+    if (!next) return
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.showDueReminder().finally(() => this.startTimer(schedule))
+    }, next.at - Date.now())
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  // Show the latest due reminder unless the service worker already did
+  async showDueReminder() {
+    const schedule = await this.getSchedule()
+    const lastShownAt = isIndexedDbSupported() ? await dbGet(DB_STORE, 'lastShownAt').catch(() => 0) : 0
+    const entry = getDueReminder(schedule, lastShownAt)
+    if (!entry) return
+
+    await this.show(entry)
+    if (isIndexedDbSupported()) {
+      await dbPutAll(DB_STORE, { lastShownAt: entry.at }).catch(() => {})
+    }
+  }
+
+  // Show the next reminder right away, to try notifications out
+  async showPreview(grammar, content) {
+    const [entry] = buildReminderSchedule({ ...this.preferences, enabled: true }, grammar, content, new Date(), 1)
+    if (entry) await this.show({ ...entry, id: 'reminder-preview' })
+  }
+
+  // Show a reminder entry now; clicking it opens entry.url
+  async show(entry) {
+    if (this.getPermission() !== 'granted') return
+    const options = {
+      body: entry.body,
+      tag: entry.id,
+      icon: '/jp_grammar_192x192.png',
+      data: { url: entry.url, reminder: true }
+    }
+
+    const registration = await this.getRegistration()
+    if (registration) {
+      await registration.showNotification(entry.title, options)
+      return
+    }
+
+    // No service worker (e.g. the dev server): a page notification
+    const notification = new Notification(entry.title, options)
+    notification.onclick = () => {
+      window.focus()
+      window.location.assign(entry.url)
+      notification.close()
+    }
+  }
+}
+
+// Create and export a singleton instance
+export const reminderService = new ReminderService()
+export default reminderService
@@ -0,0 +1,169 @@
+// Spaced repetition scheduler for grammar points (SM-2 style, four grades)
+import userStateService from './userStateService.js'
+
+// Review records live in the synced user state; this key is only read for migration
+const LEGACY_STORAGE_KEY = 'jlpt-srs-data'
+const PROGRESS_SECTION = 'progress'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// Scheduler tuning
+const DEFAULT_EASE = 2.5
+const MIN_EASE = 1.3
+const RELEARN_DELAY_MS = 10 * MINUTE_MS // "Again" brings the card back in 10 minutes
+const HARD_FACTOR = 1.2
+const EASY_BONUS = 1.3
+
+export const GRADES = ['again', 'hard', 'good', 'easy']
+
+// Cards with an interval of at least this many days count as mastered
+export const MASTERED_INTERVAL_DAYS = 21
+
+// End of the local day for "due today" checks
+const endOfDay = (date) => {
+  const end = new Date(date)
+  end.setHours(23, 59, 59, 999)
+  return end
+}
+
+class SrsService {
+  constructor() {
+    this.migrateLegacyRecords()
+  }
+
+  // Move records saved before user state sync existed into the progress section
+  migrateLegacyRecords() {
+    try {
+      const saved = localStorage.getItem(LEGACY_STORAGE_KEY)
+      if (!saved) return
+
+      const legacyRecords = JSON.parse(saved)
+      Object.values(legacyRecords).forEach(record => {
+        if (!this.getRecord(record.no)) {
+          userStateService.set(PROGRESS_SECTION, String(record.no), record, new Date(record.updatedAt))
+        }
+      })
+      localStorage.removeItem(LEGACY_STORAGE_KEY)
+      console.log('Migrated SRS records to user state')
+    } catch (error) {
+      console.error('Error migrating SRS data:', error)
+    }
+  }
+
+  // Get all review records keyed by grammar number
+  getRecords() {
+    return userStateService.getSection(PROGRESS_SECTION)
+  }
+
+  // Get the review record of a grammar point (null if never reviewed)
+  getRecord(grammarNo) {
+    return userStateService.get(PROGRESS_SECTION, String(grammarNo)) || null
+  }
+
+  // Check if a grammar point is due for review by the end of today
+  isDueToday(grammarNo, now = new Date()) {
+    const record = this.getRecord(grammarNo)
+    if (!record) return false
+    return new Date(record.due) <= endOfDay(now)
+  }
+
+  // Get grammar numbers due today, earliest first
+  getDueToday(now = new Date()) {
+    const limit = endOfDay(now)
+    return Object.values(this.getRecords())
+      .filter(record => new Date(record.due) <= limit)
+      .sort((a, b) => new Date(a.due) - new Date(b.due))
+      .map(record => record.no)
+  }
+
+  // Compute the next schedule for a record without saving it
+  schedule(record, grade, now = new Date()) {
+    const current = record || {
+      ease: DEFAULT_EASE,
+      interval: 0,
+      reps: 0,
+      lapses: 0
+    }
+
+    let { ease, interval, reps, lapses } = current
+    let dueTime
+
+    switch (grade) {
+      case 'again':
+        ease = Math.max(MIN_EASE, ease - 0.2)
+        interval = 0
+        reps = 0
+        lapses += 1
+        dueTime = now.getTime() + RELEARN_DELAY_MS
+        break
+      case 'hard':
+        ease = Math.max(MIN_EASE, ease - 0.15)
+        interval = reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * HARD_FACTOR))
+        reps += 1
+        break
+      case 'good':
+        if (reps === 0) interval = 1
+        else if (reps === 1) interval = Math.max(3, interval + 1)
+        else interval = Math.max(interval + 1, Math.round(interval * ease))
+        reps += 1
+        break
+      case 'easy':
+        interval = reps === 0 ? 4 : Math.max(interval + 1, Math.round(interval * ease * EASY_BONUS))
+        ease += 0.15
+        reps += 1
+        break
+      default:
+        throw new Error(`Unknown grade: ${grade}`)
+    }
+
+    if (dueTime === undefined) {
+      dueTime = now.getTime() + interval * DAY_MS
+    }
+
+    return {
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      reps,
+      lapses,
+      due: new Date(dueTime).toISOString()
+    }
+  }
+
+  // Grade a grammar point and store its new schedule
+  grade(grammarNo, grade, now = new Date()) {
+    const scheduled = this.schedule(this.getRecord(grammarNo), grade, now)
+    const record = {
+      no: grammarNo,
+      ...scheduled,
+      lastGrade: grade,
+      lastReviewedAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    }
+
+    userStateService.set(PROGRESS_SECTION, String(grammarNo), record, now)
+    console.log(`SRS: graded no. ${grammarNo} as ${grade}, next due ${record.due}`)
+    return record
+  }
+
+  // Human readable interval for a grade button (e.g. "10m", "3d")
+  previewInterval(grammarNo, grade, now = new Date()) {
+    const next = this.schedule(this.getRecord(grammarNo), grade, now)
+    const diff = new Date(next.due).getTime() - now.getTime()
+    if (diff < DAY_MS) return `${Math.round(diff / MINUTE_MS)}m`
+    const days = Math.round(diff / DAY_MS)
+    if (days < 30) return `${days}d`
+    if (days < 365) return `${Math.round(days / 30)}mo`
+    return `${Math.round(days / 365)}y`
+  }
+
+  // Check if a grammar point is considered mastered
+  isMastered(grammarNo) {
+    const record = this.getRecord(grammarNo)
+    return !!record && record.interval >= MASTERED_INTERVAL_DAYS
+  }
+}
+
+// Create and export a singleton instance
+export const srsService = new SrsService()
+export default srsService
@@ -0,0 +1,267 @@
+// Study statistics: card views, answer reveals, audio plays, quiz answers and active time.
+// Counters are kept per local day and device in the synced 'stats' section
+// ('YYYY-MM-DD|<deviceId>' -> day record), so every device only ever writes its own entries
+// and merging across devices is a plain union. Days older than STATS_WINDOW_DAYS are rolled
+// into the device's archive entry ('archive|<deviceId>' -> archive record), and events are
+// buffered in memory and written at most every FLUSH_DELAY_MS
+import userStateService from './userStateService.js'
+import { getDeviceId } from './favoritesService.js'
+import {
+  STATS_WINDOW_DAYS,
+  isArchiveKey,
+  parseDayKey,
+  toArchiveKey
+} from '../utils/statsArchive.js'
+
+const STATS_SECTION = 'stats'
+
+// Gaps between study events longer than this count as a break, not study time
+const MAX_ACTIVE_GAP_MS = 2 * 60 * 1000
+// Time credited for the first event after a break
+const EVENT_CREDIT_MS = 10 * 1000
+// Buffered events are written (and synced) this long after the first one
+const FLUSH_DELAY_MS = 30 * 1000
+
+export const STUDY_EVENTS = ['view', 'flip', 'audio', 'quiz']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Local calendar day as YYYY-MM-DD
+export const toDayKey = (date) => {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+const addDays = (date, days) => {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+const createDayRecord = () => ({
+  view: 0,
+  flip: 0,
+  audio: 0,
+  quiz: 0,
+  quizCorrect: 0,
+  timeMs: 0,
+  seen: [] // grammar numbers studied that day
+})
+
+const COUNTERS = [...STUDY_EVENTS, 'quizCorrect', 'timeMs']
+
+const isNextDay = (previousDay, day) => (
+  Math.round((new Date(`${day}T00:00:00`) - new Date(`${previousDay}T00:00:00`)) / DAY_MS) === 1
+)
+
+// Add day records ([day, record] pairs, oldest first) to an archive record: summed counters,
+// every grammar number seen, and enough of the streaks to continue them across the window:
+// the longest one, and the run of days ending at lastDay
+export const rollIntoArchive = (archive, days) => {
+  const result = {
+    ...createDayRecord(),
+    studyDays: 0,
+    longestStreak: 0,
+    lastDay: null,
+    lastRun: 0,
+    archivedThrough: null,
+    ...archive
+  }
+  const seen = new Set(result.seen)
+
+  days.forEach(([day, record]) => {
+    COUNTERS.forEach(counter => {
+      result[counter] += record[counter] || 0
+    })
+    ;(record.seen || []).forEach(no => seen.add(no))
+    result.studyDays += 1
+    result.lastRun = result.lastDay && isNextDay(result.lastDay, day) ? result.lastRun + 1 : 1
+    result.longestStreak = Math.max(result.longestStreak, result.lastRun)
+    result.lastDay = day
+    result.archivedThrough = day
+  })
+
+  result.seen = [...seen].sort((a, b) => a - b)
+  return result
+}
+
+// Combine the archive records of all devices: { ...counters, seen: Set, longestStreak, lastDay, lastRun }
+// Streaks before the window are only known per device, so the combined ones are the best of them
+export const aggregateArchives = (entries) => {
+  const archives = Object.entries(entries)
+    .filter(([key]) => isArchiveKey(key))
+    .map(([, archive]) => archive)
+  if (archives.length === 0) return null
+
+  const total = { ...createDayRecord(), seen: new Set(), longestStreak: 0, lastDay: null, lastRun: 0 }
+  archives.forEach(archive => {
+    COUNTERS.forEach(counter => {
+      total[counter] += archive[counter] || 0
+    })
+    ;(archive.seen || []).forEach(no => total.seen.add(no))
+    total.longestStreak = Math.max(total.longestStreak, archive.longestStreak || 0)
+    if (archive.lastDay && (!total.lastDay || archive.lastDay > total.lastDay ||
+      (archive.lastDay === total.lastDay && archive.lastRun > total.lastRun))) {
+      total.lastDay = archive.lastDay
+      total.lastRun = archive.lastRun
+    }
+  })
+  return total
+}
+
+// Combine the per-device records into one record per day: { [day]: record } with events = sum of counters
+export const aggregateDays = (entries) => {
+  const days = {}
+  Object.entries(entries).forEach(([key, record]) => {
+    if (isArchiveKey(key)) return
+    const { day } = parseDayKey(key)
+    const total = days[day] || { ...createDayRecord(), seen: new Set() }
+    STUDY_EVENTS.forEach(event => {
+      total[event] += record[event] || 0
+    })
+    total.quizCorrect += record.quizCorrect || 0
+    total.timeMs += record.timeMs || 0
+    ;(record.seen || []).forEach(no => total.seen.add(no))
+    days[day] = total
+  })
+
+  Object.values(days).forEach(total => {
+    total.events = STUDY_EVENTS.reduce((sum, event) => sum + total[event], 0)
+  })
+  return days
+}
+
+// Current streak (ending today, or yesterday if nothing was studied yet today) and longest streak;
+// archive (from aggregateArchives) continues the streaks from before the window
+export const computeStreaks = (dayKeys, today = new Date(), archive = null) => {
+  const studied = new Set(dayKeys)
+
+  let current = 0
+  let cursor = studied.has(toDayKey(today)) ? today : addDays(today, -1)
+  while (studied.has(toDayKey(cursor))) {
+    current++
+    cursor = addDays(cursor, -1)
+  }
+  if (archive?.lastDay && archive.lastDay === toDayKey(cursor)) {
+    current += archive.lastRun
+  }
+
+  let longest = archive?.longestStreak || 0
+  let run = archive?.lastRun || 0
+  let previous = archive?.lastDay || null
+  ;[...studied].sort().forEach(day => {
+    run = previous && isNextDay(previous, day) ? run + 1 : 1
+    longest = Math.max(longest, run)
+    previous = day
+  })
+
+  return { current, longest }
+}
+
+class StatsService {
+  constructor() {
+    this.lastEventAt = 0
+    this.pending = null // buffered day record: { key, record, updatedAt }
+    this.flushTimer = null
+
+    // Write buffered events before the page goes away
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => this.flush())
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush()
+      })
+    }
+  }
+
+  entryKey(date) {
+    return `${toDayKey(date)}|${getDeviceId()}`
+  }
+
+  // Record a study event; options: grammarNo, correct (quiz answers)
+  record(event, { grammarNo = null, correct = false } = {}, now = new Date()) {
+    if (!STUDY_EVENTS.includes(event)) {
+      throw new Error(`Unknown study event: ${event}`)
+    }
+
+    const key = this.entryKey(now)
+    if (this.pending && this.pending.key !== key) {
+      this.flush()
+    }
+    const record = this.pending
+      ? { ...this.pending.record }
+      : { ...createDayRecord(), ...userStateService.get(STATS_SECTION, key) }
+    record[event] += 1
+    if (event === 'quiz' && correct) {
+      record.quizCorrect += 1
+    }
+    if (grammarNo !== null && !record.seen.includes(grammarNo)) {
+      record.seen = [...record.seen, grammarNo]
+    }
+
+    const gap = now.getTime() - this.lastEventAt
+    record.timeMs += gap >= 0 && gap <= MAX_ACTIVE_GAP_MS ? gap : EVENT_CREDIT_MS
+    this.lastEventAt = now.getTime()
+
+    this.pending = { key, record, updatedAt: now }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS)
+    }
+  }
+
+  // Write buffered events to the user state (which syncs them) and archive old days
+  flush() {
+    clearTimeout(this.flushTimer)
+    this.flushTimer = null
+    if (!this.pending) return
+
+    const { key, record, updatedAt } = this.pending
+    this.pending = null
+    userStateService.set(STATS_SECTION, key, record, updatedAt)
+    this.archiveOldDays(updatedAt)
+  }
+
+  // Roll this device's days before the window into its archive entry; setting the archive
+  // drops the archived day entries (see dropArchivedDays)
+  archiveOldDays(now = new Date()) {
+    const deviceId = getDeviceId()
+    const cutoff = toDayKey(addDays(now, -STATS_WINDOW_DAYS))
+    const entries = userStateService.getSection(STATS_SECTION)
+    const oldDays = Object.entries(entries)
+      .filter(([key]) => {
+        if (isArchiveKey(key)) return false
+        const { day, deviceId: entryDeviceId } = parseDayKey(key)
+        return entryDeviceId === deviceId && day < cutoff
+      })
+      .map(([key, record]) => [parseDayKey(key).day, record])
+      .sort(([a], [b]) => a.localeCompare(b))
+    if (oldDays.length === 0) return
+
+    const archiveKey = toArchiveKey(deviceId)
+    userStateService.set(STATS_SECTION, archiveKey, rollIntoArchive(entries[archiveKey], oldDays), now)
+  }
+
+  // Entries of the stats section including buffered events
+  getEntries() {
+    const entries = userStateService.getSection(STATS_SECTION)
+    if (this.pending) {
+      entries[this.pending.key] = this.pending.record
+    }
+    return entries
+  }
+
+  // Per-day totals across all devices, for the days in the window
+  getDays() {
+    return aggregateDays(this.getEntries())
+  }
+
+  // Totals of the days before the window across all devices, null if nothing is archived yet
+  getArchive() {
+    return aggregateArchives(this.getEntries())
+  }
+}
+
+// Create and export a singleton instance
+export const statsService = new StatsService()
+export default statsService
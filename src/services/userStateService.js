@@ -0,0 +1,207 @@
+// Versioned user state (preferences, progress records, notes, decks, study stats) with field-by-field merging
+import { dropArchivedDays } from '../utils/statsArchive.js'
+
+const STORAGE_KEY = 'jlpt-user-state'
+
+// Bump when the document shape changes and add a step to migrateUserState
+// Version 2 added the decks section, version 3 the stats section
+export const USER_STATE_VERSION = 3
+
+// Each section is a map of key -> { value, updatedAt, deleted? }
+export const USER_STATE_SECTIONS = ['preferences', 'progress', 'notes', 'decks', 'stats']
+
+// Create an empty state document
+export const createEmptyUserState = () => {
+  const state = { version: USER_STATE_VERSION }
+  USER_STATE_SECTIONS.forEach(section => {
+    state[section] = {}
+  })
+  return state
+}
+
+// Bring an older (or partial) state document up to the current version
+export const migrateUserState = (state) => {
+  if (!state || typeof state !== 'object') {
+    return createEmptyUserState()
+  }
+
+  // Sections added since version 1 (decks, stats) start out empty
+  const migrated = { ...createEmptyUserState(), ...state }
+  USER_STATE_SECTIONS.forEach(section => {
+    if (!migrated[section] || typeof migrated[section] !== 'object') {
+      migrated[section] = {}
+    }
+  })
+  migrated.version = USER_STATE_VERSION
+  return migrated
+}
+
+// Pick the winning entry: newest updatedAt, ties broken by serialized value so every device agrees
+const pickEntry = (a, b) => {
+  if (!a) return b
+  if (!b) return a
+  if (a.updatedAt !== b.updatedAt) {
+    return a.updatedAt > b.updatedAt ? a : b
+  }
+  const aKey = JSON.stringify([!!a.deleted, a.value])
+  const bKey = JSON.stringify([!!b.deleted, b.value])
+  return aKey >= bKey ? a : b
+}
+
+// Merge two state documents entry by entry (last writer wins per field)
+export const mergeUserStates = (localState, remoteState) => {
+  const local = migrateUserState(localState)
+  const remote = migrateUserState(remoteState)
+  const merged = createEmptyUserState()
+
+  USER_STATE_SECTIONS.forEach(section => {
+    const keys = new Set([...Object.keys(local[section]), ...Object.keys(remote[section])])
+    keys.forEach(key => {
+      merged[section][key] = pickEntry(local[section][key], remote[section][key])
+    })
+  })
+  merged.stats = dropArchivedDays(merged.stats)
+
+  return merged
+}
+
+// Compare two state documents
+export const isSameUserState = (a, b) => {
+  return USER_STATE_SECTIONS.every(section => {
+    const aSection = a?.[section] || {}
+    const bSection = b?.[section] || {}
+    const keys = new Set([...Object.keys(aSection), ...Object.keys(bSection)])
+    return [...keys].every(key => JSON.stringify(aSection[key]) === JSON.stringify(bSection[key]))
+  })
+}
+
+class UserStateService {
+  constructor() {
+    this.state = createEmptyUserState()
+    this.changeCallbacks = []
+    this.load()
+  }
+
+  // Load state from localStorage
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      this.state = saved ? migrateUserState(JSON.parse(saved)) : createEmptyUserState()
+    } catch (error) {
+      console.error('Error loading user state:', error)
+      this.state = createEmptyUserState()
+    }
+  }
+
+  // Save state to localStorage
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state))
+    } catch (error) {
+      console.error('Error saving user state:', error)
+    }
+  }
+
+  // Get the whole state document
+  getState() {
+    return this.state
+  }
+
+  // Get a single value (undefined if missing or deleted)
+  get(section, key) {
+    const entry = this.state[section]?.[key]
+    return entry && !entry.deleted ? entry.value : undefined
+  }
+
+  // Get all live values of a section as a plain key -> value map
+  getSection(section) {
+    const values = {}
+    Object.entries(this.state[section] || {}).forEach(([key, entry]) => {
+      if (!entry.deleted) {
+        values[key] = entry.value
+      }
+    })
+    return values
+  }
+
+  // Set a value; unchanged values keep their timestamp so they don't win merges by accident
+  set(section, key, value, updatedAt = new Date()) {
+    if (!USER_STATE_SECTIONS.includes(section)) {
+      throw new Error(`Unknown user state section: ${section}`)
+    }
+
+    const existing = this.state[section][key]
+    if (existing && !existing.deleted && JSON.stringify(existing.value) === JSON.stringify(value)) {
+      return
+    }
+
+    this.state[section][key] = { value, updatedAt: updatedAt.toISOString() }
+    if (section === 'stats') {
+      this.state.stats = dropArchivedDays(this.state.stats)
+    }
+    this.save()
+    this.notify('local', [section])
+  }
+
+  // Remove a value, leaving a tombstone so the removal syncs to other devices
+  remove(section, key, updatedAt = new Date()) {
+    const existing = this.state[section]?.[key]
+    if (!existing || existing.deleted) return
+
+    this.state[section][key] = { value: null, deleted: true, updatedAt: updatedAt.toISOString() }
+    this.save()
+    this.notify('local', [section])
+  }
+
+  // Merge a remote state document into the local one; source tells the change listeners where it
+  // came from ('remote' for syncs, 'import' for backup files, which still have to be synced)
+  // Returns whether local state changed and whether the remote copy is missing local entries
+  applyRemote(remoteState, source = 'remote') {
+    if (remoteState?.version > USER_STATE_VERSION) {
+      console.warn('Remote user state is newer than this app version, skipping merge')
+      return { changed: false, needsPush: false }
+    }
+
+    const merged = mergeUserStates(this.state, remoteState)
+    const changedSections = USER_STATE_SECTIONS.filter(section =>
+      !isSameUserState({ [section]: merged[section] }, { [section]: this.state[section] })
+    )
+    const needsPush = !isSameUserState(merged, migrateUserState(remoteState))
+
+    if (changedSections.length > 0) {
+      this.state = merged
+      this.save()
+      this.notify(source, changedSections)
+    }
+
+    return { changed: changedSections.length > 0, needsPush }
+  }
+
+  // Subscribe to state changes; callback receives (source, sections), source being 'local' for
+  // edits on this device, 'import' for backup files and 'remote' for synced changes
+  onChange(callback) {
+    this.changeCallbacks.push(callback)
+
+    // Return unsubscribe function
+    return () => {
+      const index = this.changeCallbacks.indexOf(callback)
+      if (index > -1) {
+        this.changeCallbacks.splice(index, 1)
+      }
+    }
+  }
+
+  notify(source, sections) {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(source, sections)
+      } catch (error) {
+        console.error('Error in user state change callback:', error)
+      }
+    })
+  }
+}
+
+// Create and export a singleton instance
+export const userStateService = new UserStateService()
+export default userStateService
@@ -0,0 +1,67 @@
+// Daily study reminders in the service worker. vite.config.js bundles this file into
+// reminder-sw.js, which the generated worker loads with workbox.importScripts. The app writes
+// the schedule to IndexedDB (src/services/reminderService.js) with its text already localized;
+// periodic background sync shows the latest due entry as saved, and clicking a reminder opens
+// its grammar point
+import { REMINDER_SYNC_TAG, getDueReminder } from '../utils/reminderSchedule.js'
+
+const DB_NAME = 'jlpt-bunpou'
+const DB_STORE = 'reminders'
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Open without a version so the app stays in charge of upgrades; the connection is closed
+// after each use so it never blocks one
+const withReminderStore = async (mode, callback) => {
+  const db = await requestToPromise(indexedDB.open(DB_NAME))
+  try {
+    if (!db.objectStoreNames.contains(DB_STORE)) return undefined
+    return await callback(db.transaction(DB_STORE, mode).objectStore(DB_STORE))
+  } finally {
+    db.close()
+  }
+}
+
+const showDueReminder = async () => {
+  const [schedule, lastShownAt] = await withReminderStore('readonly', store => Promise.all([
+    requestToPromise(store.get('schedule')),
+    requestToPromise(store.get('lastShownAt'))
+  ])) || []
+
+  const entry = getDueReminder(schedule, lastShownAt, Date.now())
+  if (!entry) return
+
+  await self.registration.showNotification(entry.title, {
+    body: entry.body,
+    tag: entry.id,
+    icon: '/jp_grammar_192x192.png',
+    data: { url: entry.url, reminder: true }
+  })
+  await withReminderStore('readwrite', store => requestToPromise(store.put(entry.at, 'lastShownAt')))
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminder().catch(error => console.error('Error showing reminder:', error)))
+  }
+})
+
+// Open the reminder's card in an existing window if there is one
+self.addEventListener('notificationclick', (event) => {
+  if (!event.notification.data?.reminder) return
+  event.notification.close()
+
+  const url = new URL(event.notification.data.url || '/', self.location.origin).href
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const client = windows.find(candidate => new URL(candidate.url).origin === self.location.origin)
+    if (client) {
+      const navigated = await client.navigate(url).catch(() => null)
+      return (navigated || client).focus()
+    }
+    return self.clients.openWindow(url)
+  })())
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import { BACKUP_FORMAT, BACKUP_FORMAT_VERSION, parseCsvBackup, validateJsonBackup } from '../backupFormat.js'
+import { problem } from '../userError.js'
+import { USER_STATE_VERSION } from '../../services/userStateService.js'
+
+const UPDATED_AT = '2026-05-01T10:00:00.000Z'
+
+const entry = (value) => ({ value, updatedAt: UPDATED_AT })
+
+const backup = (userState) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  exportedAt: UPDATED_AT,
+  favoritesOps: { 12: { addedAt: 1 } },
+  userState: { version: USER_STATE_VERSION, ...userState }
+})
+
+const VALID_STATE = {
+  preferences: {
+    level: entry('3'),
+    flashcardMode: entry(true),
+    audio: entry({ rate: 1, repeat: 1, gapMs: 800, loop: false }),
+    uiLocale: entry('en')
+  },
+  progress: {
+    12: entry({ no: 12, ease: 2.5, interval: 3, reps: 2, lapses: 0, due: UPDATED_AT, lastGrade: 'good' })
+  },
+  notes: {
+    12: entry({ text: 'note', examples: ['例文'], tags: ['verbs'], decks: ['d1'] }),
+    13: { value: null, deleted: true, updatedAt: UPDATED_AT }
+  },
+  decks: {
+    d1: entry({ name: 'Exam', createdAt: UPDATED_AT })
+  },
+  stats: {
+    '2026-05-01|device-1': entry({ view: 3, flip: 1, audio: 0, quiz: 2, quizCorrect: 1, timeMs: 60000, seen: [12] }),
+    'archive|device-1': entry({ view: 10, timeMs: 1000, seen: [1, 2], studyDays: 4, longestStreak: 2, lastDay: '2025-10-01', lastRun: 1, archivedThrough: '2025-10-01' })
+  }
+}
+
+describe('validateJsonBackup', () => {
+  it('accepts an exported backup', () => {
+    expect(validateJsonBackup(backup(VALID_STATE))).toEqual([])
+  })
+
+  it('accepts the old plain favorites list', () => {
+    expect(validateJsonBackup([1, 2, 3])).toEqual([])
+    expect(validateJsonBackup([1, 'two'])).toHaveLength(1)
+  })
+
+  it('rejects files that are not backups', () => {
+    expect(validateJsonBackup({ favorites: [1] })).toEqual([problem('backupErrors.notBackup')])
+  })
+
+  it('rejects unknown sections and keys', () => {
+    expect(validateJsonBackup(backup({ extra: {} }))).toEqual([problem('backupErrors.unknownSection', { section: 'extra' })])
+    expect(validateJsonBackup(backup({ preferences: { theme: entry('dark') } }))).toEqual([problem('backupErrors.unknownKey', { section: 'preferences', key: 'theme' })])
+    expect(validateJsonBackup(backup({ progress: { abc: VALID_STATE.progress[12] } }))).toEqual([problem('backupErrors.unknownKey', { section: 'progress', key: 'abc' })])
+    expect(validateJsonBackup(backup({ notes: { 0: VALID_STATE.notes[12] } }))).toEqual([problem('backupErrors.unknownKey', { section: 'notes', key: '0' })])
+    expect(validateJsonBackup(backup({ stats: { 'yesterday|device-1': entry({ view: 1 }) } }))).toEqual([problem('backupErrors.unknownKey', { section: 'stats', key: 'yesterday|device-1' })])
+  })
+
+  it('rejects entries without a timestamp', () => {
+    expect(validateJsonBackup(backup({ notes: { 12: { value: { text: 'x' } } } }))).toEqual([problem('backupErrors.invalidEntry', { section: 'notes', key: '12' })])
+  })
+
+  it.each([
+    ['preferences', 'flashcardMode', 'yes'],
+    ['preferences', 'audio', 1.5],
+    ['progress', '12', { ease: 2.5, interval: 3, reps: 2, lapses: 0 }],
+    ['progress', '12', { ease: '2.5', interval: 3, reps: 2, lapses: 0, due: UPDATED_AT }],
+    ['progress', '12', { no: 13, ease: 2.5, interval: 3, reps: 2, lapses: 0, due: UPDATED_AT }],
+    ['progress', '12', { ease: 2.5, interval: 3, reps: 1.5, lapses: 0, due: UPDATED_AT }],
+    ['notes', '12', { text: 5 }],
+    ['notes', '12', { text: '', tags: 'verbs' }],
+    ['decks', 'd1', { name: '  ' }],
+    ['stats', '2026-05-01|device-1', { view: -1 }],
+    ['stats', '2026-05-01|device-1', { view: 1, seen: ['12'] }],
+    ['stats', 'archive|device-1', { studyDays: 2, lastDay: 'May 1' }]
+  ])('rejects an invalid %s value for "%s"', (section, key, value) => {
+    expect(validateJsonBackup(backup({ [section]: { [key]: entry(value) } })))
+      .toEqual([problem('backupErrors.invalidValue', { section, key })])
+  })
+
+  it('accepts removed entries without a value', () => {
+    const removed = { value: null, deleted: true, updatedAt: UPDATED_AT }
+    expect(validateJsonBackup(backup({ progress: { 12: removed }, decks: { d1: removed } }))).toEqual([])
+  })
+})
+
+describe('parseCsvBackup', () => {
+  it('reports unknown grammar numbers and bad dates by line', () => {
+    const csv = 'no,srs_due\n12,2026-05-01\n999,\n13,someday\n'
+    const { rows, errors } = parseCsvBackup(csv, new Set([12, 13]))
+
+    expect(rows.map(row => row.no)).toEqual([12])
+    expect(errors).toEqual([
+      problem('backupErrors.csvUnknownNo', { line: 3, no: '999' }),
+      problem('backupErrors.csvDate', { line: 4 })
+    ])
+  })
+
+  it('needs a "no" column', () => {
+    expect(parseCsvBackup('pattern\nから\n', new Set()).errors).toEqual([problem('backupErrors.csvHeader')])
+  })
+})
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import {
+  detectVerbType,
+  conjugateVerb,
+  conjugateIAdjective,
+  conjugateCopula
+} from '../conjugation.js'
+
+const VERB_FORMS = ['masu', 'te', 'ta', 'nai', 'nakatta', 'ba', 'volitional', 'potential', 'teiru']
+
+// [dictionary, verb type, ます, て, た, ない, なかった, ば, 意向形, 可能形, ている]
+const VERBS = [
+  // Godan, one per row
+  ['買う', 'godan', '買います', '買って', '買った', '買わない', '買わなかった', '買えば', '買おう', '買える', '買っている'],
+  ['書く', 'godan', '書きます', '書いて', '書いた', '書かない', '書かなかった', '書けば', '書こう', '書ける', '書いている'],
+  ['泳ぐ', 'godan', '泳ぎます', '泳いで', '泳いだ', '泳がない', '泳がなかった', '泳げば', '泳ごう', '泳げる', '泳いでいる'],
+  ['話す', 'godan', '話します', '話して', '話した', '話さない', '話さなかった', '話せば', '話そう', '話せる', '話している'],
+  ['待つ', 'godan', '待ちます', '待って', '待った', '待たない', '待たなかった', '待てば', '待とう', '待てる', '待っている'],
+  ['死ぬ', 'godan', '死にます', '死んで', '死んだ', '死なない', '死ななかった', '死ねば', '死のう', '死ねる', '死んでいる'],
+  ['遊ぶ', 'godan', '遊びます', '遊んで', '遊んだ', '遊ばない', '遊ばなかった', '遊べば', '遊ぼう', '遊べる', '遊んでいる'],
+  ['読む', 'godan', '読みます', '読んで', '読んだ', '読まない', '読まなかった', '読めば', '読もう', '読める', '読んでいる'],
+  ['取る', 'godan', '取ります', '取って', '取った', '取らない', '取らなかった', '取れば', '取ろう', '取れる', '取っている'],
+  // Godan る-verbs that look like ichidan
+  ['帰る', 'godan', '帰ります', '帰って', '帰った', '帰らない', '帰らなかった', '帰れば', '帰ろう', '帰れる', '帰っている'],
+  ['持ち帰る', 'godan', '持ち帰ります', '持ち帰って', '持ち帰った', '持ち帰らない', '持ち帰らなかった', '持ち帰れば', '持ち帰ろう', '持ち帰れる', '持ち帰っている'],
+  // Irregular godan verbs
+  ['行く', 'godan', '行きます', '行って', '行った', '行かない', '行かなかった', '行けば', '行こう', '行ける', '行っている'],
+  ['いく', 'godan', 'いきます', 'いって', 'いった', 'いかない', 'いかなかった', 'いけば', 'いこう', 'いける', 'いっている'],
+  ['問う', 'godan', '問います', '問うて', '問うた', '問わない', '問わなかった', '問えば', '問おう', '問える', '問うている'],
+  ['請う', 'godan', '請います', '請うて', '請うた', '請わない', '請わなかった', '請えば', '請おう', '請える', '請うている'],
+  ['ある', 'godan', 'あります', 'あって', 'あった', 'ない', 'なかった', 'あれば', 'あろう', 'あれる', 'あっている'],
+  ['くださる', 'godan', 'くださいます', 'くださって', 'くださった', 'くださらない', 'くださらなかった', 'くだされば', 'くださろう', 'くだされる', 'くださっている'],
+  // Ichidan
+  ['食べる', 'ichidan', '食べます', '食べて', '食べた', '食べない', '食べなかった', '食べれば', '食べよう', '食べられる', '食べている'],
+  ['見る', 'ichidan', '見ます', '見て', '見た', '見ない', '見なかった', '見れば', '見よう', '見られる', '見ている'],
+  ['起きる', 'ichidan', '起きます', '起きて', '起きた', '起きない', '起きなかった', '起きれば', '起きよう', '起きられる', '起きている'],
+  // する and 来る
+  ['する', 'suru', 'します', 'して', 'した', 'しない', 'しなかった', 'すれば', 'しよう', 'できる', 'している'],
+  ['勉強する', 'suru', '勉強します', '勉強して', '勉強した', '勉強しない', '勉強しなかった', '勉強すれば', '勉強しよう', '勉強できる', '勉強している'],
+  ['来る', 'kuru', '来ます', '来て', '来た', '来ない', '来なかった', '来れば', '来よう', '来られる', '来ている'],
+  ['くる', 'kuru', 'きます', 'きて', 'きた', 'こない', 'こなかった', 'くれば', 'こよう', 'こられる', 'きている'],
+  ['持ってくる', 'kuru', '持ってきます', '持ってきて', '持ってきた', '持ってこない', '持ってこなかった', '持ってくれば', '持ってこよう', '持ってこられる', '持ってきている']
+]
+
+describe('detectVerbType', () => {
+  it.each(VERBS.map(([word, type]) => [word, type]))('%s is %s', (word, type) => {
+    expect(detectVerbType(word)).toBe(type)
+  })
+
+  it('keeps つくる and おくる godan', () => {
+    expect(detectVerbType('つくる')).toBe('godan')
+    expect(detectVerbType('おくる')).toBe('godan')
+  })
+
+  it('returns null for words that are not verbs', () => {
+    expect(detectVerbType('学生')).toBeNull()
+    expect(detectVerbType('')).toBeNull()
+  })
+})
+
+describe('conjugateVerb', () => {
+  it.each(VERBS)('%s (%s)', (word, type, ...expected) => {
+    const actual = VERB_FORMS.map(form => conjugateVerb(word, form))
+    expect(actual).toEqual(expected)
+  })
+
+  it('returns the dictionary form unchanged', () => {
+    expect(conjugateVerb('読む', 'dictionary')).toBe('読む')
+  })
+
+  it('returns null for unknown forms and verb types', () => {
+    expect(conjugateVerb('読む', 'passive')).toBeNull()
+    expect(conjugateVerb('学生', 'masu')).toBeNull()
+  })
+})
+
+// [dictionary, ない, た, なかった, て, ば, 語幹]
+const I_ADJECTIVES = [
+  ['高い', '高くない', '高かった', '高くなかった', '高くて', '高ければ', '高'],
+  ['楽しい', '楽しくない', '楽しかった', '楽しくなかった', '楽しくて', '楽しければ', '楽し'],
+  ['いい', 'よくない', 'よかった', 'よくなかった', 'よくて', 'よければ', 'よ'],
+  ['良い', 'よくない', 'よかった', 'よくなかった', 'よくて', 'よければ', 'よ']
+]
+
+describe('conjugateIAdjective', () => {
+  it.each(I_ADJECTIVES)('%s', (word, ...expected) => {
+    const actual = ['nai', 'ta', 'nakatta', 'te', 'ba', 'stem'].map(form => conjugateIAdjective(word, form))
+    expect(actual).toEqual(expected)
+  })
+})
+
+// [dictionary, ない, た, なかった, て, ば]
+const COPULA_WORDS = [
+  ['静か', '静かではない', '静かだった', '静かではなかった', '静かで', '静かなら'],
+  ['便利', '便利ではない', '便利だった', '便利ではなかった', '便利で', '便利なら'],
+  ['学生', '学生ではない', '学生だった', '学生ではなかった', '学生で', '学生なら']
+]
+
+describe('conjugateCopula', () => {
+  it.each(COPULA_WORDS)('%s', (word, ...expected) => {
+    const actual = ['nai', 'ta', 'nakatta', 'te', 'ba'].map(form => conjugateCopula(word, form))
+    expect(actual).toEqual(expected)
+  })
+})
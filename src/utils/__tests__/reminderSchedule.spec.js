@@ -0,0 +1,249 @@
+import { describe, it, expect, afterEach, afterAll } from 'vitest'
+import {
+  DEFAULT_REMINDER_PREFERENCES,
+  LATE_GRACE_MS,
+  normalizeReminderPreferences,
+  getReminderTimes,
+  isInQuietHours,
+  getReminderExpiry,
+  pickGrammarOfTheDay,
+  buildReminderSchedule,
+  getDueReminder
+} from '../reminderSchedule.js'
+import en from '../../i18n/locales/en.js'
+import ne from '../../i18n/locales/ne.js'
+
+const GRAMMAR = [
+  { no: 3, n_level: 5, kanji: 'A', meaning: { mm: 'meaning 3', en: 'meaning 3 en' } },
+  { no: 1, n_level: 5, kanji: 'B\nC', meaning: { mm: 'meaning 1' } },
+  { no: 2, n_level: 4, kana: 'D', meaning: { mm: 'meaning 2' } }
+]
+
+// Reminder text as the app passes it in: meanings in the translation language, the rest in the UI language
+const content = (language, messages = en) => ({
+  language,
+  title: messages.reminders.notificationTitle,
+  body: messages.reminders.notificationBody
+})
+const MM = content('mm')
+
+const ENABLED = { ...DEFAULT_REMINDER_PREFERENCES, enabled: true }
+const NO_QUIET_HOURS = { ...ENABLED, quietStart: '00:00', quietEnd: '00:00' }
+
+const HOUR = 60 * 60 * 1000
+
+// Local wall-clock times, in the time zone set for the test
+const local = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes)
+
+const localTime = (timestamp) => {
+  const date = new Date(timestamp)
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`
+}
+
+// Tests run in Myanmar time unless they switch time zones themselves
+const TEST_TIME_ZONE = 'Asia/Yangon'
+const originalTimeZone = process.env.TZ
+process.env.TZ = TEST_TIME_ZONE
+
+afterEach(() => {
+  process.env.TZ = TEST_TIME_ZONE
+})
+
+afterAll(() => {
+  if (originalTimeZone === undefined) delete process.env.TZ
+  else process.env.TZ = originalTimeZone
+})
+
+describe('normalizeReminderPreferences', () => {
+  it('fills in defaults and drops invalid values', () => {
+    expect(normalizeReminderPreferences({ time: '25:00', level: '9', quietStart: 'late', enabled: 'yes' })).toEqual({
+      ...DEFAULT_REMINDER_PREFERENCES,
+      enabled: false
+    })
+  })
+
+  it('keeps valid values', () => {
+    const preferences = { enabled: true, time: '7:05', level: '3', grammarOfTheDay: false, quietStart: '23:00', quietEnd: '06:30' }
+    expect(normalizeReminderPreferences(preferences)).toEqual(preferences)
+  })
+})
+
+describe('getReminderTimes', () => {
+  it('starts today when the time is still ahead', () => {
+    const times = getReminderTimes('20:00', local(2026, 5, 10, 9), 3)
+    expect(times.map(localTime)).toEqual(['2026-5-10 20:00', '2026-5-11 20:00', '2026-5-12 20:00'])
+  })
+
+  it('rolls over to tomorrow once the time has passed', () => {
+    const times = getReminderTimes('20:00', local(2026, 5, 10, 20), 2)
+    expect(times.map(localTime)).toEqual(['2026-5-11 20:00', '2026-5-12 20:00'])
+  })
+
+  it('rolls over months and years', () => {
+    const times = getReminderTimes('08:30', local(2026, 12, 31, 9), 2)
+    expect(times.map(localTime)).toEqual(['2027-1-1 8:30', '2027-1-2 8:30'])
+  })
+
+  it('returns nothing for an invalid time', () => {
+    expect(getReminderTimes('8pm', local(2026, 5, 10))).toEqual([])
+  })
+})
+
+describe('pickGrammarOfTheDay', () => {
+  it('walks through the level one point a day in grammar order', () => {
+    const first = pickGrammarOfTheDay(GRAMMAR, '5', local(2026, 5, 10))
+    const second = pickGrammarOfTheDay(GRAMMAR, '5', local(2026, 5, 11))
+    expect([first.no, second.no].sort()).toEqual([1, 3])
+    expect(pickGrammarOfTheDay(GRAMMAR, '5', local(2026, 5, 12))).toBe(first)
+  })
+
+  it('picks the same point at any time of the day', () => {
+    expect(pickGrammarOfTheDay(GRAMMAR, 'all', local(2026, 5, 10, 0, 5)))
+      .toBe(pickGrammarOfTheDay(GRAMMAR, 'all', local(2026, 5, 10, 23, 55)))
+  })
+
+  it('returns null for an empty level', () => {
+    expect(pickGrammarOfTheDay(GRAMMAR, '1', local(2026, 5, 10))).toBeNull()
+  })
+})
+
+describe('buildReminderSchedule', () => {
+  it('is empty when reminders are off', () => {
+    expect(buildReminderSchedule(DEFAULT_REMINDER_PREFERENCES, GRAMMAR, MM, local(2026, 5, 10))).toEqual([])
+  })
+
+  it('builds one entry a day with the grammar point of the day', () => {
+    const now = local(2026, 5, 10, 9)
+    const schedule = buildReminderSchedule({ ...ENABLED, level: '4' }, GRAMMAR, MM, now, 2)
+
+    expect(schedule).toHaveLength(2)
+    expect(schedule[0]).toEqual({
+      id: `reminder-${local(2026, 5, 10, 20).getTime()}`,
+      at: local(2026, 5, 10, 20).getTime(),
+      expiresAt: local(2026, 5, 10, 22).getTime(),
+      grammarNo: 2,
+      title: '📖 N4 · D',
+      body: 'meaning 2',
+      url: '/grammar/2'
+    })
+  })
+
+  it('puts multi-line patterns on one line and uses the translation language', () => {
+    const schedule = buildReminderSchedule({ ...ENABLED, level: '5' }, GRAMMAR, content('en'), local(2026, 5, 10, 9), 2)
+    const titles = schedule.map(entry => entry.title).sort()
+    expect(titles).toEqual(['📖 N5 · A', '📖 N5 · B / C'])
+    expect(schedule.find(entry => entry.grammarNo === 3).body).toBe('meaning 3 en')
+  })
+
+  it('uses a general reminder without the grammar point of the day', () => {
+    const [entry] = buildReminderSchedule({ ...ENABLED, grammarOfTheDay: false }, GRAMMAR, MM, local(2026, 5, 10, 9), 1)
+    expect(entry.grammarNo).toBeNull()
+    expect(entry.url).toBe('/')
+    expect(entry.title).toBe(en.reminders.notificationTitle)
+  })
+
+  it('uses the text it is given for the general reminder', () => {
+    const [entry] = buildReminderSchedule({ ...ENABLED, grammarOfTheDay: false }, GRAMMAR, content('ne', ne), local(2026, 5, 10, 9), 1)
+    expect(entry.title).toBe(ne.reminders.notificationTitle)
+    expect(entry.body).toBe(ne.reminders.notificationBody)
+    expect(entry.title).not.toBe(en.reminders.notificationTitle)
+  })
+})
+
+describe('quiet hours', () => {
+  it('can span midnight', () => {
+    expect(isInQuietHours(local(2026, 5, 10, 23), '22:00', '07:00')).toBe(true)
+    expect(isInQuietHours(local(2026, 5, 10, 3), '22:00', '07:00')).toBe(true)
+    expect(isInQuietHours(local(2026, 5, 10, 7), '22:00', '07:00')).toBe(false)
+    expect(isInQuietHours(local(2026, 5, 10, 14), '13:00', '15:00')).toBe(true)
+    expect(isInQuietHours(local(2026, 5, 10, 16), '13:00', '15:00')).toBe(false)
+  })
+
+  it('are off when start and end are equal', () => {
+    expect(isInQuietHours(local(2026, 5, 10, 3), '00:00', '00:00')).toBe(false)
+  })
+
+  it('end a reminder at the start of the quiet hours', () => {
+    expect(getReminderExpiry(local(2026, 5, 10, 20), '22:00', '07:00')).toBe(local(2026, 5, 10, 22).getTime())
+  })
+
+  it('give a reminder set inside them a short grace period', () => {
+    const at = local(2026, 5, 10, 23)
+    expect(getReminderExpiry(at, '22:00', '07:00')).toBe(at.getTime() + LATE_GRACE_MS)
+  })
+})
+
+describe('getDueReminder', () => {
+  const schedule = buildReminderSchedule(ENABLED, GRAMMAR, MM, local(2026, 5, 10, 9), 3)
+  const [today, tomorrow] = schedule
+
+  it('shows nothing before the first reminder', () => {
+    expect(getDueReminder(schedule, 0, local(2026, 5, 10, 19).getTime())).toBeNull()
+  })
+
+  it('shows a reminder that is due and not shown yet', () => {
+    expect(getDueReminder(schedule, 0, local(2026, 5, 10, 20, 5).getTime())).toBe(today)
+  })
+
+  it('does not show an already fired reminder again', () => {
+    expect(getDueReminder(schedule, today.at, local(2026, 5, 10, 21).getTime())).toBeNull()
+    expect(getDueReminder(schedule, today.at, local(2026, 5, 11, 20, 1).getTime())).toBe(tomorrow)
+  })
+
+  it('only shows the latest of several due reminders', () => {
+    expect(getDueReminder(schedule, 0, local(2026, 5, 11, 20, 30).getTime())).toBe(tomorrow)
+  })
+
+  it('skips a late reminder once the quiet hours started', () => {
+    expect(getDueReminder(schedule, 0, local(2026, 5, 10, 21, 59).getTime())).toBe(today)
+    expect(getDueReminder(schedule, 0, local(2026, 5, 10, 22).getTime())).toBeNull()
+    expect(getDueReminder(schedule, 0, local(2026, 5, 11, 3).getTime())).toBeNull()
+  })
+
+  it('skips a missed reminder after the day rolled over', () => {
+    const noQuiet = buildReminderSchedule(NO_QUIET_HOURS, GRAMMAR, MM, local(2026, 5, 10, 9), 3)
+    expect(getDueReminder(noQuiet, 0, local(2026, 5, 10, 23, 59).getTime())).toBe(noQuiet[0])
+    expect(getDueReminder(noQuiet, 0, local(2026, 5, 11, 0, 1).getTime())).toBeNull()
+  })
+
+  it('shows entries scheduled before reminders expired', () => {
+    const entry = { id: 'reminder-old', at: local(2026, 5, 10, 20).getTime() }
+    expect(getDueReminder([entry], 0, local(2026, 5, 11, 9).getTime())).toBe(entry)
+  })
+})
+
+describe('time zones', () => {
+  it('schedules at the local time of the current time zone', () => {
+    const now = new Date(Date.UTC(2026, 4, 10, 0, 0))
+    const inYangon = buildReminderSchedule(ENABLED, GRAMMAR, MM, now, 1)[0]
+
+    process.env.TZ = 'Asia/Kathmandu'
+    const inKathmandu = buildReminderSchedule(ENABLED, GRAMMAR, MM, now, 1)[0]
+
+    // 20:00 at UTC+6:30 and UTC+5:45
+    expect(new Date(inYangon.at).toISOString()).toBe('2026-05-10T13:30:00.000Z')
+    expect(new Date(inKathmandu.at).toISOString()).toBe('2026-05-10T14:15:00.000Z')
+    expect(localTime(inKathmandu.at)).toBe('2026-5-10 20:00')
+  })
+
+  it('keeps the local time across daylight saving changes', () => {
+    process.env.TZ = 'America/New_York'
+    const schedule = buildReminderSchedule(ENABLED, GRAMMAR, MM, local(2026, 3, 7, 9), 3)
+
+    expect(schedule.map(entry => localTime(entry.at))).toEqual(['2026-3-7 20:00', '2026-3-8 20:00', '2026-3-9 20:00'])
+    expect(schedule[1].at - schedule[0].at).toBe(23 * HOUR)
+    expect(schedule[2].at - schedule[1].at).toBe(24 * HOUR)
+  })
+
+  it('uses the calendar day of the time zone for the grammar point of the day', () => {
+    const instant = new Date(Date.UTC(2026, 4, 10, 20, 0))
+    const inYangon = pickGrammarOfTheDay(GRAMMAR, 'all', instant)
+
+    process.env.TZ = 'America/New_York'
+    const inNewYork = pickGrammarOfTheDay(GRAMMAR, 'all', instant)
+
+    // 02:30 on the 11th in Yangon, 16:00 on the 10th in New York
+    expect(inYangon).toBe(pickGrammarOfTheDay(GRAMMAR, 'all', new Date(2026, 4, 11, 12)))
+    expect(inNewYork).not.toBe(inYangon)
+  })
+})
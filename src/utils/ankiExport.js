@@ -0,0 +1,237 @@
+// Build an Anki deck package (.apkg) from grammar points: one note per grammar point with the
+// pattern, meaning, usage, furigana examples and the example MP3s as media.
+// An .apkg is a zip of an Anki 2 collection (SQLite, schema 11), a "media" JSON map and the
+// media files named 0, 1, 2... sql.js and fflate are loaded on demand, only when exporting
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url'
+import { convertToRuby, getPatternText, getMeaning, getExampleTranslation } from './grammarText.js'
+
+// Fixed note type id, so exporting again updates the same note type in Anki
+const MODEL_ID = 1726000000001
+const MODEL_NAME = 'JLPT Bunpou Grammar'
+const FIELD_NAMES = ['Pattern', 'Meaning', 'Usage', 'Examples', 'Audio', 'Level']
+
+const FIELD_SEPARATOR = '\x1f'
+
+const SCHEMA_SQL = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor real not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`
+
+const CARD_CSS = `.card { font-family: "Noto Sans JP", "Noto Sans Myanmar", sans-serif; font-size: 20px; text-align: center; color: #2c3e50; background: white; }
+.pattern { font-size: 32px; font-weight: bold; }
+.level { color: #7f8c8d; font-size: 14px; }
+.meaning { font-size: 22px; margin: 12px 0; }
+.usage { font-family: monospace; background: #f4f6f7; padding: 6px; border-radius: 6px; }
+.examples { text-align: left; margin-top: 12px; }
+.examples .translation { color: #7f8c8d; font-size: 16px; }
+.nightMode .card, .card.nightMode { color: #e8e8e8; background: #1e1e1e; }`
+
+const FRONT_TEMPLATE = '<div class="pattern">{{Pattern}}</div><div class="level">{{Level}}</div>'
+const BACK_TEMPLATE = '{{FrontSide}}<hr id="answer"><div class="meaning">{{Meaning}}</div>'
+  + '{{#Usage}}<div class="usage">{{Usage}}</div>{{/Usage}}<div class="examples">{{Examples}}</div>{{Audio}}'
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const stripHtml = (html) => html.replace(/<[^>]*>/g, '')
+
+// Anki's duplicate check: first 8 hex digits of the SHA-1 of the sort field
+const checksum = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text))
+  const hex = Array.from(new Uint8Array(digest).slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('')
+  return parseInt(hex, 16)
+}
+
+// Media file name for an example recording inside the Anki collection
+export const getAnkiAudioName = (voice, grammarNo, exampleIndex) => `jlpt_bunpou_${voice}_${grammarNo}_${exampleIndex + 1}.mp3`
+
+// Field values of a grammar point's note; audioNames lists the media names of its examples (or null).
+// Meanings and example translations are in the given translation language
+export const buildNoteFields = (item, audioNames = [], language) => {
+  const examples = item.examples.map(example => {
+    const translation = getExampleTranslation(example, language)
+    return `<li><div class="ja">${convertToRuby(escapeHtml(example.furigana))}</div>`
+      + (translation ? `<div class="translation">${escapeHtml(translation)}</div>` : '')
+      + '</li>'
+  }).join('')
+
+  return [
+    escapeHtml(getPatternText(item)),
+    escapeHtml(getMeaning(item, language)),
+    escapeHtml(item.where_to_use),
+    examples ? `<ol>${examples}</ol>` : '',
+    audioNames.filter(Boolean).map(name => `[sound:${name}]`).join(''),
+    `N${item.n_level}`
+  ]
+}
+
+const buildCollectionJson = (deckId, deckName, now) => {
+  const seconds = Math.floor(now / 1000)
+
+  const model = {
+    id: MODEL_ID,
+    name: MODEL_NAME,
+    type: 0,
+    mod: seconds,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{ name: 'Grammar', ord: 0, qfmt: FRONT_TEMPLATE, afmt: BACK_TEMPLATE, did: null, bqfmt: '', bafmt: '' }],
+    flds: FIELD_NAMES.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0]]]
+  }
+
+  const deck = (id, name) => ({
+    id,
+    name,
+    mod: seconds,
+    usn: -1,
+    desc: '',
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+    extendNew: 10,
+    extendRev: 50
+  })
+
+  const deckConfig = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true }
+  }
+
+  const conf = {
+    nextPos: 1,
+    estTimes: true,
+    activeDecks: [1],
+    sortType: 'noteFld',
+    timeLim: 0,
+    sortBackwards: false,
+    addToCur: true,
+    curDeck: 1,
+    newBury: true,
+    newSpread: 0,
+    dueCounts: true,
+    curModel: String(MODEL_ID),
+    collapseTime: 1200
+  }
+
+  return {
+    conf: JSON.stringify(conf),
+    models: JSON.stringify({ [MODEL_ID]: model }),
+    decks: JSON.stringify({ 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) }),
+    dconf: JSON.stringify({ 1: deckConfig })
+  }
+}
+
+// Build the .apkg file. options:
+//   deckName, voice ('male'/'female', used in media names), voicePath ('/voices'),
+//   language (translation language), includeAudio, onProgress({ done, total }) while fetching audio, signal (AbortSignal)
+// Returns { data: Uint8Array, noteCount, audioCount, missingAudio }
+export const buildAnkiPackage = async (grammarPoints, options) => {
+  const { deckName, voice, voicePath, language, includeAudio = true, onProgress, signal } = options
+  const [{ default: initSqlJs }, { zipSync }] = await Promise.all([import('sql.js'), import('fflate')])
+
+  // Fetch the example recordings first (missing files are left out of the note)
+  const media = []
+  const audioNamesByNo = new Map()
+  let missingAudio = 0
+  if (includeAudio) {
+    const jobs = grammarPoints.flatMap(item => item.examples.map((example, index) => ({ item, example, index })))
+    let done = 0
+    for (const { item, example, index } of jobs) {
+      if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError')
+      const names = audioNamesByNo.get(item.no) || []
+      try {
+        const response = await fetch(`${voicePath}/${example.audio}`, { signal })
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        const name = getAnkiAudioName(voice, item.no, index)
+        media.push({ name, data: new Uint8Array(await response.arrayBuffer()) })
+        names.push(name)
+      } catch (error) {
+        if (error.name === 'AbortError') throw error
+        missingAudio++
+      }
+      audioNamesByNo.set(item.no, names)
+      done++
+      if (onProgress) onProgress({ done, total: jobs.length })
+    }
+  }
+
+  const SQL = await initSqlJs({ locateFile: () => sqlWasmUrl })
+  const db = new SQL.Database()
+  try {
+    db.run(SCHEMA_SQL)
+
+    const now = Date.now()
+    const seconds = Math.floor(now / 1000)
+    const deckId = now
+    const collection = buildCollectionJson(deckId, deckName, now)
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [seconds, now, now, collection.conf, collection.models, collection.decks, collection.dconf, '{}']
+    )
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')')
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')')
+    for (const [position, item] of grammarPoints.entries()) {
+      const fields = buildNoteFields(item, audioNamesByNo.get(item.no), language)
+      const sortField = stripHtml(fields[0])
+      const id = now + position
+      // Stable guid: importing a newer export updates the existing notes instead of duplicating them
+      insertNote.run([id, `jlpt-bunpou-${item.no}`, MODEL_ID, seconds, `JLPT_N${item.n_level}`, fields.join(FIELD_SEPARATOR), sortField, await checksum(sortField)])
+      insertCard.run([id, id, deckId, seconds, position + 1])
+    }
+    insertNote.free()
+    insertCard.free()
+
+    const files = {
+      'collection.anki2': db.export(),
+      media: new TextEncoder().encode(JSON.stringify(Object.fromEntries(media.map((file, index) => [index, file.name]))))
+    }
+    media.forEach((file, index) => {
+      // MP3s are already compressed
+      files[index] = [file.data, { level: 0 }]
+    })
+
+    return {
+      data: zipSync(files),
+      noteCount: grammarPoints.length,
+      audioCount: media.length,
+      missingAudio
+    }
+  } finally {
+    db.close()
+  }
+}
@@ -0,0 +1,124 @@
+// Check typed Japanese answers against an example sentence in furigana format.
+// Spacing, punctuation, full/half width and katakana/hiragana don't matter, romaji is
+// converted to kana, and each kanji word may be typed either as written or as its furigana
+// reading (日本(にほん) accepts 日本 or にほん)
+import { tokenizeFurigana } from './grammarText.js'
+import { normalizeJapanese, romajiToKana } from './japaneseSearch.js'
+
+// Punctuation, brackets and spaces that are ignored when comparing
+const IGNORED_CHARS = /[\s、。，．,.！？!?「」『』（）()［］[\]・…〜～~"'“”‘’]/g
+
+// Romaji in the answer is converted before anything else, so "taberu" checks like たべる
+const prepareAnswer = (text) => {
+  const folded = (text || '').normalize('NFKC').toLowerCase()
+  return /[a-z]/.test(folded) ? romajiToKana(folded) : folded
+}
+
+export const normalizeAnswer = (text) => normalizeJapanese(prepareAnswer(text)).replace(IGNORED_CHARS, '')
+
+// Characters with their comparison key; ignored characters are dropped
+const toUnits = (text) => Array.from(text)
+  .map(char => ({ display: char, key: normalizeAnswer(char) }))
+  .filter(unit => unit.key)
+
+// Ways of writing each token of the reference: as written, and its reading for kanji
+const getTokenVariants = (furigana) => tokenizeFurigana(furigana)
+  .map(token => [token.text, token.reading].filter(Boolean))
+  .filter(variants => normalizeAnswer(variants[0]))
+
+// Token-by-token match allowing written or reading form per token; returns the chosen
+// spellings when the whole answer matches, else null
+const matchTokens = (answer, tokens) => {
+  const memo = new Map()
+
+  const match = (tokenIndex, position) => {
+    if (tokenIndex === tokens.length) return position === answer.length ? [] : null
+    const memoKey = `${tokenIndex}:${position}`
+    if (memo.has(memoKey)) return memo.get(memoKey)
+
+    let result = null
+    for (const variant of tokens[tokenIndex]) {
+      const key = normalizeAnswer(variant)
+      if (answer.startsWith(key, position)) {
+        const rest = match(tokenIndex + 1, position + key.length)
+        if (rest) {
+          result = [variant, ...rest]
+          break
+        }
+      }
+    }
+    memo.set(memoKey, result)
+    return result
+  }
+
+  return match(0, 0)
+}
+
+// Character diff by longest common subsequence:
+// [{ type: 'same' | 'missing' | 'extra', text }], where missing text is in the reference only
+// and extra text in the answer only
+export const diffUnits = (answerUnits, referenceUnits) => {
+  const rows = answerUnits.length
+  const columns = referenceUnits.length
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0))
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i][j] = answerUnits[i].key === referenceUnits[j].key
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const segments = []
+  const push = (type, text) => {
+    const last = segments[segments.length - 1]
+    if (last && last.type === type) last.text += text
+    else segments.push({ type, text })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < rows && j < columns) {
+    if (answerUnits[i].key === referenceUnits[j].key) {
+      push('same', referenceUnits[j].display)
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('extra', answerUnits[i++].display)
+    } else {
+      push('missing', referenceUnits[j++].display)
+    }
+  }
+  while (i < rows) push('extra', answerUnits[i++].display)
+  while (j < columns) push('missing', referenceUnits[j++].display)
+
+  return segments
+}
+
+const countEdits = (segments) => segments
+  .filter(segment => segment.type !== 'same')
+  .reduce((sum, segment) => sum + Array.from(segment.text).length, 0)
+
+// Check an answer against a furigana reference; the diff is shown against the written
+// sentence or its reading, whichever is closer to what was typed
+export const checkAnswer = (answer, furigana) => {
+  const tokens = getTokenVariants(furigana)
+  const matched = matchTokens(normalizeAnswer(answer), tokens)
+  const answerUnits = toUnits(prepareAnswer(answer))
+
+  if (matched) {
+    const reference = matched.join('')
+    return { correct: true, reference, diff: [{ type: 'same', text: reference }] }
+  }
+
+  const candidates = [
+    tokens.map(variants => variants[0]).join(''),
+    tokens.map(variants => variants[variants.length - 1]).join('')
+  ].map(reference => ({ reference, diff: diffUnits(answerUnits, toUnits(reference)) }))
+
+  const closest = candidates.reduce((best, candidate) => (
+    countEdits(candidate.diff) < countEdits(best.diff) ? candidate : best
+  ))
+  return { correct: false, ...closest }
+}
@@ -0,0 +1,256 @@
+// Backup file formats for favorites, progress and notes:
+//   JSON - the favorites operation log and the user state document, merged on import like a sync
+//   CSV  - one row per grammar point with personal data, for spreadsheets (no timestamps)
+
+import { USER_STATE_VERSION, USER_STATE_SECTIONS } from '../services/userStateService.js'
+import { problem } from './userError.js'
+
+export const BACKUP_FORMAT = 'jlpt-bunpou-backup'
+export const BACKUP_FORMAT_VERSION = 1
+
+export const CSV_COLUMNS = [
+  'no',
+  'level',
+  'pattern',
+  'favorite',
+  'srs_due',
+  'srs_interval',
+  'srs_ease',
+  'srs_reps',
+  'srs_lapses',
+  'srs_last_grade',
+  'srs_last_reviewed',
+  'note',
+  'my_examples',
+  'tags',
+  'decks'
+]
+
+// Separator for list values inside one CSV cell
+export const CSV_LIST_SEPARATOR = ' | '
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+const isGrammarKey = (key) => /^[1-9]\d*$/.test(key)
+const isOptionalNumber = (value) => value === undefined || typeof value === 'number'
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+const isDayKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+const isCount = (value) => Number.isInteger(value) && value >= 0
+const isOptionalCount = (value) => value === undefined || isCount(value)
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+const isOptionalStringList = (value) => value === undefined || isStringList(value)
+const isGrammarList = (value) => Array.isArray(value) && value.every(no => Number.isInteger(no) && no > 0)
+
+// Preferences the app writes, with their value types
+const PREFERENCE_CHECKS = {
+  level: value => typeof value === 'string',
+  voice: value => typeof value === 'string',
+  flashcardMode: value => typeof value === 'boolean',
+  audio: isPlainObject,
+  uiLocale: value => typeof value === 'string',
+  translationLanguage: value => typeof value === 'string'
+}
+
+// Counters of study stats day and archive records (see statsService)
+const STATS_COUNTERS = ['view', 'flip', 'audio', 'quiz', 'quizCorrect', 'timeMs']
+const ARCHIVE_COUNTERS = ['studyDays', 'longestStreak', 'lastRun']
+
+const isStatsRecord = (value, counters) => isPlainObject(value)
+  && counters.every(counter => isOptionalCount(value[counter]))
+  && (value.seen === undefined || isGrammarList(value.seen))
+
+// Per section: whether a key is valid, and whether a (not deleted) value is valid for its key
+const SECTION_CHECKS = {
+  preferences: {
+    key: key => Object.hasOwn(PREFERENCE_CHECKS, key),
+    value: (value, key) => PREFERENCE_CHECKS[key](value)
+  },
+  progress: {
+    key: isGrammarKey,
+    value: (value, key) => isPlainObject(value)
+      && (value.no === undefined || value.no === Number(key))
+      && typeof value.ease === 'number'
+      && typeof value.interval === 'number' && value.interval >= 0
+      && isCount(value.reps)
+      && isCount(value.lapses)
+      && isDate(value.due)
+  },
+  notes: {
+    key: isGrammarKey,
+    value: value => isPlainObject(value)
+      && typeof value.text === 'string'
+      && isOptionalStringList(value.examples)
+      && isOptionalStringList(value.tags)
+      && isOptionalStringList(value.decks)
+  },
+  decks: {
+    key: key => key.length > 0 && key.length <= 100,
+    value: value => isPlainObject(value)
+      && typeof value.name === 'string' && value.name.trim().length > 0
+      && (value.createdAt === undefined || isDate(value.createdAt))
+  },
+  stats: {
+    key: key => /^(\d{4}-\d{2}-\d{2}|archive)\|.+$/.test(key),
+    value: (value, key) => (key.startsWith('archive|')
+      ? isStatsRecord(value, [...STATS_COUNTERS, ...ARCHIVE_COUNTERS])
+        && [value.lastDay, value.archivedThrough].every(day => day === undefined || day === null || isDayKey(day))
+      : isStatsRecord(value, STATS_COUNTERS))
+  }
+}
+
+export const buildJsonBackup = ({ favoritesOps, userState }, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  exportedAt: now.toISOString(),
+  favoritesOps,
+  userState
+})
+
+// Check a parsed JSON backup; returns a list of problems ({ key, params } for t(), empty when the
+// file can be imported). A plain array of grammar numbers (the old jlpt-favorites value) is accepted too
+export const validateJsonBackup = (data) => {
+  if (Array.isArray(data)) {
+    return data.every(no => Number.isInteger(no) && no > 0)
+      ? []
+      : [problem('backupErrors.favoritesList')]
+  }
+
+  const errors = []
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    return [problem('backupErrors.notBackup')]
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push(problem('backupErrors.newerFormat'))
+  }
+
+  if (data.favoritesOps !== undefined) {
+    if (!isPlainObject(data.favoritesOps)) {
+      errors.push(problem('backupErrors.notObject', { field: 'favoritesOps' }))
+    } else {
+      Object.entries(data.favoritesOps).forEach(([key, entry]) => {
+        if (!isGrammarKey(key) || !isPlainObject(entry) || !isOptionalNumber(entry.addedAt) || !isOptionalNumber(entry.removedAt)) {
+          errors.push(problem('backupErrors.invalidFavorite', { key }))
+        }
+      })
+    }
+  }
+
+  if (data.userState !== undefined) {
+    const state = data.userState
+    if (!isPlainObject(state)) {
+      errors.push(problem('backupErrors.notObject', { field: 'userState' }))
+    } else {
+      if (!Number.isInteger(state.version) || state.version > USER_STATE_VERSION) {
+        errors.push(problem('backupErrors.newerUserState'))
+      }
+      Object.keys(state)
+        .filter(key => key !== 'version' && !USER_STATE_SECTIONS.includes(key))
+        .forEach(key => errors.push(problem('backupErrors.unknownSection', { section: key })))
+      USER_STATE_SECTIONS.forEach(section => {
+        if (state[section] === undefined) return
+        if (!isPlainObject(state[section])) {
+          errors.push(problem('backupErrors.notObject', { field: `userState.${section}` }))
+          return
+        }
+        const checks = SECTION_CHECKS[section]
+        Object.entries(state[section]).forEach(([key, entry]) => {
+          if (!checks.key(key)) {
+            errors.push(problem('backupErrors.unknownKey', { section, key }))
+          } else if (!isPlainObject(entry) || !isDate(entry.updatedAt)) {
+            errors.push(problem('backupErrors.invalidEntry', { section, key }))
+          } else if (entry.deleted ? entry.deleted !== true : !checks.value(entry.value, key)) {
+            // Removed entries (deleted: true) keep no value
+            errors.push(problem('backupErrors.invalidValue', { section, key }))
+          }
+        })
+      })
+    }
+  }
+
+  // Report at most a handful of problems
+  return errors.slice(0, 10)
+}
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Serialize rows (objects keyed by CSV_COLUMNS) with a BOM so spreadsheet apps detect UTF-8
+export const toCsv = (rows) => {
+  const lines = [CSV_COLUMNS.join(',')]
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','))
+  })
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+// Parse CSV text (RFC 4180 quoting) into an array of string arrays
+export const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()))
+}
+
+// Parse and validate a CSV backup into row objects; returns { rows, errors } with errors like
+// validateJsonBackup
+export const parseCsvBackup = (text, knownGrammarNos) => {
+  const [header, ...body] = parseCsvRows(text)
+  if (!header || !header.map(column => column.trim()).includes('no')) {
+    return { rows: [], errors: [problem('backupErrors.csvHeader')] }
+  }
+
+  const errors = []
+  const rows = []
+  body.forEach((cells, index) => {
+    const row = Object.fromEntries(header.map((column, columnIndex) => [column.trim(), (cells[columnIndex] || '').trim()]))
+    const no = parseInt(row.no, 10)
+    const line = index + 2
+
+    if (!Number.isInteger(no) || !knownGrammarNos.has(no)) {
+      errors.push(problem('backupErrors.csvUnknownNo', { line, no: row.no }))
+      return
+    }
+    if (row.srs_due && Number.isNaN(Date.parse(row.srs_due))) {
+      errors.push(problem('backupErrors.csvDate', { line }))
+      return
+    }
+    rows.push({ ...row, no })
+  })
+
+  return { rows, errors: errors.slice(0, 10) }
+}
@@ -0,0 +1,103 @@
+// Classroom helpers: join codes, assignment grammar lists ("120-140, 150") and progress
+// summaries for the teacher dashboard
+
+// Filter value of an assignment in the level select: 'assignment:<classId>:<assignmentId>'
+export const ASSIGNMENT_FILTER_PREFIX = 'assignment:'
+
+export const MAX_ASSIGNMENTS = 50
+export const MAX_ASSIGNMENT_POINTS = 100
+export const MAX_JOINED_CLASSES = 20
+
+// No 0/O or 1/I, so codes can be read out in class
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+export const JOIN_CODE_LENGTH = 6
+
+export const generateJoinCode = () => {
+  const values = crypto.getRandomValues(new Uint32Array(JOIN_CODE_LENGTH))
+  return Array.from(values, value => JOIN_CODE_ALPHABET[value % JOIN_CODE_ALPHABET.length]).join('')
+}
+
+// Codes are typed loosely ("abc 234"); null if it can't be a code
+export const normalizeJoinCode = (input) => {
+  const code = String(input || '').toUpperCase().replace(/[\s-]/g, '')
+  return new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`).test(code) ? code : null
+}
+
+export const toAssignmentFilter = (classId, assignmentId) => `${ASSIGNMENT_FILTER_PREFIX}${classId}:${assignmentId}`
+
+// 'assignment:<classId>:<assignmentId>' -> { classId, assignmentId }, null for other filters
+export const parseAssignmentFilter = (value) => {
+  if (!String(value || '').startsWith(ASSIGNMENT_FILTER_PREFIX)) return null
+  const [classId, assignmentId] = value.slice(ASSIGNMENT_FILTER_PREFIX.length).split(':')
+  return classId && assignmentId ? { classId, assignmentId } : null
+}
+
+// "120-140, 150 152" -> { nos: [120, ..., 140, 150, 152], invalid: [...] }; numbers not in the
+// data and malformed parts are reported in invalid, duplicates are dropped
+export const parseGrammarNumbers = (input, knownNumbers) => {
+  const known = new Set(knownNumbers)
+  const nos = []
+  const invalid = []
+
+  String(input || '')
+    .split(/[\s,、]+/)
+    .filter(Boolean)
+    .forEach(part => {
+      const match = /^(\d+)(?:[-–〜~](\d+))?$/.exec(part)
+      if (!match) {
+        invalid.push(part)
+        return
+      }
+      const start = Number(match[1])
+      const end = match[2] ? Number(match[2]) : start
+      if (end < start || end - start >= MAX_ASSIGNMENT_POINTS) {
+        invalid.push(part)
+        return
+      }
+      for (let no = start; no <= end; no++) {
+        if (!known.has(no)) invalid.push(String(no))
+        else if (!nos.includes(no)) nos.push(no)
+      }
+    })
+
+  return { nos: nos.slice(0, MAX_ASSIGNMENT_POINTS), invalid }
+}
+
+// Short form of a grammar number list for display: [120, 121, 122, 150] -> "120–122, 150"
+export const formatGrammarNumbers = (nos) => {
+  const sorted = [...nos].sort((a, b) => a - b)
+  const ranges = []
+  sorted.forEach(no => {
+    const last = ranges[ranges.length - 1]
+    if (last && no === last[1] + 1) last[1] = no
+    else ranges.push([no, no])
+  })
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`)).join(', ')
+}
+
+// Local date 'YYYY-MM-DD' of an assignment due date is past
+export const isPastDue = (dueDate, now = new Date()) => {
+  if (!dueDate) return false
+  const [year, month, day] = dueDate.split('-').map(Number)
+  return now > new Date(year, month - 1, day, 23, 59, 59)
+}
+
+// Progress of one student on one assignment:
+// { studied, total, percent, quizCorrect, quizTotal, quizPercent }
+// progress is the member's entry for the assignment ({ studied: [nos], quiz: { no: [correct, total] } })
+export const summarizeProgress = (assignment, progress) => {
+  const nos = new Set(assignment.nos)
+  const studied = (progress?.studied || []).filter(no => nos.has(no)).length
+  const quizEntries = Object.entries(progress?.quiz || {}).filter(([no]) => nos.has(Number(no)))
+  const quizCorrect = quizEntries.reduce((sum, [, [correct]]) => sum + correct, 0)
+  const quizTotal = quizEntries.reduce((sum, [, [, total]]) => sum + total, 0)
+
+  return {
+    studied,
+    total: nos.size,
+    percent: nos.size > 0 ? Math.round((studied / nos.size) * 100) : 0,
+    quizCorrect,
+    quizTotal,
+    quizPercent: quizTotal > 0 ? Math.round((quizCorrect / quizTotal) * 100) : null
+  }
+}
@@ -0,0 +1,206 @@
+// Offline conjugation of Japanese verbs and adjectives for the sentence builder.
+// Words are given in dictionary form (な-adjectives without な); kanji and kana both work,
+// only the okurigana changes
+
+export const WORD_CLASSES = ['verb', 'i-adj', 'na-adj', 'noun']
+
+// Verb conjugation groups
+export const VERB_TYPES = ['godan', 'ichidan', 'suru', 'kuru']
+
+// Forms the builder can produce, with the names used in where_to_use
+export const FORM_LABELS = {
+  dictionary: '辞書形',
+  masu: 'ます形',
+  masuStem: 'ます形 (stem)',
+  te: 'て形',
+  ta: 'た形',
+  nai: 'ない形',
+  naiStem: 'ない形 (stem)',
+  nakatta: 'なかった形',
+  ba: 'ば形',
+  volitional: '意向形',
+  potential: '可能形',
+  teiru: 'ている形',
+  stem: '語幹'
+}
+
+// Plain (普通形) forms: non-past / past, affirmative / negative
+export const PLAIN_FORMS = ['dictionary', 'nai', 'ta', 'nakatta']
+
+// Godan ending -> [い段, あ段, え段, お段, て形]
+const GODAN_ROWS = {
+  'う': ['い', 'わ', 'え', 'お', 'って'],
+  'く': ['き', 'か', 'け', 'こ', 'いて'],
+  'ぐ': ['ぎ', 'が', 'げ', 'ご', 'いで'],
+  'す': ['し', 'さ', 'せ', 'そ', 'して'],
+  'つ': ['ち', 'た', 'て', 'と', 'って'],
+  'ぬ': ['に', 'な', 'ね', 'の', 'んで'],
+  'ぶ': ['び', 'ば', 'べ', 'ぼ', 'んで'],
+  'む': ['み', 'ま', 'め', 'も', 'んで'],
+  'る': ['り', 'ら', 'れ', 'ろ', 'って']
+}
+
+// る-verbs that look like ichidan verbs but conjugate as godan (kana spellings shared
+// with a common ichidan verb, like いる or きる, are left out)
+const GODAN_RU_VERBS = [
+  '帰る', '入る', 'はいる', '走る', 'はしる', '知る', 'しる', '切る', '要る', '限る', 'かぎる', '減る',
+  '喋る', 'しゃべる', '滑る', 'すべる', '握る', 'にぎる', '参る', 'まいる', '散る', 'ちる', '蹴る', 'ける',
+  '焦る', 'あせる', '照る', '茂る', 'しげる', '湿る', '混じる', 'まじる', '交じる', '練る', '陥る', 'おちいる',
+  '遮る', 'さえぎる', '覆る', 'くつがえる'
+]
+
+const startsWithKanji = (text) => /^[\u4e00-\u9faf]/.test(text)
+
+// Kanji spellings also match compounds (持ち帰る), kana ones only the whole word
+const matchesVerb = (word, verb) => word === verb || (startsWithKanji(verb) && word.endsWith(verb))
+
+// Kanji + る verbs that are ichidan (most kanji + る verbs are godan)
+const ICHIDAN_KANJI_RU_VERBS = ['出来る', '見る', '居る', '寝る', '着る', '似る', '煮る', '得る', '経る', '出る', '射る', '干る']
+
+// Honorific godan verbs whose ます stem ends in い
+const HONORIFIC_VERBS = ['くださる', '下さる', 'いらっしゃる', 'なさる', 'おっしゃる', '仰る', 'ござる']
+
+const I_ROW = 'いきぎしじちぢにひびぴみりゐ'
+const E_ROW = 'えけげせぜてでねへべぺめれゑ'
+
+// Guess the conjugation group of a verb in dictionary form (null if it isn't one)
+export const detectVerbType = (word) => {
+  if (!word) return null
+  // Kana くる only on its own or after て (持ってくる), not in つくる or おくる
+  if (/(来る|^くる|[てで]くる)$/.test(word) && word !== '出来る') return 'kuru'
+  if (word.endsWith('する')) return 'suru'
+
+  const ending = word.slice(-1)
+  if (!GODAN_ROWS[ending]) return null
+  if (ending !== 'る') return 'godan'
+
+  if (GODAN_RU_VERBS.some(verb => matchesVerb(word, verb))) return 'godan'
+  if (ICHIDAN_KANJI_RU_VERBS.some(verb => matchesVerb(word, verb))) return 'ichidan'
+
+  const beforeRu = word.slice(-2, -1)
+  return I_ROW.includes(beforeRu) || E_ROW.includes(beforeRu) ? 'ichidan' : 'godan'
+}
+
+// Guess the word class of a dictionary-form word; な-adjectives ending in い and
+// nouns can't be told apart from their spelling, so they default to noun / い-adj
+export const detectWordClass = (word) => {
+  if (!word) return 'noun'
+  if (detectVerbType(word) && word.length > 1) return 'verb'
+  if (word.endsWith('い')) return 'i-adj'
+  return 'noun'
+}
+
+const conjugateGodan = (word, form) => {
+  const stem = word.slice(0, -1)
+  const [i, a, e, o, te] = GODAN_ROWS[word.slice(-1)]
+  const isIku = /(行く|いく)$/.test(word)
+  // 問う and 請う keep their う: 問うて, 請うた
+  const isTou = /(問う|請う|乞う)$/.test(word) || word === 'とう' || word === 'こう'
+  const isAru = word === 'ある' || word === '有る'
+  const teForm = isTou ? word + 'て' : stem + (isIku ? 'って' : te)
+
+  switch (form) {
+    case 'masuStem': return stem + (HONORIFIC_VERBS.includes(word) ? 'い' : i)
+    case 'te': return teForm
+    case 'ta': return teForm.replace(/て$/, 'た').replace(/で$/, 'だ')
+    case 'nai': return isAru ? 'ない' : stem + a + 'ない'
+    case 'naiStem': return stem + a
+    case 'ba': return stem + e + 'ば'
+    case 'volitional': return stem + o + 'う'
+    case 'potential': return stem + e + 'る'
+    default: return null
+  }
+}
+
+const conjugateIchidan = (word, form) => {
+  const stem = word.slice(0, -1)
+  switch (form) {
+    case 'masuStem': return stem
+    case 'te': return stem + 'て'
+    case 'ta': return stem + 'た'
+    case 'nai': return stem + 'ない'
+    case 'naiStem': return stem
+    case 'ba': return stem + 'れば'
+    case 'volitional': return stem + 'よう'
+    case 'potential': return stem + 'られる'
+    default: return null
+  }
+}
+
+const conjugateSuru = (word, form) => {
+  const prefix = word.slice(0, -2)
+  const forms = {
+    masuStem: 'し', te: 'して', ta: 'した', nai: 'しない', naiStem: 'し',
+    ba: 'すれば', volitional: 'しよう', potential: 'できる'
+  }
+  return forms[form] ? prefix + forms[form] : null
+}
+
+const conjugateKuru = (word, form) => {
+  const isKanji = word.endsWith('来る')
+  const prefix = word.slice(0, -2)
+  const ki = isKanji ? '来' : 'き'
+  const ko = isKanji ? '来' : 'こ'
+  const ku = isKanji ? '来' : 'く'
+  const forms = {
+    masuStem: ki, te: ki + 'て', ta: ki + 'た', nai: ko + 'ない', naiStem: ko,
+    ba: ku + 'れば', volitional: ko + 'よう', potential: ko + 'られる'
+  }
+  return forms[form] ? prefix + forms[form] : null
+}
+
+const VERB_CONJUGATORS = {
+  godan: conjugateGodan,
+  ichidan: conjugateIchidan,
+  suru: conjugateSuru,
+  kuru: conjugateKuru
+}
+
+// Conjugate a verb; verbType defaults to detectVerbType(word). Returns null for unknown forms
+export const conjugateVerb = (word, form, verbType = detectVerbType(word)) => {
+  const conjugator = VERB_CONJUGATORS[verbType]
+  if (!conjugator) return null
+
+  switch (form) {
+    case 'dictionary': return word
+    case 'masu': return conjugator(word, 'masuStem') + 'ます'
+    case 'nakatta': return conjugator(word, 'nai').replace(/い$/, 'かった')
+    case 'teiru': return conjugator(word, 'te') + 'いる'
+    default: return conjugator(word, form)
+  }
+}
+
+// いい conjugates from よい
+const adjectiveStem = (word) => (/^(いい|良い|よい)$/.test(word) ? 'よ' : word.slice(0, -1))
+
+export const conjugateIAdjective = (word, form) => {
+  const stem = adjectiveStem(word)
+  const forms = {
+    dictionary: word, stem, nai: stem + 'くない', ta: stem + 'かった', nakatta: stem + 'くなかった',
+    te: stem + 'くて', ba: stem + 'ければ'
+  }
+  return forms[form] ?? null
+}
+
+// な-adjectives and nouns share the copula forms; dictionary is the bare word
+export const conjugateCopula = (word, form) => {
+  const forms = {
+    dictionary: word, stem: word, nai: word + 'ではない', ta: word + 'だった', nakatta: word + 'ではなかった',
+    te: word + 'で', ba: word + 'なら'
+  }
+  return forms[form] ?? null
+}
+
+export const conjugate = (word, wordClass, form, verbType) => {
+  if (wordClass === 'verb') return conjugateVerb(word, form, verbType)
+  if (wordClass === 'i-adj') return conjugateIAdjective(word, form)
+  return conjugateCopula(word, form)
+}
+
+// A few words per class to try in the builder
+export const SAMPLE_WORDS = {
+  verb: ['行く', '食べる', '読む', '待つ', '話す', '見る', '勉強する', '来る'],
+  'i-adj': ['高い', '楽しい', 'いい', '忙しい'],
+  'na-adj': ['静か', '便利', '好き', '大切'],
+  noun: ['学生', '雨', '先生', '子供']
+}
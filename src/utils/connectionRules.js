@@ -0,0 +1,196 @@
+// Parse the free-text where_to_use field into connection rules and build phrases from them.
+// A line like "V［普通形］/な-adj/Nounの + 限りだ" becomes
+//   { slots: [{ wordClass: 'verb', forms: ['plain'], attach: '' }, { wordClass: 'na-adj', ... },
+//             { wordClass: 'noun', forms: ['dictionary'], attach: 'の' }],
+//     patterns: ['限りだ'], continues: false, raw }
+// Lines that don't start with a word class (e.g. "(A Phrase) 。それでも + (B Phrase)") give no rule
+import { conjugate, detectVerbType, PLAIN_FORMS } from './conjugation.js'
+
+// Form names in the data -> conjugation forms
+const FORM_NAMES = {
+  '辞書形': 'dictionary',
+  'る': 'dictionary',
+  'ない形': 'nai',
+  'て形': 'te',
+  'た形': 'ta',
+  'タ形': 'ta',
+  'ます形': 'masuStem',
+  'ます': 'masuStem',
+  'ますဖြုတ်': 'masuStem',
+  'ば形': 'ba',
+  '意向形': 'volitional',
+  'いこう形': 'volitional',
+  '可能形': 'potential',
+  '普通形': 'plain',
+  'ている': 'teiru'
+}
+
+const OPEN_BRACKETS = '［[（('
+const CLOSE_BRACKETS = '］]）)'
+
+// Split on any of the separator characters outside brackets
+const splitOutsideBrackets = (text, separators) => {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of text) {
+    if (OPEN_BRACKETS.includes(char)) depth++
+    if (CLOSE_BRACKETS.includes(char)) depth = Math.max(0, depth - 1)
+    if (depth === 0 && separators.includes(char)) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  parts.push(current)
+  return parts.map(part => part.trim())
+}
+
+// Optional parts like "ながら(も)" are kept, only the brackets and spaces go
+const cleanKana = (text) => text.replace(/[（()）〜~～\s+]/g, '')
+
+const SLOT_PATTERNS = [
+  { wordClass: 'verb', pattern: /^V\s*\d?\s*(?:-る)?/ },
+  { wordClass: 'i-adj', pattern: /^い\s*-?\s*adj\s*-?/i },
+  { wordClass: 'na-adj', pattern: /^な\s*-?\s*adj\s*-?/i },
+  { wordClass: 'noun', pattern: /^Noun\s*\d?/i }
+]
+
+// Form names from a bracket right after the word class, e.g. "［辞書形/ ない形］" or "(ますဖြုတ်)"
+const parseForms = (bracket) => bracket
+  .split(/[/、,]/)
+  .map(name => FORM_NAMES[name.trim()])
+  .filter(Boolean)
+
+// One word-class piece of the left-hand side, e.g. "V［普通形］", "Nounの", "い-adj (-い)"
+const parseSlot = (piece) => {
+  const match = SLOT_PATTERNS.find(({ pattern }) => pattern.test(piece))
+  if (!match) return null
+
+  let rest = piece.replace(match.pattern, '').trim()
+  let forms = []
+
+  const bracket = rest.match(/^[［[（(]([^］\]）)]*)[］\]）)]/)
+  if (bracket) {
+    forms = parseForms(bracket[1])
+    // "Noun［人］" describes the noun; "い-adj (-い)" means the stem
+    if (forms.length > 0 || (match.wordClass === 'noun' && /^[［[]/.test(bracket[0])) || /^-い$/.test(bracket[1].trim())) {
+      if (/^-い$/.test(bracket[1].trim())) forms = ['stem']
+      rest = rest.slice(bracket[0].length)
+    }
+  }
+  if (match.wordClass === 'verb' && /-る/.test(piece) && forms.length === 0) forms = ['dictionary']
+
+  return {
+    wordClass: match.wordClass,
+    forms,
+    attach: cleanKana(rest.replace(/conditional/i, '').replace(/^-/, ''))
+  }
+}
+
+// All combinations of the "/" alternatives in each segment, e.g. "ん/の" + "ではあるまいし"
+const MAX_PATTERN_ALTERNATIVES = 6
+const expandAlternatives = (segments) => segments
+  .reduce((combinations, segment) => {
+    const alternatives = segment.split('/').map(cleanKana).filter(Boolean)
+    if (alternatives.length === 0) return combinations
+    return combinations.flatMap(prefix => alternatives.map(alternative => prefix + alternative))
+  }, [''])
+  .filter(Boolean)
+  .slice(0, MAX_PATTERN_ALTERNATIVES)
+
+// Segments that are another word slot ("Noun", "V2［辞書形］", "(B Phrase)") end the pattern
+const isSlotSegment = (segment) => /^(V\s*\d|V［|Noun|adj|い\s*-?\s*adj|な\s*-?\s*adj|\(?[AB]\s*Phrase)/i.test(segment.trim())
+
+// Parse one line; fallbackPattern is used when the line only lists word classes
+export const parseConnectionLine = (line, fallbackPattern = '') => {
+  const normalized = line.replace(/＋/g, '+').replace(/　/g, ' ').replace(/（文中）/g, '').trim()
+  const [left, ...rightSegments] = splitOutsideBrackets(normalized, ['+'])
+
+  const slots = splitOutsideBrackets(left, ['/', '／', '、']).map(parseSlot)
+  if (slots.length === 0 || slots.some(slot => slot === null)) return null
+
+  const slotIndex = rightSegments.findIndex(isSlotSegment)
+  const patternSegments = slotIndex === -1 ? rightSegments : rightSegments.slice(0, slotIndex)
+  let patterns = expandAlternatives(patternSegments)
+  if (patterns.length === 0) {
+    // "V1（ます）つ + V2（ます）つ": the pattern is in the attached part; "V/Noun": use the grammar point's
+    patterns = slotIndex === 0 ? [''] : [cleanKana(fallbackPattern)].filter(Boolean)
+  }
+  if (patterns.length === 0) return null
+
+  return { slots, patterns, continues: slotIndex !== -1, raw: line.trim() }
+}
+
+// Grammar point pattern without the 〜 marker, used for lines without "+ pattern"
+const getFallbackPattern = (item) => (item.kanji || item.kana || '').split(/[/／\n]/)[0]
+
+// Connection rules of a grammar point (one per parseable where_to_use line)
+export const parseConnectionRules = (item) => (item.where_to_use || '')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => parseConnectionLine(line, getFallbackPattern(item)))
+  .filter(Boolean)
+
+// Patterns after which the copula appears as だ (静かだからこそ) or as な (静かなわけだ)
+const DA_BEFORE = /^(からこそ|からといって|からには|けれど|けど|とした|とすれ|といえども|とはいえ)/
+const NA_BEFORE = /^(の|こと|もの|わけ|はず|よう|ところ|ため|うち|限り|せい|おかげ|反面|一方|くせ|だけ|どころ)/
+
+// Forms of a slot to show for a pattern; ない forms before ず/ざる/ん/ね use the stem
+// (行かずに), and "ないまでも" / "てやまない" repeat the form's ending, which is merged
+const resolveForms = (slot, pattern) => {
+  if (slot.wordClass !== 'verb') return slot.forms.length > 0 ? slot.forms : ['dictionary']
+
+  let forms = slot.forms.length > 0 ? slot.forms : []
+  if (forms.length === 0) {
+    if (/^[てで]/.test(pattern)) forms = ['te']
+    else if (/^[ただ]/.test(pattern)) forms = ['ta']
+    else forms = ['plain']
+  }
+  return forms.flatMap(form => {
+    if (form === 'plain') return PLAIN_FORMS
+    if (form === 'nai' && /^[ずざんね]/.test(pattern)) return ['naiStem']
+    return [form]
+  })
+}
+
+// Join a conjugated word and the pattern, merging an ending the pattern repeats
+const joinPattern = (conjugated, form, pattern) => {
+  if ((form === 'te' && /[てで]$/.test(conjugated) && pattern.startsWith('て'))
+    || (form === 'ta' && /[ただ]$/.test(conjugated) && pattern.startsWith('た'))
+    || (form === 'ba' && conjugated.endsWith('ば') && pattern.startsWith('ば'))) {
+    return { word: conjugated, pattern: pattern.slice(1) }
+  }
+  if (form === 'nai' && conjugated.endsWith('ない') && pattern.startsWith('ない')) {
+    return { word: conjugated, pattern: pattern.slice(2) }
+  }
+  return { word: conjugated, pattern }
+}
+
+// Phrases for a word in one slot of a rule: [{ form, word, pattern, text }]
+// word is the conjugated word with anything attached (particles, な, である)
+export const buildPhrases = (slot, pattern, word, verbType = detectVerbType(word)) => {
+  if (!word) return []
+
+  return resolveForms(slot, pattern)
+    .map(form => {
+      let conjugated = conjugate(word, slot.wordClass, form, verbType)
+      if (!conjugated) return null
+
+      // する before ず: せずに, not しずに
+      if (form === 'naiStem' && slot.wordClass === 'verb' && verbType === 'suru') {
+        conjugated = conjugated.replace(/し$/, 'せ')
+      }
+
+      let attach = slot.attach
+      if (!attach && form === 'dictionary' && (slot.wordClass === 'na-adj' || slot.wordClass === 'noun')) {
+        if (DA_BEFORE.test(pattern)) attach = 'だ'
+        else if (slot.wordClass === 'na-adj' && NA_BEFORE.test(pattern)) attach = 'な'
+      }
+
+      const joined = joinPattern(conjugated + attach, form, pattern)
+      return { form, ...joined, text: joined.word + joined.pattern }
+    })
+    .filter(Boolean)
+}
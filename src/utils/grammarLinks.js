@@ -0,0 +1,44 @@
+// Links between grammar points from data/grammar-links.json: "related" points are worth
+// studying together, "contrast" points are often confused with each other and "samePattern"
+// points are the same pattern taught at another level. Each linked point carries the other
+// points' numbers in item.related / item.contrast / item.samePattern
+
+export const MAX_COMPARE_POINTS = 4
+
+export const getRelatedNos = (item) => item?.related || []
+
+export const getContrastNos = (item) => item?.contrast || []
+
+export const getSamePatternNos = (item) => item?.samePattern || []
+
+export const hasLinks = (item) => getRelatedNos(item).length > 0 || getContrastNos(item).length > 0
+  || getSamePatternNos(item).length > 0
+
+// Grammar numbers to grammar points, skipping numbers missing from the loaded data
+export const resolvePoints = (nos, grammarByNo) => nos.map(no => grammarByNo.get(no)).filter(Boolean)
+
+// The point and the ones it is confused with, capped for the comparison view
+export const getCompareSet = (item) => [item.no, ...getContrastNos(item)].slice(0, MAX_COMPARE_POINTS)
+
+// Move each point's contrast partners in the list up to sit right after it, so
+// confusable points are studied back to back; other points keep their order
+export const groupConfusables = (items) => {
+  const byNo = new Map(items.map(item => [item.no, item]))
+  const placed = new Set()
+  const grouped = []
+
+  items.forEach(item => {
+    if (placed.has(item.no)) return
+    placed.add(item.no)
+    grouped.push(item)
+
+    getContrastNos(item).forEach(no => {
+      if (byNo.has(no) && !placed.has(no)) {
+        placed.add(no)
+        grouped.push(byNo.get(no))
+      }
+    })
+  })
+
+  return grouped
+}
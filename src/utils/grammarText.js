@@ -0,0 +1,121 @@
+// Helpers for the grammar data text format: kanji(hiragana) furigana and
+// examples written as "Japanese。 Myanmar။" pairs inside the raw tmp_example field
+
+// [一-龯々] matches kanji characters including 々 (repetition mark)
+// [ぁ-ゟ] matches hiragana characters
+const KANJI_HIRAGANA_PATTERN = /([一-龯々]+)\(([ぁ-ゟ]+)\)/g
+
+// Convert kanji(hiragana) format to ruby text (furigana)
+export const convertToRuby = (text) => {
+  if (!text) return text
+  return text.replace(KANJI_HIRAGANA_PATTERN, '<ruby>$1<rt>$2</rt></ruby>')
+}
+
+// Split furigana text into units: { text, reading } for kanji with furigana, { text } for any other character
+export const tokenizeFurigana = (text) => {
+  const tokens = []
+  if (!text) return tokens
+
+  let lastIndex = 0
+  for (const match of text.matchAll(KANJI_HIRAGANA_PATTERN)) {
+    for (const char of text.slice(lastIndex, match.index)) {
+      tokens.push({ text: char })
+    }
+    tokens.push({ text: match[1], reading: match[2] })
+    lastIndex = match.index + match[0].length
+  }
+  for (const char of text.slice(lastIndex)) {
+    tokens.push({ text: char })
+  }
+
+  return tokens
+}
+
+// Remove furigana (text in parentheses) from Japanese text
+export const removeFurigana = (text) => {
+  if (!text) return ''
+  return text.replace(/\([^)]*\)/g, '')
+}
+
+// Replace kanji that have furigana with their reading
+export const toReading = (text) => {
+  return tokenizeFurigana(text).map(token => token.reading || token.text).join('')
+}
+
+const MYANMAR_CHAR = /[\u1000-\u109F]/
+// Kana, kanji, Japanese and full-width punctuation (the ideographic space U+3000 is excluded)
+const JAPANESE_CHAR = /[\u3001-\u30FF\u4E00-\u9FFF\uFF01-\uFF5E]/
+const TRAILING_CLOSERS = /[!?)」』"]/
+export const SENTENCE_TERMINATOR = /[。！？!?」』]$/
+
+// Split one example into its Japanese sentence (with furigana) and Myanmar translation.
+// The translation may start with "(", quotes or Latin words, so the Japanese part ends at the
+// last Japanese character before the first Myanmar character
+export const splitExampleText = (exampleText) => {
+  const text = exampleText.trim()
+  const myanmarStart = text.search(MYANMAR_CHAR)
+  const searchEnd = myanmarStart === -1 ? text.length : myanmarStart
+
+  let end = 0
+  for (let i = searchEnd - 1; i >= 0; i--) {
+    if (JAPANESE_CHAR.test(text[i])) {
+      end = i + 1
+      break
+    }
+  }
+  while (end < text.length && TRAILING_CLOSERS.test(text[end])) {
+    end++
+  }
+
+  return {
+    furigana: text.slice(0, end).trim(),
+    mm: text.slice(end).trim()
+  }
+}
+
+// Split raw tmp_example text into examples; each ends with the Myanmar period "။"
+export const splitExampleList = (exampleText) => {
+  if (!exampleText) return []
+  return exampleText
+    .split('။')
+    .map(example => example.trim())
+    .filter(example => example.length > 0)
+    .map(splitExampleText)
+}
+
+// Display form of a grammar pattern
+export const getPatternText = (item) => item.kanji || item.kana || ''
+
+// Shape version of the structured data file written by scripts/build-grammar-data.js
+// (2: meaning and example translations are { [language]: text } maps)
+export const GRAMMAR_DATA_SCHEMA_VERSION = 2
+
+// Every grammar point has a Myanmar translation; other languages fall back to it
+export const DEFAULT_TRANSLATION_LANGUAGE = 'mm'
+
+// Text of a { [language]: text } translation map in the given language, or the Myanmar text
+export const getTranslation = (translations, language = DEFAULT_TRANSLATION_LANGUAGE) => {
+  if (!translations) return ''
+  return translations[language] || translations[DEFAULT_TRANSLATION_LANGUAGE] || ''
+}
+
+// True when the language has no text of its own and the Myanmar text is shown instead
+export const isTranslationFallback = (translations, language) => (
+  language !== DEFAULT_TRANSLATION_LANGUAGE && !!translations && !translations[language]
+)
+
+export const getMeaning = (item, language) => getTranslation(item.meaning, language)
+
+export const getExampleTranslation = (example, language) => getTranslation(example.translation, language)
+
+// Translation languages present in the grammar data, Myanmar first
+export const getTranslationLanguages = (grammarData) => {
+  const languages = new Set([DEFAULT_TRANSLATION_LANGUAGE])
+  grammarData.forEach(item => {
+    Object.keys(item.meaning || {}).forEach(language => languages.add(language))
+    item.examples.forEach(example => {
+      Object.keys(example.translation || {}).forEach(language => languages.add(language))
+    })
+  })
+  return [...languages]
+}
@@ -0,0 +1,285 @@
+// Search index for grammar points that understands Japanese input:
+// romaji is converted to kana, katakana is folded into hiragana, furigana is stripped from
+// example sentences (their reading is indexed too) and the 〜 prefix of patterns is ignored.
+// Kanji patterns have no kana in the data, so their reading is taken from the examples' furigana
+
+import { removeFurigana, tokenizeFurigana, getMeaning, getExampleTranslation } from './grammarText.js'
+
+// Field weights: a pattern hit outranks a meaning hit, which outranks an example hit
+const FIELD_WEIGHTS = {
+  kanji: 100,
+  kana: 100,
+  patternReading: 90,
+  meaning: 40,
+  where_to_use: 25,
+  example: 15,
+  exampleReading: 12,
+  exampleTranslation: 8
+}
+
+// Multipliers for where the query matches inside a field
+const MATCH_QUALITY = {
+  exact: 3,
+  prefix: 2,
+  contains: 1
+}
+
+const IGNORED_CHARS = /[〜～~]/
+
+const ROMAJI_TABLE = {
+  a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+  ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+  ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+  sa: 'さ', si: 'し', shi: 'し', su: 'す', se: 'せ', so: 'そ',
+  za: 'ざ', zi: 'じ', ji: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+  ta: 'た', ti: 'ち', chi: 'ち', tu: 'つ', tsu: 'つ', te: 'て', to: 'と',
+  da: 'だ', di: 'ぢ', du: 'づ', dzu: 'づ', de: 'で', do: 'ど',
+  na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+  ha: 'は', hi: 'ひ', hu: 'ふ', fu: 'ふ', he: 'へ', ho: 'ほ',
+  ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+  pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+  ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+  ya: 'や', yu: 'ゆ', yo: 'よ',
+  ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+  la: 'ら', li: 'り', lu: 'る', le: 'れ', lo: 'ろ',
+  wa: 'わ', wi: 'うぃ', we: 'うぇ', wo: 'を',
+  "n'": 'ん',
+  kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+  gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+  sha: 'しゃ', shu: 'しゅ', she: 'しぇ', sho: 'しょ',
+  sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+  ja: 'じゃ', ju: 'じゅ', je: 'じぇ', jo: 'じょ',
+  jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+  zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+  cha: 'ちゃ', chu: 'ちゅ', che: 'ちぇ', cho: 'ちょ',
+  tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+  nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+  hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+  bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+  pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+  mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+  rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+  fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+  '-': 'ー'
+}
+const MAX_ROMAJI_LENGTH = 3
+const CONSONANTS = /^[bcdfghjklmpqrstvwxyz]$/
+
+// Convert romaji (Hepburn or kunrei) to hiragana; anything that is not romaji is kept as is
+export const romajiToKana = (text) => {
+  const input = text.toLowerCase()
+  let result = ''
+  let i = 0
+
+  while (i < input.length) {
+    const char = input[i]
+    const nextChar = input[i + 1]
+
+    // Doubled consonant: small tsu ("kitte" -> きって)
+    if (CONSONANTS.test(char) && char === nextChar && char !== 'n') {
+      result += 'っ'
+      i++
+      continue
+    }
+    // "nn": ん, keeping the second n when a vowel follows ("onna" -> おんな)
+    if (char === 'n' && nextChar === 'n') {
+      result += 'ん'
+      i += /[aiueoy]/.test(input[i + 2] || '') ? 1 : 2
+      continue
+    }
+    // "tch" as in "matcha" -> まっちゃ
+    if (char === 't' && input.startsWith('ch', i + 1)) {
+      result += 'っ'
+      i++
+      continue
+    }
+
+    let matched = false
+    for (let length = MAX_ROMAJI_LENGTH; length > 0; length--) {
+      const chunk = input.slice(i, i + length)
+      if (ROMAJI_TABLE[chunk]) {
+        result += ROMAJI_TABLE[chunk]
+        i += length
+        matched = true
+        break
+      }
+    }
+    if (matched) continue
+
+    // "n" before a consonant or at the end -> ん
+    if (char === 'n' && (nextChar === undefined || CONSONANTS.test(nextChar))) {
+      result += 'ん'
+    } else {
+      result += char
+    }
+    i++
+  }
+
+  return result
+}
+
+// Whether text still contains Latin letters (i.e. romaji that did not fully convert)
+const hasLatin = (text) => /[a-z]/.test(text)
+
+const toHiraganaChar = (char) => {
+  const code = char.charCodeAt(0)
+  // Katakana ァ (U+30A1) to ヶ (U+30F6) map onto hiragana 0x60 code points lower
+  return code >= 0x30A1 && code <= 0x30F6 ? String.fromCharCode(code - 0x60) : char
+}
+
+// Normalize text for matching and keep, for every normalized character, the index of the
+// original character it came from (used to highlight matches in the original text)
+export const normalizeWithMap = (text) => {
+  let normalized = ''
+  const map = []
+
+  let offset = 0
+  for (const originalChar of Array.from(text || '')) {
+    if (!IGNORED_CHARS.test(originalChar)) {
+      const folded = Array.from(originalChar.normalize('NFKC').toLowerCase()).map(toHiraganaChar).join('')
+      for (let i = 0; i < folded.length; i++) {
+        map.push(offset)
+      }
+      normalized += folded
+    }
+    offset += originalChar.length
+  }
+
+  return { normalized, map }
+}
+
+export const normalizeJapanese = (text) => normalizeWithMap(text).normalized
+
+// Normalized forms of a query: as typed, and converted from romaji when it contains Latin letters
+export const getQueryVariants = (query) => {
+  const normalized = normalizeJapanese(query.trim())
+  if (!normalized) return []
+
+  const variants = [normalized]
+  if (hasLatin(normalized)) {
+    const kana = romajiToKana(normalized)
+    if (kana !== normalized && !hasLatin(kana)) {
+      variants.push(kana)
+    }
+  }
+  return variants
+}
+
+const createField = (name, text, extra = {}) => {
+  const { normalized, map } = normalizeWithMap(text)
+  return { name, weight: FIELD_WEIGHTS[name], original: text, normalized, map, ...extra }
+}
+
+// Reading of a kanji pattern using the furigana of its examples ("〜限りだ" -> "かぎりだ"),
+// as a field whose map points back into the kanji text so reading hits highlight the pattern
+const createPatternReadingField = (item) => {
+  if (!item.kanji) return null
+
+  const readings = new Map()
+  item.examples.forEach(example => {
+    tokenizeFurigana(example.furigana)
+      .filter(token => token.reading)
+      .forEach(token => readings.set(token.text, token.reading))
+  })
+  if (readings.size === 0) return null
+
+  const kanjiField = createField('kanji', item.kanji)
+  const original = kanjiField.normalized
+  let normalized = ''
+  const map = []
+  let i = 0
+  while (i < original.length) {
+    // Longest kanji word starting here that has a known reading
+    let length = original.length - i
+    while (length > 0 && !readings.has(original.slice(i, i + length))) length--
+
+    const text = length > 0 ? normalizeJapanese(readings.get(original.slice(i, i + length))) : original[i]
+    for (let j = 0; j < text.length; j++) {
+      map.push(kanjiField.map[i])
+    }
+    normalized += text
+    i += Math.max(length, 1)
+  }
+
+  if (normalized === original) return null
+  return { name: 'patternReading', weight: FIELD_WEIGHTS.patternReading, original: item.kanji, normalized, map }
+}
+
+// Build the index once per data load and translation language (meanings and example
+// translations are indexed in the language shown); each entry keeps precomputed normalized fields
+export const buildSearchIndex = (grammarData, language) => grammarData.map(item => {
+  const fields = [
+    createField('kanji', item.kanji),
+    createField('kana', item.kana),
+    createPatternReadingField(item),
+    createField('meaning', getMeaning(item, language)),
+    createField('where_to_use', item.where_to_use)
+  ]
+
+  item.examples.forEach((example, exampleIndex) => {
+    fields.push(createField('example', example.ja || removeFurigana(example.furigana), { exampleIndex }))
+    fields.push(createField('exampleReading', example.reading, { exampleIndex }))
+    fields.push(createField('exampleTranslation', getExampleTranslation(example, language), { exampleIndex }))
+  })
+
+  return { item, fields: fields.filter(field => field && field.normalized) }
+})
+
+// Range [start, end) of a normalized match in the field's original text
+const toOriginalRange = (field, index, length) => {
+  const start = field.map[index]
+  const lastIndex = field.map[index + length - 1]
+  const lastChar = Array.from(field.original.slice(lastIndex))[0] || ''
+  return [start, lastIndex + lastChar.length]
+}
+
+const matchField = (field, variants) => {
+  let best = null
+  for (const variant of variants) {
+    const index = field.normalized.indexOf(variant)
+    if (index === -1) continue
+
+    let quality = MATCH_QUALITY.contains
+    if (field.normalized === variant) quality = MATCH_QUALITY.exact
+    else if (index === 0) quality = MATCH_QUALITY.prefix
+
+    const score = field.weight * quality
+    if (!best || score > best.score) {
+      best = { score, range: toOriginalRange(field, index, variant.length) }
+    }
+  }
+  return best
+}
+
+// Search the index. Returns [{ item, score, highlights }] best match first (ties keep index order);
+// highlights maps kanji/kana/meaning/where_to_use to a range and examples to { [index]: range }
+export const searchIndex = (index, query) => {
+  const variants = getQueryVariants(query)
+  if (variants.length === 0) return []
+
+  const results = []
+  index.forEach((entry, position) => {
+    let score = 0
+    const highlights = { examples: {} }
+
+    entry.fields.forEach(field => {
+      const match = matchField(field, variants)
+      if (!match) return
+
+      score = Math.max(score, match.score)
+      if (field.name === 'example') {
+        highlights.examples[field.exampleIndex] = match.range
+      } else if (field.name === 'patternReading') {
+        highlights.kanji = highlights.kanji || match.range
+      } else if (field.exampleIndex === undefined) {
+        highlights[field.name] = match.range
+      }
+    })
+
+    if (score > 0) {
+      results.push({ item: entry.item, score, highlights, position })
+    }
+  })
+
+  return results.sort((a, b) => b.score - a.score || a.position - b.position)
+}
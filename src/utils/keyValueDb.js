@@ -0,0 +1,67 @@
+// Minimal promise wrapper around an IndexedDB database with key-value object stores.
+// Used for data too large for localStorage (e.g. the grammar data) and for data the service
+// worker reads (the reminder schedule, see src/sw/reminder-sw.js). The local sync backend keeps
+// its user documents here too
+
+const DB_NAME = 'jlpt-bunpou'
+const DB_VERSION = 3
+// Object stores created on upgrade; add a name here and bump DB_VERSION for a new store
+const STORES = ['grammar-data', 'reminders', 'sync-users']
+
+let dbPromise = null
+
+export const isIndexedDbSupported = () => typeof indexedDB !== 'undefined'
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        STORES.forEach(store => {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store)
+          }
+        })
+      }
+      request.onsuccess = () => {
+        // Let a newer version in another tab upgrade the database
+        request.result.onversionchange = () => {
+          request.result.close()
+          dbPromise = null
+        }
+        resolve(request.result)
+      }
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+    }).catch(error => {
+      // Allow a retry on the next call
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Read one value (undefined if missing)
+export const dbGet = async (store, key) => {
+  const db = await openDb()
+  return requestToPromise(db.transaction(store, 'readonly').objectStore(store).get(key))
+}
+
+// Write several values in one transaction, so readers never see half an update
+export const dbPutAll = async (store, entries) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, 'readwrite')
+    const objectStore = transaction.objectStore(store)
+    Object.entries(entries).forEach(([key, value]) => objectStore.put(value, key))
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'))
+  })
+}
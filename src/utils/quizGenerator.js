@@ -0,0 +1,247 @@
+// Build quiz questions from the grammar data: cloze (blank out the pattern in an
+// example sentence) and meaning matching (meaning <-> pattern) in the chosen translation language,
+// plus typing exercises that ask for the Japanese of a translated example
+import {
+  convertToRuby,
+  getPatternText,
+  tokenizeFurigana,
+  getMeaning,
+  getExampleTranslation,
+  isTranslationFallback,
+  DEFAULT_TRANSLATION_LANGUAGE
+} from './grammarText.js'
+
+export const QUIZ_TYPES = ['cloze', 'meaning', 'pattern']
+
+const OPTION_COUNT = 4
+const MIN_FRAGMENT_LENGTH = 2
+
+const shuffle = (array) => {
+  const shuffled = [...array]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+// Strings that may appear in an example sentence for a grammar pattern, longest first
+// e.g. "〜（で）すら" -> ["ですら", "すら"], "〜限りだ" -> ["限りだ"]
+export const getPatternCandidates = (item) => {
+  const candidates = new Set()
+
+  ;[item.kanji, item.kana].filter(Boolean).forEach(pattern => {
+    pattern.split(/[/／・,、]/).forEach(part => {
+      const base = part.replace(/[〜~～\s]/g, '').replace(/\+/g, '')
+      const withOptional = base.replace(/[（(]([^）)]*)[）)]/g, '$1')
+      const withoutOptional = base.replace(/[（(][^）)]*[）)]/g, '')
+      ;[withOptional, withoutOptional].forEach(candidate => {
+        if (candidate.length >= MIN_FRAGMENT_LENGTH || (candidate.length > 0 && candidate === withOptional)) {
+          candidates.add(candidate)
+        }
+      })
+    })
+  })
+
+  return [...candidates].sort((a, b) => b.length - a.length)
+}
+
+// Find the pattern in a sentence (furigana removed); conjugated endings are matched by
+// trimming the candidate from the end, e.g. "限りだ" still finds "限りです"
+export const findPatternRange = (cleanSentence, candidates) => {
+  for (const candidate of candidates) {
+    const index = cleanSentence.indexOf(candidate)
+    if (index !== -1) return { start: index, end: index + candidate.length }
+  }
+
+  for (const candidate of candidates) {
+    for (let length = candidate.length - 1; length >= MIN_FRAGMENT_LENGTH; length--) {
+      const index = cleanSentence.indexOf(candidate.slice(0, length))
+      if (index !== -1) return { start: index, end: index + length }
+    }
+  }
+
+  return null
+}
+
+const tokenToRaw = (token) => token.reading ? `${token.text}(${token.reading})` : token.text
+
+// Split a furigana sentence around a range of its furigana-free text
+// Kanji groups are never cut in half, so their furigana stays attached
+export const splitSentenceAtRange = (japanese, range) => {
+  const before = []
+  const match = []
+  const after = []
+  let position = 0
+
+  tokenizeFurigana(japanese).forEach(token => {
+    const start = position
+    const end = position + token.text.length
+    position = end
+
+    if (end <= range.start) before.push(tokenToRaw(token))
+    else if (start >= range.end) after.push(tokenToRaw(token))
+    else match.push(tokenToRaw(token))
+  })
+
+  return { before: before.join(''), match: match.join(''), after: after.join('') }
+}
+
+// Pick distractor grammar points, preferring the given grammar numbers (e.g. the
+// points this one is often confused with), then the same JLPT level
+export const pickDistractors = (item, allGrammar, getText, count = OPTION_COUNT - 1, preferredNos = []) => {
+  const correctText = getText(item)
+  const seen = new Set([correctText])
+  const distractors = []
+
+  const preferred = allGrammar.filter(other => preferredNos.includes(other.no))
+  const rest = allGrammar.filter(other => !preferredNos.includes(other.no))
+  const sameLevel = rest.filter(other => other.n_level === item.n_level)
+  const otherLevels = rest.filter(other => other.n_level !== item.n_level)
+
+  for (const other of [...shuffle(preferred), ...shuffle(sameLevel), ...shuffle(otherLevels)]) {
+    if (distractors.length >= count) break
+    const text = getText(other)
+    if (other.no === item.no || !text || seen.has(text)) continue
+    seen.add(text)
+    distractors.push(other)
+  }
+
+  return distractors
+}
+
+// Shuffle the correct grammar point in among its distractors
+const buildOptions = (item, allGrammar, getText, preferredNos) => {
+  const options = shuffle([item, ...pickDistractors(item, allGrammar, getText, OPTION_COUNT - 1, preferredNos)])
+    .map(option => ({ text: getText(option), grammarNo: option.no }))
+  return {
+    options,
+    answerIndex: options.findIndex(option => option.grammarNo === item.no)
+  }
+}
+
+const buildClozeQuestion = (item, allGrammar, language, preferredNos) => {
+  const candidates = getPatternCandidates(item)
+  if (candidates.length === 0) return null
+
+  const usableExamples = shuffle(item.examples)
+    .map(example => ({ example, range: findPatternRange(example.ja, candidates) }))
+    .filter(({ range }) => range)
+
+  if (usableExamples.length === 0) return null
+
+  const { example, range } = usableExamples[0]
+  const { before, match, after } = splitSentenceAtRange(example.furigana, range)
+
+  return {
+    type: 'cloze',
+    prompt: `${convertToRuby(before)}<span class="cloze-blank">＿＿＿＿</span>${convertToRuby(after)}`,
+    promptTranslation: getExampleTranslation(example, language),
+    answerHtml: `${convertToRuby(before)}<span class="cloze-answer">${convertToRuby(match)}</span>${convertToRuby(after)}`,
+    ...buildOptions(item, allGrammar, getPatternText, preferredNos)
+  }
+}
+
+const buildMeaningQuestion = (item, allGrammar, language, preferredNos) => {
+  const meaning = getMeaning(item, language)
+  if (!meaning) return null
+  return {
+    type: 'meaning',
+    prompt: meaning,
+    ...buildOptions(item, allGrammar, getPatternText, preferredNos)
+  }
+}
+
+// Meaning options are all in one language, so a Myanmar fallback never gives the answer away:
+// the chosen language when this point is translated (untranslated distractors are skipped), else Myanmar
+const buildPatternQuestion = (item, allGrammar, language, preferredNos) => {
+  if (!getMeaning(item, language) || !getPatternText(item)) return null
+  const optionLanguage = isTranslationFallback(item.meaning, language) ? DEFAULT_TRANSLATION_LANGUAGE : language
+  return {
+    type: 'pattern',
+    prompt: getPatternText(item),
+    ...buildOptions(item, allGrammar, other => other.meaning[optionLanguage] || '', preferredNos)
+  }
+}
+
+const builders = {
+  cloze: buildClozeQuestion,
+  meaning: buildMeaningQuestion,
+  pattern: buildPatternQuestion
+}
+
+// Build a single question of the given type (null if the item can't produce one).
+// With confusables, the points this one is often confused with are used as distractors first
+export const buildQuestion = (item, type, allGrammar, language, { confusables = false } = {}) => {
+  const question = builders[type](item, allGrammar, language, confusables ? item.contrast || [] : [])
+  if (!question || question.answerIndex === -1 || question.options.length < 2) return null
+  return { ...question, id: `${type}-${item.no}`, grammarNo: item.no, level: item.n_level }
+}
+
+// Generate a quiz from a pool of grammar points; distractors are drawn from allGrammar.
+// confusables limits the pool to points with contrast links and pits them against each other
+export const generateQuiz = (pool, allGrammar, { count = 10, types = QUIZ_TYPES, language, confusables = false } = {}) => {
+  const questions = []
+  const candidates = confusables ? pool.filter(item => item.contrast?.length) : pool
+
+  for (const item of shuffle(candidates)) {
+    if (questions.length >= count) break
+
+    // Try the types in random order, falling back when an item can't produce one
+    for (const type of shuffle(types)) {
+      const question = buildQuestion(item, type, allGrammar, language, { confusables })
+      if (question) {
+        questions.push(question)
+        break
+      }
+    }
+  }
+
+  return questions
+}
+
+// Typing exercises: write the example sentence from its translation ('sentence'), or only
+// the grammar part of it ('grammar', the rest of the sentence is shown around a blank)
+export const TYPING_MODES = ['sentence', 'grammar']
+
+const buildTypingExercise = (item, mode, language) => {
+  const candidates = getPatternCandidates(item)
+  const usableExamples = shuffle(item.examples)
+    .map(example => ({ example, range: candidates.length > 0 ? findPatternRange(example.ja, candidates) : null }))
+    .filter(({ example, range }) => getExampleTranslation(example, language) && (mode === 'sentence' || range))
+
+  if (usableExamples.length === 0) return null
+
+  const { example, range } = usableExamples[0]
+  const exercise = {
+    id: `typing-${mode}-${item.no}`,
+    grammarNo: item.no,
+    level: item.n_level,
+    mode,
+    pattern: getPatternText(item),
+    promptTranslation: getExampleTranslation(example, language),
+    sentenceHtml: convertToRuby(example.furigana),
+    answerFurigana: example.furigana,
+    prompt: null
+  }
+
+  if (mode === 'grammar') {
+    const { before, match, after } = splitSentenceAtRange(example.furigana, range)
+    exercise.prompt = `${convertToRuby(before)}<span class="cloze-blank">＿＿＿＿</span>${convertToRuby(after)}`
+    exercise.answerFurigana = match
+  }
+
+  return exercise
+}
+
+export const generateTypingExercises = (pool, { count = 10, mode = 'sentence', language } = {}) => {
+  const exercises = []
+
+  for (const item of shuffle(pool)) {
+    if (exercises.length >= count) break
+    const exercise = buildTypingExercise(item, mode, language)
+    if (exercise) exercises.push(exercise)
+  }
+
+  return exercises
+}
@@ -0,0 +1,133 @@
+// Daily study reminder schedule. Pure functions shared by the reminder service and the service
+// worker (src/sw/reminder-sw.js, bundled by vite.config.js), so the timing rules can be checked
+// without a browser (src/utils/__tests__/reminderSchedule.spec.js).
+// An entry is { id, at, expiresAt, grammarNo, title, body, url }; times are timestamps in ms
+import { getMeaning, getPatternText } from './grammarText.js'
+import { buildAppUrl } from './urlState.js'
+
+// Periodic background sync registration of the service worker
+export const REMINDER_SYNC_TAG = 'jlpt-daily-reminder'
+
+// Days scheduled ahead; the app tops the schedule up whenever it is opened
+export const SCHEDULE_DAYS = 7
+
+export const DEFAULT_REMINDER_PREFERENCES = {
+  enabled: false,
+  time: '20:00', // local HH:MM
+  level: 'all', // '1'-'5' or 'all': where the grammar point of the day comes from
+  grammarOfTheDay: true,
+  // Quiet hours (local HH:MM, equal for none): a reminder that arrives late isn't shown then
+  quietStart: '22:00',
+  quietEnd: '07:00'
+}
+
+// A reminder at a time inside the quiet hours is still shown this long after its time
+export const LATE_GRACE_MS = 15 * 60 * 1000
+
+const TIME_PREFERENCES = ['time', 'quietStart', 'quietEnd']
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/
+
+// 'HH:MM' -> { hours, minutes }, null if invalid
+export const parseReminderTime = (time) => {
+  const match = TIME_PATTERN.exec(time || '')
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null
+}
+
+// Merge saved preferences over the defaults, dropping invalid values
+export const normalizeReminderPreferences = (saved) => {
+  const preferences = { ...DEFAULT_REMINDER_PREFERENCES, ...(saved || {}) }
+  TIME_PREFERENCES.forEach(key => {
+    if (!parseReminderTime(preferences[key])) preferences[key] = DEFAULT_REMINDER_PREFERENCES[key]
+  })
+  if (!/^([1-5]|all)$/.test(String(preferences.level))) preferences.level = DEFAULT_REMINDER_PREFERENCES.level
+  preferences.enabled = preferences.enabled === true
+  preferences.grammarOfTheDay = preferences.grammarOfTheDay !== false
+  return preferences
+}
+
+// Reminder times of the next `days` days at the chosen local time, starting today if the
+// time hasn't passed yet. Built from calendar dates, so daylight saving changes keep the time
+export const getReminderTimes = (time, now = new Date(), days = SCHEDULE_DAYS) => {
+  const parsed = parseReminderTime(time)
+  if (!parsed) return []
+
+  const times = []
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), parsed.hours, parsed.minutes)
+  if (date.getTime() <= now.getTime()) date.setDate(date.getDate() + 1)
+
+  for (let i = 0; i < days; i++) {
+    times.push(new Date(date))
+    date.setDate(date.getDate() + 1)
+  }
+  return times
+}
+
+const toMinutes = (time) => {
+  const { hours, minutes } = parseReminderTime(time)
+  return hours * 60 + minutes
+}
+
+// The local time of day of date is within the quiet hours (which may span midnight)
+export const isInQuietHours = (date, quietStart, quietEnd) => {
+  const start = toMinutes(quietStart)
+  const end = toMinutes(quietEnd)
+  const minutes = date.getHours() * 60 + date.getMinutes()
+  if (start === end) return false
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+}
+
+// Until when a reminder due at date may be shown: periodic sync can wake the worker hours
+// late, and by then the reminder is only worth showing on its own day, before the quiet hours.
+// A reminder time chosen inside the quiet hours gets LATE_GRACE_MS
+export const getReminderExpiry = (date, quietStart, quietEnd) => {
+  if (isInQuietHours(date, quietStart, quietEnd)) return date.getTime() + LATE_GRACE_MS
+
+  const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+  const { hours, minutes } = parseReminderTime(quietStart)
+  const quietFrom = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes)
+  if (quietStart !== quietEnd && quietFrom > date && quietFrom < dayEnd) return quietFrom.getTime()
+  return dayEnd.getTime()
+}
+
+// Days since 1970-01-01 for a local calendar date
+const getDayNumber = (date) => Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000)
+
+// Grammar point of a day: walks through the level's points in order, one per day, so every
+// device picks the same point and all points come up in turn
+export const pickGrammarOfTheDay = (grammar, level, date) => {
+  const pool = level === 'all'
+    ? grammar
+    : grammar.filter(item => String(item.n_level) === String(level))
+  if (pool.length === 0) return null
+
+  const sorted = [...pool].sort((a, b) => a.no - b.no)
+  return sorted[getDayNumber(date) % sorted.length]
+}
+
+// Notification entries for the next days. content is { language, title, body }: the translation
+// language of the grammar point's meaning, and the localized text of reminders without a point
+export const buildReminderSchedule = (preferences, grammar, content, now = new Date(), days = SCHEDULE_DAYS) => {
+  if (!preferences.enabled) return []
+
+  return getReminderTimes(preferences.time, now, days).map(date => {
+    const item = preferences.grammarOfTheDay ? pickGrammarOfTheDay(grammar, preferences.level, date) : null
+    return {
+      id: `reminder-${date.getTime()}`,
+      at: date.getTime(),
+      expiresAt: getReminderExpiry(date, preferences.quietStart, preferences.quietEnd),
+      grammarNo: item ? item.no : null,
+      title: item ? `📖 N${item.n_level} · ${getPatternText(item).replace(/\n+/g, ' / ')}` : content.title,
+      body: item ? getMeaning(item, content.language) : content.body,
+      url: item ? buildAppUrl({ grammarNo: item.no }) : '/'
+    }
+  })
+}
+
+// Entries that are due, not expired and weren't shown yet, for a check that runs at irregular
+// times (periodic background sync, the in-app timer); only the latest one is worth showing
+export const getDueReminder = (entries, lastShownAt, now = Date.now()) => {
+  const due = (entries || []).filter(entry => (
+    entry.at <= now && entry.at > (lastShownAt || 0) && now < (entry.expiresAt ?? Infinity)
+  ))
+  return due.length > 0 ? due[due.length - 1] : null
+}
@@ -0,0 +1,76 @@
+// Polly speech marks: word/sentence timings used to highlight the word being spoken.
+// Marks are saved by polly.js next to each MP3 as "<n>.marks.json" with start/end already
+// converted from UTF-8 byte offsets to string indices of the example's furigana-free text
+
+import { tokenizeFurigana } from './grammarText.js'
+
+// Convert Polly's newline-delimited JSON marks (byte offsets) to marks with string indices
+export const toCharOffsetMarks = (text, speechMarksNdjson) => {
+  const encoder = new TextEncoder()
+  // byteToChar[byteOffset] = index of the character starting at that byte
+  const byteToChar = []
+  let byteOffset = 0
+  for (let i = 0; i < text.length; i++) {
+    const codePoint = text.codePointAt(i)
+    const char = String.fromCodePoint(codePoint)
+    byteToChar[byteOffset] = i
+    byteOffset += encoder.encode(char).length
+    if (char.length === 2) i++
+  }
+  byteToChar[byteOffset] = text.length
+
+  return speechMarksNdjson
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .map(mark => ({
+      time: mark.time,
+      type: mark.type,
+      start: byteToChar[mark.start] ?? 0,
+      end: byteToChar[mark.end] ?? text.length,
+      value: mark.value
+    }))
+}
+
+// Split a furigana sentence into display segments, each with the [start, end) range it covers
+// in the furigana-free text. Parenthesised text that removeFurigana drops gets no range
+export const segmentFurigana = (furigana) => {
+  const tokens = tokenizeFurigana(furigana)
+  const segments = []
+  let offset = 0
+  let skipUntilClose = false
+
+  tokens.forEach((token, index) => {
+    if (skipUntilClose) {
+      segments.push({ text: token.text })
+      if (token.text === ')') skipUntilClose = false
+      return
+    }
+    if (!token.reading && token.text === '(' && tokens.slice(index + 1).some(next => next.text === ')')) {
+      skipUntilClose = true
+      segments.push({ text: token.text })
+      return
+    }
+
+    segments.push({
+      text: token.text,
+      reading: token.reading,
+      start: offset,
+      end: offset + token.text.length
+    })
+    offset += token.text.length
+  })
+
+  return segments
+}
+
+// Word mark being spoken at the given playback time (ms), or null before the first word
+export const findActiveWord = (marks, timeMs) => {
+  let active = null
+  for (const mark of marks) {
+    if (mark.type !== 'word') continue
+    if (mark.time > timeMs) break
+    active = mark
+  }
+  return active
+}
@@ -0,0 +1,40 @@
+// Keys of the synced 'stats' section. Study days are kept per day and device for a rolling
+// window ('YYYY-MM-DD|<deviceId>'); each device rolls its older days into one archive entry
+// ('archive|<deviceId>', see statsService) so the section stays bounded
+
+// Longer than the 26-week heatmap of the stats panel
+export const STATS_WINDOW_DAYS = 190
+
+export const ARCHIVE_KEY_PREFIX = 'archive|'
+
+export const toArchiveKey = (deviceId) => `${ARCHIVE_KEY_PREFIX}${deviceId}`
+
+export const isArchiveKey = (key) => key.startsWith(ARCHIVE_KEY_PREFIX)
+
+// 'YYYY-MM-DD|<deviceId>' -> { day, deviceId }
+export const parseDayKey = (key) => {
+  const [day, deviceId] = key.split('|')
+  return { day, deviceId }
+}
+
+// Drop day entries that their device already rolled into its archive; copies still held by
+// other devices (or an old cloud document) would otherwise come back with the next merge.
+// entries is a state section: key -> { value, updatedAt, deleted? }
+export const dropArchivedDays = (entries) => {
+  const archivedThrough = {}
+  Object.entries(entries).forEach(([key, entry]) => {
+    if (isArchiveKey(key) && !entry.deleted && entry.value?.archivedThrough) {
+      archivedThrough[key.slice(ARCHIVE_KEY_PREFIX.length)] = entry.value.archivedThrough
+    }
+  })
+
+  const kept = {}
+  Object.entries(entries).forEach(([key, entry]) => {
+    if (!isArchiveKey(key)) {
+      const { day, deviceId } = parseDayKey(key)
+      if (archivedThrough[deviceId] && day <= archivedThrough[deviceId]) return
+    }
+    kept[key] = entry
+  })
+  return kept
+}
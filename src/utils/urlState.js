@@ -0,0 +1,71 @@
+// Shareable URLs for what the app is showing. The app has a single view, so the History API is
+// used directly instead of a router:
+//   /grammar/:no                              one grammar point as a flashcard in its level
+//   /level/:level?q=...&mode=flashcard&card=12  level is 1-5, all, favorites, due, deck:<id>,
+//                                              tag:<name> or assignment:<classId>:<id>;
+//                                              card is 1-based
+
+const LEVEL_PATTERN = /^(?:n?([1-5])|(all|favorites|due))$/i
+const PERSONAL_FILTER_PATTERN = /^(?:deck|tag|assignment):.+$/
+
+// Level as used by selectedLevel ('1'-'5', 'all', 'favorites', 'due', 'deck:<id>', 'tag:<name>',
+// 'assignment:<classId>:<id>'), or null if not a level
+export const parseLevel = (value) => {
+  if (PERSONAL_FILTER_PATTERN.test(value || '')) return value
+  const match = LEVEL_PATTERN.exec(value || '')
+  if (!match) return null
+  return match[1] || match[2].toLowerCase()
+}
+
+// Parse a location into { grammarNo } or { level, query, mode, card }; null for anything else (e.g. "/")
+export const parseAppUrl = (pathname, search = '') => {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  const params = new URLSearchParams(search)
+
+  if (segments[0] === 'grammar' && segments.length === 2) {
+    const grammarNo = parseInt(segments[1], 10)
+    return Number.isInteger(grammarNo) && grammarNo > 0 ? { grammarNo } : null
+  }
+
+  if (segments[0] === 'level' && segments.length === 2) {
+    const level = parseLevel(segments[1])
+    if (!level) return null
+
+    const card = parseInt(params.get('card'), 10)
+    return {
+      level,
+      query: params.get('q') || '',
+      mode: params.get('mode') === 'flashcard' ? 'flashcard' : 'list',
+      card: Number.isInteger(card) && card > 0 ? card : null
+    }
+  }
+
+  return null
+}
+
+// Build the URL (path + query) for an app state from parseAppUrl's shapes
+export const buildAppUrl = (state) => {
+  if (state.grammarNo) {
+    return `/grammar/${state.grammarNo}`
+  }
+
+  const params = new URLSearchParams()
+  if (state.query && state.query.trim()) params.set('q', state.query.trim())
+  if (state.mode === 'flashcard') {
+    params.set('mode', 'flashcard')
+    if (state.card) params.set('card', String(state.card))
+  }
+
+  const search = params.toString()
+  // ':' is valid in a path segment, so deck and tag filters stay readable (/level/tag:keigo)
+  const level = encodeURIComponent(state.level).replace(/%3A/gi, ':')
+  return `/level/${level}${search ? `?${search}` : ''}`
+}
+
+// Whether two URLs only differ in search term or card position. Such changes replace the
+// history entry instead of adding one, so typing or swiping does not flood back/forward
+export const isSameView = (urlA, urlB) => {
+  const [pathA, searchA = ''] = urlA.split('?')
+  const [pathB, searchB = ''] = urlB.split('?')
+  return pathA === pathB && new URLSearchParams(searchA).get('mode') === new URLSearchParams(searchB).get('mode')
+}
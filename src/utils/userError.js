@@ -0,0 +1,15 @@
+// Errors meant for the user. Services throw them with a message key of src/i18n/locales and its
+// params, and components show them in the interface language with translateError (src/i18n).
+// details lists further problems ({ key, params }), e.g. every invalid entry of a backup file
+export class UserError extends Error {
+  constructor(key, params = {}, details = []) {
+    super(key)
+    this.name = 'UserError'
+    this.key = key
+    this.params = params
+    this.details = details
+  }
+}
+
+// A problem for UserError details and the validators that collect them
+export const problem = (key, params = {}) => ({ key, params })
@@ -0,0 +1,64 @@
+// Japanese speech through the browser's Web Speech API (speechSynthesis), used when an
+// example has no MP3 (missing file, offline, or the user's own note sentences) and when
+// one of the browser's Japanese voices is picked in the voice selector
+
+// Voice selector values for browser voices: 'tts:<voiceURI>'
+export const BROWSER_VOICE_PREFIX = 'tts:'
+
+export const isBrowserVoice = (value) => typeof value === 'string' && value.startsWith(BROWSER_VOICE_PREFIX)
+
+export const isSpeechSynthesisSupported = () => (
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function'
+)
+
+const isJapaneseVoice = (voice) => /^ja([-_]|$)/i.test(voice.lang)
+
+// Installed Japanese voices (the list may be empty until the browser fires 'voiceschanged')
+export const getJapaneseVoices = () => {
+  if (!isSpeechSynthesisSupported()) return []
+  return window.speechSynthesis.getVoices().filter(isJapaneseVoice)
+}
+
+// Call back whenever the installed voices change; returns an unsubscribe function
+export const onVoicesChanged = (callback) => {
+  if (!isSpeechSynthesisSupported()) return () => {}
+  window.speechSynthesis.addEventListener('voiceschanged', callback)
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', callback)
+}
+
+// The voice with this URI, else the browser's preferred Japanese voice (local voices first)
+export const findJapaneseVoice = (voiceURI = null) => {
+  const voices = getJapaneseVoices()
+  return voices.find(voice => voice.voiceURI === voiceURI)
+    || voices.find(voice => voice.default)
+    || voices.find(voice => voice.localService)
+    || voices[0]
+    || null
+}
+
+export const canSpeakJapanese = () => findJapaneseVoice() !== null
+
+// Speak text with a Japanese voice; onEnd / onError(error) are called once.
+// Returns the utterance (compare it to tell a stale callback apart), or null when no Japanese voice exists
+export const speakJapanese = (text, { voiceURI = null, rate = 1, onEnd, onError } = {}) => {
+  const voice = findJapaneseVoice(voiceURI)
+  if (!voice) return null
+
+  const utterance = new window.SpeechSynthesisUtterance(text)
+  utterance.voice = voice
+  utterance.lang = voice.lang
+  utterance.rate = rate
+  if (onEnd) utterance.addEventListener('end', () => onEnd())
+  if (onError) utterance.addEventListener('error', (event) => onError(event.error || event))
+
+  // A queued utterance from an earlier sentence would otherwise play first
+  window.speechSynthesis.cancel()
+  window.speechSynthesis.speak(utterance)
+  return utterance
+}
+
+export const cancelSpeech = () => {
+  if (isSpeechSynthesisSupported()) {
+    window.speechSynthesis.cancel()
+  }
+}
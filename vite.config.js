@@ -1,28 +1,108 @@
 import { fileURLToPath, URL } from 'node:url'
 
-import { defineConfig } from 'vite'
+import { defineConfig, build } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import vueDevTools from 'vite-plugin-vue-devtools'
 import { VitePWA } from 'vite-plugin-pwa'
 
+// The reminder code of the service worker (src/sw/reminder-sw.js) shares its scheduling rules
+// with the app, so it is bundled into a classic script for workbox.importScripts
+const reminderWorker = () => ({
+  name: 'reminder-worker',
+  apply: 'build',
+  async generateBundle() {
+    const [output] = await build({
+      configFile: false,
+      logLevel: 'warn',
+      build: {
+        write: false,
+        minify: true,
+        lib: {
+          entry: fileURLToPath(new URL('./src/sw/reminder-sw.js', import.meta.url)),
+          formats: ['iife'],
+          name: 'reminderWorker'
+        }
+      }
+    })
+    this.emitFile({ type: 'asset', fileName: 'reminder-sw.js', source: output.output[0].code })
+  }
+})
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     vue(),
     vueDevTools(),
+    reminderWorker(),
     VitePWA({
       registerType: 'autoUpdate',
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,json}'],
+        // Speech marks are fetched alongside their MP3s, not precached. Grammar data is
+        // versioned and kept in IndexedDB by src/services/grammarDataService.js (and cached at
+        // runtime below), and the full structured file is only for scripts
+        globIgnores: ['**/*.marks.json', 'data/**', '**/jlpt_bunpou_structured.json'],
+        // Deep links such as /grammar/42 or /level/2?mode=flashcard open the app shell, also offline
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/voices/, /\.json$/],
+        // Daily study reminders: periodic background sync and notification clicks
+        importScripts: ['reminder-sw.js'],
         runtimeCaching: [
           {
-            urlPattern: /^.*\/jlpt_bunpou_data\.json$/,
+            // Grammar data manifest, fetched on every launch: the last copy is used offline (or
+            // before FETCH_TIMEOUT_MS in src/services/grammarDataService.js on a slow network)
+            urlPattern: /\/data\/manifest\.json$/,
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'jlpt-grammar-manifest',
+              networkTimeoutSeconds: 5,
+              cacheableResponse: {
+                statuses: [200]
+              }
+            }
+          },
+          {
+            // Level chunks, also available offline when IndexedDB didn't keep them. The ?v=<hash>
+            // query changes with their content, so a cached chunk is never stale; ten entries
+            // hold the current and previous version of every level
+            urlPattern: /\/data\/grammar-n\d\.json(\?|$)/,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'jlpt-grammar-data',
+              expiration: {
+                maxEntries: 10,
+                purgeOnQuotaError: true
+              },
+              cacheableResponse: {
+                statuses: [200]
+              }
+            }
+          },
+          {
+            // Example audio and speech marks played online, keeping the most recently used
+            // files. Offline audio packs are downloaded into jlpt-audio-packs instead
+            // (AUDIO_CACHE_NAME in src/services/audioPackService.js), which never expires and
+            // is looked up when a file isn't here. Range requests from <audio> are answered
+            // from the cached full file
+            urlPattern: /\/voices(-female)?\/example-\d+\/\d+\.(mp3|marks\.json)$/,
             handler: 'CacheFirst',
             options: {
-              cacheName: 'jlpt-data-cache',
+              cacheName: 'jlpt-audio',
               expiration: {
-                maxEntries: 1,
-                maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
+                maxEntries: 500,
+                maxAgeSeconds: 60 * 60 * 24 * 30,
+                purgeOnQuotaError: true
+              },
+              plugins: [
+                {
+                  // Copied into the generated worker as source, so it can't use names from this file
+                  cachedResponseWillBeUsed: async ({ request, cachedResponse }) =>
+                    cachedResponse || caches.match(request, { cacheName: 'jlpt-audio-packs' })
+                }
+              ],
+              rangeRequests: true,
+              cacheableResponse: {
+                statuses: [200]
               }
             }
           }
@@ -37,6 +117,8 @@ export default defineConfig({
         background_color: '#ffffff',
         display: 'standalone',
         orientation: 'portrait',
+        // The whole origin is in scope so shared /grammar/... and /level/... links open in the installed app
+        id: '/',
         scope: '/',
         start_url: '/',
         icons: [
@@ -0,0 +1,20 @@
+import { fileURLToPath, URL } from 'node:url'
+
+import { configDefaults, defineConfig } from 'vitest/config'
+
+// Unit tests (src/**/__tests__, scripts/__tests__ and __tests__ for polly.js). The app
+// plugins in vite.config.js aren't needed for them. The Firestore rules tests need the
+// emulator and run with npm run test:rules (vitest.rules.config.js)
+export default defineConfig({
+  test: {
+    environment: 'node',
+    setupFiles: ['./vitest.setup.js'],
+    exclude: [...configDefaults.exclude, '__tests__/firestore.rules.spec.js'],
+    root: fileURLToPath(new URL('./', import.meta.url))
+  },
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url))
+    }
+  }
+})
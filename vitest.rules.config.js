@@ -0,0 +1,15 @@
+import { fileURLToPath, URL } from 'node:url'
+
+import { defineConfig } from 'vitest/config'
+
+// Firestore security rules tests (__tests__/firestore.rules.spec.js). They need the Firestore
+// emulator, so they only run with npm run test:rules, which starts it
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['__tests__/firestore.rules.spec.js'],
+    root: fileURLToPath(new URL('./', import.meta.url)),
+    testTimeout: 20000,
+    hookTimeout: 30000
+  }
+})
@@ -0,0 +1,8 @@
+// The services keep their data in localStorage, which Node doesn't have
+const items = new Map()
+globalThis.localStorage = {
+  getItem: key => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: key => items.delete(key),
+  clear: () => items.clear()
+}